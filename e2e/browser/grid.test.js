@@ -0,0 +1,104 @@
+/**
+ * The built app in headless Chrome against the mock STOMP server. Needs a
+ * build (npm run build) and CHROME_BIN pointing at Chrome or Chromium, as
+ * Karma does; the suite is skipped without them.
+ *
+ * The app's feeds connect to ws://localhost:8080 (src/app/stomp-feeds.ts), so
+ * the mock server takes that port and nothing else may be listening on it.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('../../scripts/mock-stomp-server');
+const { serveStatic } = require('../support/static-server');
+
+const DIST = path.join(__dirname, '../../dist/angular16-app');
+const STOMP_PORT = 8080;
+const ROWS = 500;
+const TIMEOUT_MS = 30000;
+// The status bar's row count; the aggregation panel next to it uses the same value class
+const ROW_COUNT = '.ag-status-panel-total-and-filtered-row-count .ag-status-name-value-value';
+
+function skipReason() {
+  if (!process.env.CHROME_BIN) return 'CHROME_BIN is not set';
+  if (!fs.existsSync(path.join(DIST, 'index.html'))) return `no build in ${DIST}; run npm run build`;
+  return false;
+}
+
+// Leaf rows as the grid's status bar counts them ("Rows: 1,234" or "12 of 1,234")
+function gridRowCount(page) {
+  return page.$eval(ROW_COUNT, element =>
+    Number(element.textContent.split(' of ').pop().replace(/[^0-9]/g, '')));
+}
+
+async function waitForRowCount(page, count) {
+  await page.waitForFunction((selector, expected) => {
+    const element = document.querySelector(selector);
+    return element && Number(element.textContent.split(' of ').pop().replace(/[^0-9]/g, '')) === expected;
+  }, { timeout: TIMEOUT_MS }, ROW_COUNT, count);
+}
+
+describe('positions grid in the browser', { skip: skipReason() }, () => {
+  let puppeteer;
+  let stomp;
+  let app;
+  let browser;
+
+  before(async () => {
+    puppeteer = require('puppeteer-core');
+    stomp = await startMockServer({ port: STOMP_PORT, rows: ROWS, trades: 200, seed: 1, rate: 50, churn: 0 });
+    app = await serveStatic(DIST);
+    browser = await puppeteer.launch({
+      executablePath: process.env.CHROME_BIN,
+      headless: true,
+      args: ['--no-sandbox']
+    });
+  });
+
+  after(async () => {
+    await browser?.close();
+    await app?.close();
+    await stomp?.close();
+  });
+
+  // PositionsComponent does not connect on load; the Connect button starts the feed
+  async function openPositions(page) {
+    await page.goto(`${app.url}/positions`);
+    await page.locator('.controls-group button::-p-text(Connect)').click();
+  }
+
+  it('shows every position once the snapshot ends', async () => {
+    const page = await browser.newPage();
+    await openPositions(page);
+
+    await waitForRowCount(page, ROWS);
+    assert.equal(await gridRowCount(page), stomp.stats().rows.positions);
+    await page.close();
+  });
+
+  it('flashes cells that realtime updates change', async () => {
+    const page = await browser.newPage();
+    await openPositions(page);
+    await waitForRowCount(page, ROWS);
+
+    await page.waitForSelector('.ag-cell-data-changed', { timeout: TIMEOUT_MS });
+    await page.close();
+  });
+
+  it('gives a second tab the same rows over the same connection', async () => {
+    const connectionsBefore = stomp.stats().connections;
+    const first = await browser.newPage();
+    await openPositions(first);
+    await waitForRowCount(first, ROWS);
+
+    const second = await browser.newPage();
+    await openPositions(second);
+    await waitForRowCount(second, ROWS);
+
+    // The pages share the SharedWorker, and with it one connection (none if an earlier page's worker is still up)
+    assert.ok(stomp.stats().connections - connectionsBefore <= 1);
+    assert.equal(await gridRowCount(second), await gridRowCount(first));
+    await Promise.all([first.close(), second.close()]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * One test's world: the mock STOMP server (scripts/mock-stomp-server.js) on a
+ * free port, a SharedWorkerHost running the real worker, and tabs on it.
+ *
+ *   const env = await startEnvironment({ rows: 200 });
+ *   const tab = await env.openTab();
+ *   await tab.connect('positions', env.positionsConfig());
+ *   ...
+ *   await env.stop();
+ *
+ * openService() gives a StompClientEnhancedService on the same worker instead
+ * of a Tab, for tests that go through the app's own service and handles.
+ */
+const { startMockServer } = require('../../scripts/mock-stomp-server');
+const { SharedWorkerHost } = require('./worker-host');
+const { Tab } = require('./tab');
+const { createService } = require('./service');
+
+const DEFAULT_SERVER_OPTIONS = {
+  port: 0,
+  rows: 200,
+  trades: 100,
+  seed: 1,
+  batchSize: 50,
+  churn: 0,
+  tickMs: 20
+};
+
+async function startEnvironment(serverOptions = {}) {
+  const server = await startMockServer({ ...DEFAULT_SERVER_OPTIONS, ...serverOptions });
+  const host = new SharedWorkerHost();
+  const tabs = [];
+  const services = [];
+
+  return {
+    server,
+    host,
+
+    async openTab(options) {
+      const tab = new Tab(host.connect(), options);
+      tabs.push(tab);
+      return tab.open();
+    },
+
+    async openService() {
+      const service = await createService(host);
+      services.push(service);
+      return service;
+    },
+
+    // The provider config StompProviderHandle sends for POSITIONS_FEED (src/app/stomp-feeds.ts),
+    // pointed at the mock server, with short timings and nothing persisted
+    positionsConfig(overrides = {}) {
+      return {
+        websocketUrl: server.url,
+        dataType: 'positions',
+        messageRate: 100,
+        snapshotEndToken: 'Success',
+        keyColumn: 'positionId',
+        snapshotTimeoutMs: 5000,
+        snapshotTimeoutPolicy: 'promote',
+        staleAfterMs: 0,
+        reconnectDelay: 100,
+        maxReconnectAttempts: 5,
+        heartbeatIncoming: 10000,
+        heartbeatOutgoing: 10000,
+        logLevel: 'none',
+        persistSnapshot: false,
+        ...overrides
+      };
+    },
+
+    async stop() {
+      services.forEach(service => service.ngOnDestroy());
+      tabs.forEach(tab => tab.close());
+      host.terminate();
+      await server.close();
+    }
+  };
+}
+
+module.exports = { startEnvironment };
@@ -0,0 +1,63 @@
+/**
+ * The app's StompClientEnhancedService and StompProviderHandle
+ * (src/app/services), compiled for Node and opened on a SharedWorkerHost, so
+ * a test drives the worker through the code the tabs run:
+ *
+ * - the TypeScript is transpiled to ES modules in out-tsc/e2e, as the build
+ *   would, with the decorators the service carries
+ * - SharedWorker is the host: each service opens a port with host.connect()
+ * - window only takes the pagehide listener
+ *
+ *   const service = await createService(host);
+ *   await service.connect({ url: server.url, dataType: 'positions' });
+ *   ...
+ *   service.ngOnDestroy();
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const ts = require('typescript');
+
+const ROOT = path.join(__dirname, '../..');
+const SERVICES = path.join(ROOT, 'src/app/services');
+const OUT_DIR = path.join(ROOT, 'out-tsc/e2e');
+const SOURCES = ['stomp-client-enhanced.service.ts', 'stomp-provider-handle.ts', 'columnar-codec.ts'];
+
+const COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ES2022,
+  experimentalDecorators: true,
+  useDefineForClassFields: false
+};
+
+let loaded = null;
+
+// Transpile once per test process; Node needs the extension on relative imports
+function compile() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  SOURCES.forEach(file => {
+    const source = fs.readFileSync(path.join(SERVICES, file), 'utf8');
+    const { outputText } = ts.transpileModule(source, { compilerOptions: COMPILER_OPTIONS, fileName: file });
+    fs.writeFileSync(
+      path.join(OUT_DIR, file.replace(/\.ts$/, '.mjs')),
+      outputText.replace(/from '(\.\/[^']+)'/g, "from '$1.mjs'")
+    );
+  });
+  return import(pathToFileURL(path.join(OUT_DIR, 'stomp-client-enhanced.service.mjs')).href);
+}
+
+// A service as a tab would get it, on the host's SharedWorker
+async function createService(host) {
+  loaded = loaded || compile();
+  const { StompClientEnhancedService } = await loaded;
+
+  globalThis.window = globalThis.window || new EventTarget();
+  globalThis.SharedWorker = class {
+    constructor() {
+      this.port = host.connect();
+    }
+  };
+  return new StompClientEnhancedService('shared-worker');
+}
+
+module.exports = { createService };
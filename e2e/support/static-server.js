@@ -0,0 +1,40 @@
+/**
+ * Serves a built app (dist/angular16-app) for the browser tests. Unknown paths
+ * get index.html, so routes such as /positions load the app as `ng serve` does.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.woff2': 'font/woff2'
+};
+
+function serveStatic(root, port = 0) {
+  const server = http.createServer((request, response) => {
+    const requested = path.normalize(decodeURIComponent(request.url.split('?')[0]));
+    let file = path.join(root, requested);
+    if (!file.startsWith(root) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      file = path.join(root, 'index.html');
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(response);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve({
+      url: `http://localhost:${server.address().port}`,
+      close: () => new Promise(done => server.close(() => done()))
+    }));
+  });
+}
+
+module.exports = { serveStatic };
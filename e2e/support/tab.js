@@ -0,0 +1,132 @@
+/**
+ * A browser tab's end of the worker port, speaking the port protocol the way
+ * StompClientEnhancedService does: 'hello' first, requests matched to their
+ * responses by id, everything else kept as events to wait on. Rows from
+ * 'data' messages are applied to `rows` as the grid would apply them.
+ */
+const PROTOCOL_VERSIONS = [2];
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class Tab {
+  constructor(port, { keyColumn = 'positionId' } = {}) {
+    this.port = port;
+    this.keyColumn = keyColumn;
+    this.events = []; // Every message that is not a response, in order
+    this.rows = new Map(); // Key -> row, as the grid holds them
+    this.pending = new Map(); // Request id -> { resolve, reject, timer }
+    this.waiters = new Set();
+    this.requestCounter = 0;
+
+    port.on('message', (message) => this.receive(message));
+  }
+
+  // Negotiate the port protocol
+  async open() {
+    const response = await this.request('hello', { versions: PROTOCOL_VERSIONS });
+    this.protocolVersion = response.protocolVersion;
+    return this;
+  }
+
+  // Connect a provider, as StompProviderHandle.connect does
+  connect(providerId, config, options = {}, subscriptionId = 'default') {
+    return this.request('connect', { providerId, subscriptionId, config, options });
+  }
+
+  request(type, payload = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const id = `tab-${++this.requestCounter}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Message timeout: ${type}`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.port.postMessage({ id, type, ...payload });
+    });
+  }
+
+  receive(message) {
+    if (message.id) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message);
+      }
+      return;
+    }
+
+    if (message.type === 'connected') {
+      this.rows.clear(); // A fresh snapshot follows
+    } else if (message.type === 'data') {
+      (message.data || []).forEach(row => this.rows.set(String(row[this.keyColumn]), row));
+      (message.removed || []).forEach(key => this.rows.delete(String(key)));
+    }
+
+    this.events.push(message);
+    this.waiters.forEach(waiter => waiter.check());
+  }
+
+  // Events of a type (or matching a predicate) received so far
+  received(match) {
+    const test = typeof match === 'function' ? match : (event) => event.type === match;
+    return this.events.filter(test);
+  }
+
+  // The first event from index `after` on that matches; waits for it if need be
+  waitFor(match, { after = 0, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const test = typeof match === 'function' ? match : (event) => event.type === match;
+    const description = typeof match === 'function' ? 'matching event' : `'${match}'`;
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        check: () => {
+          const event = this.events.slice(after).find(test);
+          if (!event) return;
+          this.waiters.delete(waiter);
+          clearTimeout(waiter.timer);
+          resolve(event);
+        },
+        timer: setTimeout(() => {
+          this.waiters.delete(waiter);
+          reject(new Error(`Timed out after ${timeoutMs}ms waiting for ${description}`));
+        }, timeoutMs)
+      };
+      this.waiters.add(waiter);
+      waiter.check();
+    });
+  }
+
+  // Where waitFor should start looking for events that have not happened yet
+  mark() {
+    return this.events.length;
+  }
+
+  // Wait until `condition()` holds, polling
+  async until(condition, { timeoutMs = DEFAULT_TIMEOUT_MS, intervalMs = 10 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  // Heartbeat, as the service sends every few seconds
+  ping() {
+    this.port.postMessage({ type: 'ping' });
+  }
+
+  // Tell the worker the tab is going away, as the service does on pagehide
+  close() {
+    this.port.postMessage({ type: 'close' });
+    this.pending.forEach(({ timer }) => clearTimeout(timer));
+    this.pending.clear();
+    this.waiters.forEach(waiter => clearTimeout(waiter.timer));
+    this.waiters.clear();
+  }
+}
+
+module.exports = { Tab, PROTOCOL_VERSIONS };
@@ -0,0 +1,158 @@
+/**
+ * Runs the real worker (src/assets/stomp-worker-enhanced.js and the scripts it
+ * imports) in a Node vm context, standing in for the browser's SharedWorker:
+ *
+ * - importScripts('/assets/...') loads from src/assets, and STOMP.js from
+ *   node_modules, as copy-stomp-lib does for the build
+ * - WebSocket is the `ws` package, so the worker talks to a real server
+ * - connect() is a tab opening the SharedWorker: the worker's onconnect gets
+ *   one end of a MessageChannel and the tab keeps the other
+ *
+ * advanceTime(ms) moves the worker's clock forward and runs each interval
+ * timer that would have fired meanwhile once, as a throttled tab catches up.
+ * terminate() closes the worker's sockets and ports and clears its timers,
+ * like closing the last tab.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { MessageChannel } = require('worker_threads');
+const WebSocket = require('ws');
+
+const ROOT = path.join(__dirname, '../..');
+const WORKER_SCRIPT = path.join(ROOT, 'src/assets/stomp-worker-enhanced.js');
+const SCRIPT_PATHS = {
+  '/assets/lib/stomp.umd.min.js': path.join(ROOT, 'node_modules/@stomp/stompjs/bundles/stomp.umd.min.js')
+};
+
+function resolveScript(url) {
+  if (SCRIPT_PATHS[url]) return SCRIPT_PATHS[url];
+  if (url.startsWith('/assets/')) return path.join(ROOT, 'src', url);
+  throw new Error(`importScripts: cannot resolve ${url}`);
+}
+
+class SharedWorkerHost {
+  constructor({ quiet = true } = {}) {
+    this.timers = new Set();
+    this.intervals = new Map(); // Handle -> { callback, ms, args }, for advanceTime
+    this.clockOffset = 0;
+    this.sockets = new Set();
+    this.ports = [];
+    this.terminated = false;
+    this.errors = []; // console.error calls from the worker
+
+    const log = quiet ? () => {} : (...args) => console.log('[worker]', ...args);
+    const context = {
+      console: { log, info: log, debug: log, warn: log, error: (...args) => { this.errors.push(args); log(...args); } },
+      WebSocket: this.socketClass(),
+      TextEncoder,
+      TextDecoder,
+      structuredClone,
+      performance,
+      queueMicrotask,
+      Date: this.clock(),
+      ...this.timerFunctions()
+    };
+    context.self = context;
+    context.importScripts = (...urls) => urls.forEach(url => this.run(resolveScript(url)));
+
+    this.context = vm.createContext(context);
+    this.run(WORKER_SCRIPT);
+  }
+
+  run(file) {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), this.context, { filename: file });
+  }
+
+  // Sockets that terminate() can close
+  socketClass() {
+    const sockets = this.sockets;
+    return class TrackedWebSocket extends WebSocket {
+      constructor(...args) {
+        super(...args);
+        sockets.add(this);
+        this.on('close', () => sockets.delete(this));
+      }
+    };
+  }
+
+  // Date, running clockOffset ms ahead of the real clock
+  clock() {
+    const host = this;
+    return class WorkerDate extends Date {
+      constructor(...args) {
+        super(...(args.length ? args : [Date.now() + host.clockOffset]));
+      }
+
+      static now() {
+        return Date.now() + host.clockOffset;
+      }
+    };
+  }
+
+  advanceTime(ms) {
+    this.clockOffset += ms;
+    this.intervals.forEach(({ callback, ms: interval, args }) => {
+      if (interval <= ms) callback(...args);
+    });
+  }
+
+  // Timers that terminate() can clear, so a finished test leaves nothing running
+  timerFunctions() {
+    const host = this;
+    const timers = this.timers;
+    const intervals = this.intervals;
+    return {
+      setTimeout(callback, ms, ...args) {
+        if (host.terminated) return null;
+        const handle = setTimeout(() => {
+          timers.delete(handle);
+          callback(...args);
+        }, ms);
+        timers.add(handle);
+        return handle;
+      },
+      setInterval(callback, ms, ...args) {
+        if (host.terminated) return null;
+        const handle = setInterval(callback, ms, ...args);
+        timers.add(handle);
+        intervals.set(handle, { callback, ms, args });
+        return handle;
+      },
+      clearTimeout(handle) {
+        timers.delete(handle);
+        clearTimeout(handle);
+      },
+      clearInterval(handle) {
+        timers.delete(handle);
+        intervals.delete(handle);
+        clearInterval(handle);
+      }
+    };
+  }
+
+  // A new tab's MessagePort to the worker
+  connect() {
+    const { port1, port2 } = new MessageChannel();
+    this.ports.push(port1, port2);
+    this.context.onconnect({ ports: [port2] });
+    return port1;
+  }
+
+  get core() {
+    return this.context.StompWorkerCore;
+  }
+
+  terminate() {
+    this.terminated = true;
+    this.sockets.forEach(socket => socket.terminate());
+    this.sockets.clear();
+    this.timers.forEach(handle => clearTimeout(handle));
+    this.timers.clear();
+    this.intervals.clear();
+    this.ports.forEach(port => port.close());
+    this.ports = [];
+  }
+}
+
+module.exports = { SharedWorkerHost };
@@ -0,0 +1,57 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+describe('malformed and missing messages', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('quarantines messages that are not JSON and keeps every other row', async () => {
+    // 20 snapshot messages of 50 rows, about a third of them cut short
+    env = await startEnvironment({ rows: 1000, rate: 0, faults: { malformedRate: 0.3 } });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+
+    const complete = await tab.waitFor('snapshot-complete');
+    const { malformed } = env.server.stats();
+    assert.ok(malformed > 0, 'some messages were malformed');
+    assert.equal(complete.partial, false);
+    assert.equal(tab.rows.size, 1000 - malformed * 50);
+
+    const { entries } = await tab.request('get-quarantine', { providerId: 'positions' });
+    assert.equal(entries.length, malformed);
+    assert.ok(entries.every(entry => entry.reason === 'invalid-json'));
+
+    const { statistics } = await tab.request('get-statistics', { providerId: 'positions' });
+    assert.equal(statistics.invalidMessages, malformed);
+    assert.equal(tab.received('error').length, 0);
+  });
+
+  it('carries on with realtime updates after a malformed one', async () => {
+    env = await startEnvironment({ rows: 100 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    env.server.setFaults({ malformedRate: 1 });
+    await tab.until(() => env.server.stats().malformed >= 3);
+    env.server.setFaults({ malformedRate: 0 });
+
+    const after = tab.mark();
+    await tab.waitFor(event => event.type === 'data' && !event.isSnapshot, { after });
+    assert.equal(tab.rows.size, 100);
+  });
+
+  it('loses only the rows of dropped snapshot messages', async () => {
+    env = await startEnvironment({ rows: 1000, rate: 0, faults: { dropRate: 0.3 } });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+
+    const complete = await tab.waitFor('snapshot-complete');
+    const { dropped } = env.server.stats();
+    assert.ok(dropped > 0, 'some messages were dropped');
+    assert.equal(complete.rowCount, 1000 - dropped * 50);
+    assert.equal(tab.rows.size, complete.rowCount);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+describe('reconnect', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('reconnects and fetches a fresh snapshot after the connection drops', async () => {
+    env = await startEnvironment({ rows: 150 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    const after = tab.mark();
+    env.server.disconnectAll();
+
+    const reconnecting = await tab.waitFor('reconnecting', { after });
+    assert.equal(reconnecting.attempt, 1);
+    const reconnected = await tab.waitFor('reconnected', { after });
+    assert.equal(reconnected.attempts, 1);
+    const complete = await tab.waitFor('snapshot-complete', { after });
+
+    assert.equal(complete.rowCount, 150);
+    assert.equal(tab.rows.size, 150);
+    assert.equal(env.server.stats().connections, 2);
+    await tab.waitFor(event => event.type === 'data' && !event.isSnapshot, { after: tab.events.indexOf(complete) });
+  });
+
+  it('recovers from a server that keeps dropping the connection', async () => {
+    // A snapshot takes 20 messages, so every attempt is cut short
+    env = await startEnvironment({ rows: 1000, rate: 0, faults: { disconnectAfterMessages: 10 } });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+
+    await tab.waitFor('reconnected');
+    env.server.setFaults({ disconnectAfterMessages: 0 });
+    const complete = await tab.waitFor(event => event.type === 'snapshot-complete' && !event.partial);
+
+    assert.equal(complete.rowCount, 1000);
+    assert.equal(tab.rows.size, 1000);
+  });
+
+  it('gives up after maxReconnectAttempts', async () => {
+    env = await startEnvironment({ rows: 10 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig({ maxReconnectAttempts: 2, reconnectDelay: 20 }));
+    await tab.waitFor('snapshot-complete');
+
+    await env.server.close();
+    const failed = await tab.waitFor('reconnect-failed');
+    assert.equal(failed.attempts, 2);
+  });
+});
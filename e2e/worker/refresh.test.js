@@ -0,0 +1,65 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+const RECALC_DESTINATION = '/app/positions/recalc';
+
+describe('refresh', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('brings a tab that missed updates back in line with the server', async () => {
+    // No live stream: the only changes are the recalculations below
+    env = await startEnvironment({ rows: 100, rate: 0 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    // The server reprices three positions but the updates never arrive
+    env.server.setFaults({ dropRate: 1 });
+    for (const positionId of ['POS-000001', 'POS-000002', 'POS-000003']) {
+      await tab.request('send', { providerId: 'positions', destination: RECALC_DESTINATION, body: { positionId } });
+    }
+    await tab.until(() => env.server.stats().dropped === 3);
+    env.server.setFaults({ dropRate: 0 });
+    assert.notEqual(tab.rows.get('POS-000001').marketValue, env.server.datasets.positions.get('POS-000001').marketValue);
+
+    const after = tab.mark();
+    const response = await tab.request('refresh', { providerId: 'positions' });
+    assert.equal(response.started, true);
+    await tab.waitFor('refresh-started', { after });
+    const complete = await tab.waitFor('refresh-complete', { after });
+
+    assert.equal(complete.rowCount, 100);
+    assert.equal(complete.updated, 3);
+    assert.equal(complete.removed, 0);
+    env.server.datasets.positions.rows.forEach(row => {
+      assert.equal(tab.rows.get(row.positionId).marketValue, row.marketValue);
+    });
+  });
+
+  it('keeps the snapshot row count while a refresh runs', async () => {
+    env = await startEnvironment({ rows: 100, rate: 0 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    // The refresh gets no rows, so it is still running below
+    env.server.setFaults({ dropRate: 1, omitEndToken: true });
+    await tab.request('refresh', { providerId: 'positions' });
+
+    const { statistics } = await tab.request('get-statistics', { providerId: 'positions' });
+    assert.equal(statistics.refreshing, true);
+    assert.equal(statistics.snapshotRowsReceived, 100);
+  });
+
+  it('refuses to refresh while the snapshot is still streaming', async () => {
+    env = await startEnvironment({ rows: 5000 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor(event => event.type === 'data' && event.isSnapshot);
+
+    await assert.rejects(tab.request('refresh', { providerId: 'positions' }), /Snapshot still in progress/);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+const TRADE_DETAIL_DESTINATION = '/app/trades/detail';
+
+describe('request/reply', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('matches each reply to its request', async () => {
+    env = await startEnvironment({ rows: 20, trades: 200 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    const positionIds = ['POS-000001', 'POS-000002', 'POS-000003'];
+    const responses = await Promise.all(positionIds.map(positionId => tab.request('request', {
+      providerId: 'positions',
+      destination: TRADE_DETAIL_DESTINATION,
+      body: { positionId }
+    })));
+    assert.equal(new Set(responses.map(response => response.correlationId)).size, 3);
+
+    for (const [i, { correlationId }] of responses.entries()) {
+      const reply = await tab.waitFor(event => event.type === 'reply' && event.correlationId === correlationId);
+      const expected = env.server.datasets.trades.rows.filter(trade => trade.positionId === positionIds[i]);
+      assert.equal(reply.error, undefined);
+      assert.deepEqual(reply.data.map(trade => trade.tradeId), expected.map(trade => trade.tradeId));
+    }
+  });
+
+  it('fails a request nobody answers after its timeout', async () => {
+    env = await startEnvironment({ rows: 20 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    const { correlationId } = await tab.request('request', {
+      providerId: 'positions',
+      destination: '/app/unanswered',
+      body: {},
+      timeoutMs: 200
+    });
+    const reply = await tab.waitFor(event => event.type === 'reply' && event.correlationId === correlationId);
+    assert.equal(reply.error, 'Request to /app/unanswered timed out after 200ms');
+  });
+
+  it('fails pending requests when the connection drops', async () => {
+    env = await startEnvironment({ rows: 20 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+    await tab.waitFor('snapshot-complete');
+
+    const { correlationId } = await tab.request('request', {
+      providerId: 'positions',
+      destination: '/app/unanswered',
+      body: {},
+      timeoutMs: 5000
+    });
+    env.server.disconnectAll();
+
+    const reply = await tab.waitFor(event => event.type === 'reply' && event.correlationId === correlationId, { timeoutMs: 1000 });
+    assert.ok(reply.error);
+  });
+
+  it('rejects a request before the provider connects', async () => {
+    env = await startEnvironment({ rows: 20 });
+    const tab = await env.openTab();
+
+    await assert.rejects(
+      tab.request('request', { providerId: 'positions', destination: TRADE_DETAIL_DESTINATION, body: {} }),
+      /Provider not connected/
+    );
+  });
+});
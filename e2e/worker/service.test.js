@@ -0,0 +1,159 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { firstValueFrom } = require('rxjs');
+const { startEnvironment } = require('../support/environment');
+
+describe('StompClientEnhancedService on the worker', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  // POSITIONS_FEED (src/app/stomp-feeds.ts) pointed at the mock server, with short timings
+  function positionsFeed(overrides = {}) {
+    return {
+      url: env.server.url,
+      dataType: 'positions',
+      messageRate: 100,
+      snapshotEndToken: 'Success',
+      keyColumn: 'positionId',
+      snapshotTimeoutMs: 5000,
+      reconnectDelay: 100,
+      logLevel: 'none',
+      ...overrides
+    };
+  }
+
+  // Rows as a grid holds them, from the service's data and removed events
+  function collectRows(service) {
+    const rows = new Map();
+    service.data.subscribe(positions => positions.forEach(position => rows.set(position.positionId, position)));
+    service.removed.subscribe(positionIds => positionIds.forEach(positionId => rows.delete(positionId)));
+    return rows;
+  }
+
+  it('delivers the snapshot and then live updates through the provider handle', async () => {
+    env = await startEnvironment({ rows: 200 });
+    const service = await env.openService();
+    const rows = collectRows(service);
+
+    const complete = firstValueFrom(service.snapshotComplete);
+    await service.connect(positionsFeed());
+    const stats = await complete;
+
+    assert.equal(service.getTransportMode(), 'shared-worker');
+    assert.equal(service.getProtocolVersion(), 2);
+    assert.equal(stats.rowCount, 200);
+    assert.equal(stats.partial, false);
+    assert.equal(rows.size, 200);
+    assert.ok(rows.get('POS-000000').lastUpdated instanceof Date);
+
+    const [update] = await firstValueFrom(service.data);
+    assert.deepEqual(
+      { ...rows.get(update.positionId), lastUpdated: undefined },
+      { ...env.server.datasets.positions.get(update.positionId), lastUpdated: undefined }
+    );
+    const state = service.getClientState();
+    assert.equal(state.connected, true);
+    assert.equal(state.mode, 'realtime');
+
+    await service.disconnect();
+    assert.equal(service.isConnected(), false);
+  });
+
+  it('leaves lastUpdated out of rows the server sent without it', async () => {
+    env = await startEnvironment({ rows: 20 });
+    const service = await env.openService();
+    const rows = collectRows(service);
+
+    const complete = firstValueFrom(service.snapshotComplete);
+    await service.connect(positionsFeed({ columns: ['positionId', 'marketValue'] }));
+    await complete;
+
+    assert.equal(rows.size, 20);
+    rows.forEach(row => assert.ok(!('lastUpdated' in row)));
+  });
+
+  it('shares the connection between two tabs and answers their requests', async () => {
+    env = await startEnvironment({ rows: 50, trades: 100 });
+    const [first, second] = [await env.openService(), await env.openService()];
+    const completes = [firstValueFrom(first.snapshotComplete), firstValueFrom(second.snapshotComplete)];
+    await first.connect(positionsFeed({ clientId: 'positions' }));
+    await second.connect(positionsFeed({ clientId: 'positions' }));
+    await Promise.all(completes);
+
+    assert.equal(env.server.stats().connections, 1);
+    const providers = await second.listProviders();
+    assert.equal(providers.length, 1);
+    assert.equal(providers[0].portCount, 2);
+
+    const reply = await second.provider('default').request('/app/trades/detail', { positionId: 'POS-000001' });
+    const expected = env.server.datasets.trades.rows.filter(trade => trade.positionId === 'POS-000001');
+    assert.deepEqual(reply.data.map(trade => trade.tradeId), expected.map(trade => trade.tradeId));
+  });
+
+  it('lets go of the previous provider when the handle connects to another', async () => {
+    env = await startEnvironment({ rows: 50 });
+    const service = await env.openService();
+
+    const first = firstValueFrom(service.snapshotComplete);
+    await service.connect(positionsFeed({ clientId: 'positions-a' }));
+    await first;
+    const second = firstValueFrom(service.snapshotComplete);
+    await service.connect(positionsFeed({ clientId: 'positions-b' }));
+    await second;
+
+    const providers = await service.listProviders();
+    assert.deepEqual(providers.map(provider => provider.providerId), ['positions-b']);
+    assert.equal(providers[0].subscriberCount, 1);
+  });
+
+  it('subscribes again when the worker expired a silent tab', async () => {
+    env = await startEnvironment({ rows: 100 });
+    const service = await env.openService();
+    const rows = collectRows(service);
+    // No STOMP heartbeats, which would judge the broker silent when the clock jumps
+    const feed = positionsFeed({ heartbeatIncoming: 0, heartbeatOutgoing: 0 });
+
+    const complete = firstValueFrom(service.snapshotComplete);
+    await service.connect(feed);
+    await complete;
+
+    // A hidden tab whose pings stopped for longer than the worker waits
+    env.host.advanceTime(10 * 60 * 1000);
+    assert.equal((await service.listProviders()).length, 0);
+
+    // That request woke the port; the handle subscribes again and gets the snapshot
+    const again = await firstValueFrom(service.snapshotComplete);
+    assert.equal(again.rowCount, 100);
+    assert.equal(rows.size, 100);
+    assert.equal(service.isConnected(), true);
+    assert.equal(env.server.stats().openConnections, 1);
+  });
+
+  it('keeps a page in the back/forward cache and subscribes again when it comes back', async () => {
+    env = await startEnvironment({ rows: 100 });
+    const service = await env.openService();
+    const rows = collectRows(service);
+    const feed = positionsFeed({ heartbeatIncoming: 0, heartbeatOutgoing: 0 });
+
+    const complete = firstValueFrom(service.snapshotComplete);
+    await service.connect(feed);
+    await complete;
+
+    // Frozen in the cache for longer than the worker waits; the port stays open
+    window.dispatchEvent(pageTransition('pagehide', true));
+    env.host.advanceTime(10 * 60 * 1000);
+    assert.equal(service.getTransportMode(), 'shared-worker');
+
+    const again = firstValueFrom(service.snapshotComplete);
+    window.dispatchEvent(pageTransition('pageshow', true));
+    assert.equal((await again).rowCount, 100);
+    assert.equal(rows.size, 100);
+    assert.equal(service.isConnected(), true);
+  });
+});
+
+// Node has no PageTransitionEvent
+function pageTransition(type, persisted) {
+  return Object.assign(new Event(type), { persisted });
+}
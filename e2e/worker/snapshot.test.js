@@ -0,0 +1,72 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+describe('snapshot then realtime', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('streams the snapshot, then realtime updates', async () => {
+    env = await startEnvironment({ rows: 200 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig());
+
+    const complete = await tab.waitFor('snapshot-complete');
+    assert.equal(complete.rowCount, 200);
+    assert.equal(complete.partial, false);
+    assert.equal(tab.rows.size, 200);
+
+    const snapshotEnd = tab.events.indexOf(complete);
+    const snapshotData = tab.events.slice(0, snapshotEnd).filter(event => event.type === 'data');
+    assert.ok(snapshotData.length > 1, 'snapshot arrives in batches');
+    assert.ok(snapshotData.every(event => event.isSnapshot));
+
+    const update = await tab.waitFor(event => event.type === 'data', { after: snapshotEnd + 1 });
+    assert.equal(update.isSnapshot, false);
+
+    // Partial updates from the server reach the tab merged into the cached row
+    const [row] = update.data;
+    assert.equal(typeof row.cusip, 'string');
+    assert.deepEqual(tab.rows.get(row.positionId), row);
+    assert.equal(tab.rows.size, 200);
+  });
+
+  ['SUCCESS', '"Success"'].forEach(endToken => {
+    it(`ends the snapshot on ${endToken}`, async () => {
+      env = await startEnvironment({ rows: 50, endToken });
+      const tab = await env.openTab();
+      await tab.connect('positions', env.positionsConfig());
+
+      const complete = await tab.waitFor('snapshot-complete');
+      assert.equal(complete.partial, false);
+      assert.equal(tab.received('snapshot-timeout').length, 0);
+    });
+  });
+
+  it('does not end the snapshot on a message that only contains the token', async () => {
+    env = await startEnvironment({ rows: 50, endToken: 'Success: 50 rows sent' });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig({ snapshotTimeoutMs: 300 }));
+
+    const timeout = await tab.waitFor('snapshot-timeout');
+    assert.equal(timeout.action, 'promote');
+    const complete = await tab.waitFor('snapshot-complete');
+    assert.equal(complete.partial, true);
+  });
+
+  it('promotes a snapshot without an end token to realtime after the timeout', async () => {
+    env = await startEnvironment({ rows: 100, faults: { omitEndToken: true } });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig({ snapshotTimeoutMs: 300 }));
+
+    const timeout = await tab.waitFor('snapshot-timeout');
+    assert.equal(timeout.rowCount, 100);
+    const complete = await tab.waitFor('snapshot-complete');
+    assert.equal(complete.partial, true);
+    assert.equal(tab.rows.size, 100);
+
+    const update = await tab.waitFor(event => event.type === 'data', { after: tab.events.indexOf(complete) + 1 });
+    assert.equal(update.isSnapshot, false);
+  });
+});
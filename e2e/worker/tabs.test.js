@@ -0,0 +1,126 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnvironment } = require('../support/environment');
+
+describe('tabs sharing the worker', () => {
+  let env;
+
+  afterEach(() => env.stop());
+
+  it('shares one broker connection between tabs', async () => {
+    env = await startEnvironment({ rows: 200 });
+    const first = await env.openTab();
+    const second = await env.openTab();
+    await Promise.all([
+      first.connect('positions', env.positionsConfig()),
+      second.connect('positions', env.positionsConfig())
+    ]);
+
+    await Promise.all([first.waitFor('snapshot-complete'), second.waitFor('snapshot-complete')]);
+    assert.equal(first.rows.size, 200);
+    assert.equal(second.rows.size, 200);
+    assert.equal(env.server.stats().connections, 1);
+
+    // Both tabs get the same live updates
+    const after = second.mark();
+    const update = await first.waitFor(event => event.type === 'data' && !event.isSnapshot, { after: first.mark() });
+    const [row] = update.data;
+    await second.waitFor(event => event.type === 'data' && event.data.some(r => r.positionId === row.positionId), { after });
+  });
+
+  it('replays the cache to a tab that joins after the snapshot', async () => {
+    env = await startEnvironment({ rows: 200 });
+    const first = await env.openTab();
+    await first.connect('positions', env.positionsConfig());
+    await first.waitFor('snapshot-complete');
+    await first.waitFor(event => event.type === 'data' && !event.isSnapshot);
+
+    const late = await env.openTab();
+    await late.connect('positions', env.positionsConfig());
+    const complete = await late.waitFor('snapshot-complete');
+
+    assert.equal(complete.replay, true);
+    assert.equal(late.rows.size, 200);
+    assert.deepEqual(Array.from(late.rows.keys()).sort(), Array.from(first.rows.keys()).sort());
+    assert.equal(env.server.stats().connections, 1);
+  });
+
+  it('gives a tab that joins mid-snapshot every row once the snapshot ends', async () => {
+    // The first attempt never ends, so the second tab is sure to join mid-snapshot; the retry ends
+    env = await startEnvironment({ rows: 500, rate: 0, faults: { omitEndToken: true } });
+    const config = env.positionsConfig({ snapshotTimeoutMs: 500, snapshotTimeoutPolicy: 'retry', snapshotRetries: 1 });
+    const first = await env.openTab();
+    await first.connect('positions', config);
+    await first.waitFor(event => event.type === 'data' && event.isSnapshot);
+
+    const late = await env.openTab();
+    await late.connect('positions', config);
+    env.server.setFaults({ omitEndToken: false });
+
+    const timeout = await first.waitFor('snapshot-timeout');
+    assert.equal(timeout.action, 'retry');
+    const [complete] = await Promise.all([late.waitFor('snapshot-complete'), first.waitFor('snapshot-complete')]);
+
+    assert.equal(complete.partial, false);
+    assert.equal(first.rows.size, 500);
+    assert.equal(late.rows.size, 500);
+    assert.equal(late.received('snapshot-complete').length, 1);
+  });
+
+  it('keeps the connection while any tab still uses the provider', async () => {
+    env = await startEnvironment({ rows: 100 });
+    const first = await env.openTab();
+    const second = await env.openTab();
+    await first.connect('positions', env.positionsConfig());
+    await second.connect('positions', env.positionsConfig());
+    await second.waitFor('snapshot-complete');
+
+    first.close();
+    const after = second.mark();
+    await second.waitFor(event => event.type === 'data' && !event.isSnapshot, { after });
+    assert.equal(env.server.stats().openConnections, 1);
+
+    await second.request('disconnect', { providerId: 'positions', subscriptionId: 'default' });
+    await second.until(() => env.server.stats().openConnections === 0);
+  });
+
+  it('takes back a tab it swept for silence and tells it to subscribe again', async () => {
+    env = await startEnvironment({ rows: 100 });
+    // No STOMP heartbeats, which would judge the broker silent when the clock jumps
+    const config = env.positionsConfig({ heartbeatIncoming: 0, heartbeatOutgoing: 0 });
+    const tab = await env.openTab();
+    await tab.connect('positions', config);
+    await tab.waitFor('snapshot-complete');
+
+    // A hidden tab whose pings stopped for longer than the worker waits
+    env.host.advanceTime(10 * 60 * 1000);
+    // Its subscription went, and with it the provider's last one and the connection
+    await tab.until(() => env.server.stats().openConnections === 0);
+
+    const after = tab.mark();
+    tab.ping();
+    await tab.waitFor('port-expired', { after });
+
+    // The port is back, protocol and all; subscribing again brings the rows back
+    await tab.connect('positions', config);
+    const complete = await tab.waitFor('snapshot-complete', { after });
+    assert.equal(complete.partial, false);
+    assert.equal(tab.rows.size, 100);
+  });
+
+  it('forgets a swept tab that stays silent', async () => {
+    env = await startEnvironment({ rows: 100 });
+    const tab = await env.openTab();
+    await tab.connect('positions', env.positionsConfig({ heartbeatIncoming: 0, heartbeatOutgoing: 0 }));
+    await tab.waitFor('snapshot-complete');
+
+    // Swept, then silent for as long again: a tab that closed without saying so
+    env.host.advanceTime(10 * 60 * 1000);
+    env.host.advanceTime(10 * 60 * 1000);
+
+    // Speaking now, it is a new port that has not negotiated
+    const after = tab.mark();
+    await assert.rejects(tab.request('list-providers'), /Protocol not negotiated/);
+    assert.ok(!tab.events.slice(after).some(event => event.type === 'port-expired'));
+  });
+});
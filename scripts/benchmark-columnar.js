@@ -0,0 +1,64 @@
+/**
+ * Compare worker -> tab transport cost for plain row arrays (structured clone)
+ * against the columnar encoding with transferred ArrayBuffers. Encoding runs
+ * in the worker; transfer and decode are what the tab pays.
+ *
+ *   node scripts/benchmark-columnar.js [rowCounts] [iterations]
+ *   node scripts/benchmark-columnar.js 10000,50000,100000 5
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { generatePositions } = require('./synthetic-data');
+
+// Load the worker's encoder exactly as the worker does (classic script on `self`)
+const context = { self: {}, Map, Set, Float64Array, Uint32Array, Array, Object, Error, isNaN, NaN };
+vm.runInNewContext(
+  fs.readFileSync(path.join(__dirname, '../src/assets/stomp-columnar.js'), 'utf8'),
+  context
+);
+const { encode, decode } = context.self.StompColumnar;
+
+function time(fn, iterations) {
+  fn(); // warm-up
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) {
+    fn();
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+}
+
+const rowCounts = (process.argv[2] || '10000,50000,100000').split(',').map(Number);
+const iterations = Number(process.argv[3] || 5);
+
+console.log(`Columnar transport benchmark (${iterations} iterations, ms per batch)\n`);
+console.log(['rows', 'clone rows', 'encode', 'transfer', 'decode', 'columnar total', 'speed-up'].map(h => h.padStart(16)).join(''));
+
+rowCounts.forEach(count => {
+  const rows = generatePositions(count);
+
+  // Current path: the whole row array is structured-cloned
+  const cloneMs = time(() => structuredClone(rows), iterations);
+
+  // Columnar path: encode in the worker, transfer buffers, decode in the tab
+  const encodeMs = time(() => encode(rows), iterations);
+  // Timing noise can make the difference negative; a transfer costs at least nothing
+  const transferMs = Math.max(time(() => {
+    const { batch, transfer } = encode(rows);
+    structuredClone(batch, { transfer });
+  }, iterations) - encodeMs, 0);
+  const { batch, transfer } = encode(rows);
+  const received = structuredClone(batch, { transfer });
+  const decodeMs = time(() => decode(received), iterations);
+
+  const totalMs = encodeMs + transferMs + decodeMs;
+  console.log([
+    count,
+    cloneMs.toFixed(2),
+    encodeMs.toFixed(2),
+    transferMs.toFixed(2),
+    decodeMs.toFixed(2),
+    totalMs.toFixed(2),
+    `${(cloneMs / totalMs).toFixed(2)}x`
+  ].map(v => String(v).padStart(16)).join(''));
+});
@@ -0,0 +1,644 @@
+/**
+ * Mock STOMP broker (STOMP 1.0-1.2 over WebSocket) for local development and
+ * tests. It speaks the desk's snapshot protocol with synthetic positions and
+ * trades:
+ *
+ *   SUBSCRIBE /snapshot/{dataType}/{clientId}
+ *   SEND      /snapshot/{dataType}/{clientId}/{rate}[/{batchSize}]   (the trigger, empty body)
+ *   <- MESSAGE JSON arrays of whole rows, batchSize rows each        (the snapshot)
+ *   <- MESSAGE Success                                               (end token)
+ *   <- MESSAGE JSON arrays of partial rows, about {rate} rows/second (live updates;
+ *              new rows in full, deletes as { key, _op: 'delete' })
+ *
+ * A SEND to /app/positions/recalc reprices the position in its body; the new
+ * values go out as a live update. A SEND with reply-to and correlation-id
+ * headers to /app/trades/detail is answered with that position's trades.
+ * Any other SEND is delivered to the destination's subscribers, so requests
+ * elsewhere go unanswered. GET /health reports the server's state.
+ *
+ *   node scripts/mock-stomp-server.js [--port 8080] [--rows 10000] [--trades 5000] [--seed 42]
+ *     [--rate 1000] [--batch-size 500] [--churn 0.001]
+ *     [--drop-rate 0.01] [--malformed-rate 0.001] [--omit-end-token]
+ *     [--disconnect-after-ms 60000] [--disconnect-after-messages 500]
+ *
+ * `--rate` overrides the rate clients ask for; `--batch-size` is used when the
+ * trigger has none. From tests:
+ *
+ *   const { startMockServer } = require('../scripts/mock-stomp-server');
+ *   const server = await startMockServer({ port: 0, rows: 100, seed: 1 });
+ *   // ... connect to server.url ...
+ *   server.setFaults({ omitEndToken: true });
+ *   server.disconnectAll();
+ *   await server.close();
+ */
+const http = require('http');
+const WebSocket = require('ws');
+const synthetic = require('./synthetic-data');
+
+const DEFAULTS = {
+  port: 8080,
+  host: undefined,
+  rows: 10000,           // Positions
+  trades: 5000,
+  seed: undefined,       // Same data and faults on every run when set
+  rate: null,            // Live rows per second for every feed, instead of the trigger's rate
+  batchSize: 500,        // Snapshot rows per message when the trigger has no batch size
+  endToken: 'Success',
+  churn: 0.001,          // Share of live updates that insert or delete a row
+  tickMs: 100,           // Live updates go out in bursts this far apart
+  heartbeatMs: 10000,    // Longest the server goes without sending a heart-beat
+  faults: {},
+  log: () => {}
+};
+
+const DEFAULT_FAULTS = {
+  dropRate: 0,                // Share of data messages never sent
+  malformedRate: 0,           // Share of data messages sent with their JSON cut short
+  omitEndToken: false,        // The snapshot never ends
+  disconnectAfterMs: 0,       // Drop each connection this long after it connects
+  disconnectAfterMessages: 0  // ... or once it has been sent this many messages
+};
+
+const TRIGGER_PATTERN = /^\/snapshot\/([^/]+)\/([^/]+)\/(\d+)(?:\/(\d+))?$/;
+const RECALC_DESTINATION = '/app/positions/recalc';
+const TRADE_DETAIL_DESTINATION = '/app/trades/detail';
+
+// Snapshot messages sent per turn of the event loop, so big snapshots do not starve other clients
+const SNAPSHOT_MESSAGES_PER_TURN = 20;
+
+// Header escaping from STOMP 1.2
+const ESCAPES = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', ':': '\\c' };
+const UNESCAPES = { '\\': '\\', n: '\n', r: '\r', c: ':' };
+
+const escapeHeader = (value) => String(value).replace(/[\\\n\r:]/g, (char) => ESCAPES[char]);
+const unescapeHeader = (value) => value.replace(/\\(.)/g, (match, char) => UNESCAPES[char] || match);
+
+function serializeFrame(command, headers = {}, body = '') {
+  const lines = [command];
+  Object.keys(headers).forEach(name => lines.push(`${escapeHeader(name)}:${escapeHeader(headers[name])}`));
+  return `${lines.join('\n')}\n\n${body}\0`;
+}
+
+function parseFrame(raw) {
+  const blank = raw.search(/\r?\n\r?\n/);
+  const head = blank >= 0 ? raw.slice(0, blank) : raw;
+  const body = blank >= 0 ? raw.slice(blank).replace(/^\r?\n\r?\n/, '') : '';
+  const [command, ...lines] = head.split(/\r?\n/);
+  const headers = {};
+  lines.forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon < 0) return;
+    const name = unescapeHeader(line.slice(0, colon));
+    // A repeated header keeps its first value
+    if (!(name in headers)) headers[name] = unescapeHeader(line.slice(colon + 1));
+  });
+  return { command, headers, body };
+}
+
+// Complete frames in `text` and whatever follows the last one. Bodies end at
+// the first NUL; content-length is not needed for JSON and text bodies.
+function parseFrames(text) {
+  const frames = [];
+  let rest = text;
+  let end;
+  while ((end = rest.indexOf('\0')) >= 0) {
+    const raw = rest.slice(0, end).replace(/^(\r?\n)+/, ''); // heart-beats between frames
+    rest = rest.slice(end + 1);
+    if (raw) frames.push(parseFrame(raw));
+  }
+  return { frames, rest: rest.replace(/^(\r?\n)+/, '') };
+}
+
+// Rows of one data type, with the live changes it goes through
+class Dataset {
+  constructor(keyColumn, rows, create, change) {
+    this.keyColumn = keyColumn;
+    this.rows = rows;
+    this.index = new Map(rows.map((row, i) => [row[keyColumn], i]));
+    this.nextIndex = rows.length;
+    this.create = create;
+    this.change = change;
+  }
+
+  get size() {
+    return this.rows.length;
+  }
+
+  get(key) {
+    const i = this.index.get(key);
+    return i === undefined ? undefined : this.rows[i];
+  }
+
+  sample(random) {
+    return this.rows[Math.floor(random() * this.rows.length)];
+  }
+
+  insert(random) {
+    const row = this.create(this.nextIndex++, random);
+    this.index.set(row[this.keyColumn], this.rows.length);
+    this.rows.push(row);
+    return row;
+  }
+
+  remove(row) {
+    const key = row[this.keyColumn];
+    const i = this.index.get(key);
+    const last = this.rows.pop();
+    if (last !== row) {
+      this.rows[i] = last;
+      this.index.set(last[this.keyColumn], i);
+    }
+    this.index.delete(key);
+  }
+
+  // Mostly changes to existing rows; `churn` of them add or delete one
+  nextUpdate(random, churn) {
+    if (this.rows.length === 0 || random() < churn) {
+      if (this.rows.length === 0 || random() < 0.5) {
+        return { ...this.insert(random) };
+      }
+      const row = this.sample(random);
+      this.remove(row);
+      return { [this.keyColumn]: row[this.keyColumn], _op: 'delete' };
+    }
+    return this.change(this.sample(random), random);
+  }
+}
+
+// One triggered stream: the snapshot on a destination, then live updates on it
+class Feed {
+  constructor(server, { destination, dataType, clientId, rate, batchSize }) {
+    this.server = server;
+    this.destination = destination;
+    this.dataType = dataType;
+    this.clientId = clientId;
+    this.rate = rate;
+    this.batchSize = batchSize;
+    this.dataset = server.datasets[dataType];
+    this.phase = 'snapshot';
+    this.immediate = null; // Next part of the snapshot
+    this.timer = null; // Live updates
+    this.budget = 0; // Live rows owed since the last tick
+    this.stopped = false;
+  }
+
+  start() {
+    const rows = this.dataset.rows.slice();
+    const batches = [];
+    for (let i = 0; i < rows.length; i += this.batchSize) {
+      batches.push(rows.slice(i, i + this.batchSize));
+    }
+    this.server.log(`Snapshot of ${rows.length} ${this.dataType} to ${this.destination} (${batches.length} messages, then ${this.rate} rows/s)`);
+    this.sendSnapshot(batches, 0);
+  }
+
+  sendSnapshot(batches, next) {
+    if (this.stopped) return;
+
+    const end = Math.min(batches.length, next + SNAPSHOT_MESSAGES_PER_TURN);
+    for (let i = next; i < end; i++) {
+      this.sendRows(batches[i]);
+    }
+    if (end < batches.length) {
+      this.immediate = setImmediate(() => this.sendSnapshot(batches, end));
+      return;
+    }
+
+    if (!this.server.faults.omitEndToken) {
+      this.server.publish(this.destination, this.server.options.endToken, { 'content-type': 'text/plain' });
+    }
+    this.phase = 'live';
+    if (this.rate > 0) {
+      this.timer = setInterval(() => this.tick(), this.server.options.tickMs);
+    }
+  }
+
+  tick() {
+    if (!this.server.hasSubscribers(this.destination)) {
+      this.server.log(`No subscribers left on ${this.destination}`);
+      this.server.stopFeed(this.destination);
+      return;
+    }
+
+    const { random, options } = this.server;
+    this.budget += this.rate * options.tickMs / 1000;
+    const count = Math.floor(this.budget);
+    this.budget -= count;
+
+    const updates = [];
+    for (let i = 0; i < count; i++) {
+      updates.push(this.dataset.nextUpdate(random, options.churn));
+    }
+    this.push(updates);
+  }
+
+  // Live rows, in messages of at most batchSize rows
+  push(updates) {
+    for (let i = 0; i < updates.length; i += this.batchSize) {
+      this.sendRows(updates.slice(i, i + this.batchSize));
+    }
+  }
+
+  sendRows(rows) {
+    const { faults, random, statistics } = this.server;
+    if (random() < faults.dropRate) {
+      statistics.dropped++;
+      return;
+    }
+
+    let body = JSON.stringify(rows);
+    if (random() < faults.malformedRate) {
+      body = body.slice(0, Math.max(1, Math.floor(body.length / 2)));
+      statistics.malformed++;
+    }
+    this.server.publish(this.destination, body, { 'content-type': 'application/json' });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearImmediate(this.immediate);
+    clearInterval(this.timer);
+  }
+}
+
+// One WebSocket client and its subscriptions
+class Connection {
+  constructor(server, socket, id) {
+    this.server = server;
+    this.socket = socket;
+    this.id = id;
+    this.connected = false;
+    this.subscriptions = new Map(); // Subscription id -> destination
+    this.messagesSent = 0;
+    this.buffer = '';
+    this.timers = [];
+
+    socket.on('message', (data) => this.receive(data.toString()));
+    socket.on('close', () => server.removeConnection(this));
+    socket.on('error', (error) => server.log(`Connection ${id} error: ${error.message}`));
+  }
+
+  receive(text) {
+    const { frames, rest } = parseFrames(this.buffer + text);
+    this.buffer = rest;
+    frames.forEach(frame => {
+      try {
+        this.handleFrame(frame);
+      } catch (error) {
+        this.error(error.message);
+      }
+    });
+  }
+
+  handleFrame(frame) {
+    const { command, headers } = frame;
+    if (!this.connected && command !== 'CONNECT' && command !== 'STOMP') {
+      throw new Error(`${command} before CONNECT`);
+    }
+
+    switch (command) {
+      case 'CONNECT':
+      case 'STOMP':
+        this.connect(headers);
+        break;
+
+      case 'SUBSCRIBE':
+        if (!headers.destination) throw new Error('SUBSCRIBE without a destination');
+        this.subscriptions.set(headers.id, headers.destination);
+        break;
+
+      case 'UNSUBSCRIBE': {
+        const destination = this.subscriptions.get(headers.id);
+        this.subscriptions.delete(headers.id);
+        if (destination && !this.server.hasSubscribers(destination)) {
+          this.server.stopFeed(destination);
+        }
+        break;
+      }
+
+      case 'SEND':
+        if (!headers.destination) throw new Error('SEND without a destination');
+        this.server.handleSend(this, frame);
+        break;
+
+      case 'ACK':
+      case 'NACK':
+      case 'BEGIN':
+      case 'COMMIT':
+      case 'ABORT':
+        break;
+
+      case 'DISCONNECT':
+        this.receipt(headers);
+        this.socket.close();
+        return;
+
+      default:
+        throw new Error(`Unknown command ${command}`);
+    }
+    this.receipt(headers);
+  }
+
+  connect(headers) {
+    const offered = (headers['accept-version'] || '1.0').split(',');
+    const version = ['1.2', '1.1', '1.0'].find(v => offered.includes(v)) || '1.0';
+
+    // We send heart-beats as often as the client wants them, and do not ask for any
+    const [, wanted] = (headers['heart-beat'] || '0,0').split(',').map(Number);
+    const { heartbeatMs } = this.server.options;
+    this.connected = true;
+    this.send('CONNECTED', {
+      version,
+      'heart-beat': `${heartbeatMs},0`,
+      server: 'mock-stomp-server/1.0',
+      session: `session-${this.id}`
+    });
+    if (wanted > 0 && heartbeatMs > 0) {
+      const interval = Math.max(wanted, heartbeatMs);
+      this.timers.push(setInterval(() => this.socket.readyState === WebSocket.OPEN && this.socket.send('\n'), interval));
+    }
+
+    const { disconnectAfterMs } = this.server.faults;
+    if (disconnectAfterMs > 0) {
+      this.timers.push(setTimeout(() => this.drop(`${disconnectAfterMs}ms after connecting`), disconnectAfterMs));
+    }
+    this.server.log(`Connection ${this.id} connected (STOMP ${version})`);
+  }
+
+  // A MESSAGE to every subscription of this connection on the destination
+  deliver(destination, body, headers) {
+    this.subscriptions.forEach((subscribed, subscription) => {
+      if (subscribed === destination) {
+        this.message({ ...headers, destination, subscription }, body);
+      }
+    });
+  }
+
+  message(headers, body) {
+    if (this.socket.readyState !== WebSocket.OPEN) return;
+
+    this.send('MESSAGE', { 'message-id': `${this.id}-${++this.messagesSent}`, ...headers }, body);
+    this.server.statistics.messagesSent++;
+
+    const { disconnectAfterMessages } = this.server.faults;
+    if (disconnectAfterMessages > 0 && this.messagesSent >= disconnectAfterMessages) {
+      this.drop(`after ${this.messagesSent} messages`);
+    }
+  }
+
+  receipt(headers) {
+    if (headers.receipt) {
+      this.send('RECEIPT', { 'receipt-id': headers.receipt });
+    }
+  }
+
+  error(message) {
+    this.server.log(`Connection ${this.id} error: ${message}`);
+    this.send('ERROR', { message });
+    this.socket.close();
+  }
+
+  send(command, headers, body) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(serializeFrame(command, headers, body));
+    }
+  }
+
+  // Lost connection: no DISCONNECT, no close handshake
+  drop(reason) {
+    this.server.log(`Dropping connection ${this.id} ${reason}`);
+    this.server.statistics.disconnects++;
+    this.socket.terminate();
+  }
+
+  dispose() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+class MockStompServer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.faults = { ...DEFAULT_FAULTS, ...options.faults };
+    this.random = synthetic.createRandom(this.options.seed);
+    this.log = this.options.log;
+    this.connections = new Set();
+    this.feeds = new Map(); // Destination -> Feed
+    this.connectionCounter = 0;
+    this.statistics = { connections: 0, messagesSent: 0, dropped: 0, malformed: 0, disconnects: 0 };
+
+    const positions = synthetic.generatePositions(this.options.rows, this.random);
+    const positionData = new Dataset('positionId', positions, synthetic.createPosition, synthetic.movePosition);
+    const trades = positions.length > 0 ? synthetic.generateTrades(positions, this.options.trades, this.random) : [];
+    this.datasets = {
+      positions: positionData,
+      trades: new Dataset(
+        'tradeId',
+        trades,
+        (index, random) => synthetic.createTrade(index, positionData.sample(random), random),
+        synthetic.advanceTrade
+      )
+    };
+  }
+
+  // Resolves once the server is accepting connections
+  listen() {
+    this.httpServer = http.createServer((request, response) => this.handleHttp(request, response));
+    this.wss = new WebSocket.Server({ server: this.httpServer });
+    this.wss.on('connection', (socket) => this.addConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.options.port, this.options.host, () => {
+        this.httpServer.removeListener('error', reject);
+        this.port = this.httpServer.address().port;
+        this.url = `ws://${this.options.host || 'localhost'}:${this.port}`;
+        resolve(this);
+      });
+    });
+  }
+
+  handleHttp(request, response) {
+    if (request.method === 'GET' && request.url === '/health') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ status: 'UP', ...this.stats() }));
+      return;
+    }
+    response.writeHead(404);
+    response.end();
+  }
+
+  addConnection(socket) {
+    this.statistics.connections++;
+    this.connections.add(new Connection(this, socket, ++this.connectionCounter));
+  }
+
+  removeConnection(connection) {
+    connection.dispose();
+    this.connections.delete(connection);
+    connection.subscriptions.forEach(destination => {
+      if (!this.hasSubscribers(destination)) this.stopFeed(destination);
+    });
+    this.log(`Connection ${connection.id} closed`);
+  }
+
+  hasSubscribers(destination) {
+    for (const connection of this.connections) {
+      for (const subscribed of connection.subscriptions.values()) {
+        if (subscribed === destination) return true;
+      }
+    }
+    return false;
+  }
+
+  publish(destination, body, headers = {}) {
+    this.connections.forEach(connection => connection.deliver(destination, body, headers));
+  }
+
+  handleSend(connection, { headers, body }) {
+    const { destination } = headers;
+    const trigger = TRIGGER_PATTERN.exec(destination);
+    if (trigger) {
+      this.startFeed(trigger);
+    } else if (destination === RECALC_DESTINATION) {
+      this.recalc(body);
+    } else if (destination === TRADE_DETAIL_DESTINATION && headers['reply-to']) {
+      this.reply(connection, headers, this.tradesFor(body));
+    } else {
+      this.publish(destination, body, { 'content-type': headers['content-type'] || 'text/plain' });
+    }
+  }
+
+  startFeed([, dataType, clientId, rate, batchSize]) {
+    if (!this.datasets[dataType]) {
+      throw new Error(`Unknown data type ${dataType}`);
+    }
+
+    const destination = `/snapshot/${dataType}/${clientId}`;
+    this.stopFeed(destination); // A second trigger starts the stream again
+    const feed = new Feed(this, {
+      destination,
+      dataType,
+      clientId,
+      rate: this.options.rate !== null && this.options.rate !== undefined ? this.options.rate : Number(rate),
+      batchSize: Math.max(1, Number(batchSize) || this.options.batchSize)
+    });
+    this.feeds.set(destination, feed);
+    feed.start();
+  }
+
+  stopFeed(destination) {
+    const feed = this.feeds.get(destination);
+    if (feed) {
+      feed.stop();
+      this.feeds.delete(destination);
+    }
+  }
+
+  // Reprice a position now; its live feeds carry the change
+  recalc(body) {
+    const { positionId } = JSON.parse(body || '{}');
+    const position = this.datasets.positions.get(positionId);
+    if (!position) {
+      this.log(`Recalc of unknown position ${positionId}`);
+      return;
+    }
+
+    const update = synthetic.movePosition(position, this.random);
+    this.feeds.forEach(feed => {
+      if (feed.dataType === 'positions' && feed.phase === 'live') feed.push([update]);
+    });
+  }
+
+  tradesFor(body) {
+    const { positionId } = JSON.parse(body || '{}');
+    return this.datasets.trades.rows.filter(trade => trade.positionId === positionId);
+  }
+
+  // Replies go to the reply-to destination without a subscription, like a broker's temp queue
+  reply(connection, headers, data) {
+    const replyHeaders = { destination: headers['reply-to'], 'content-type': 'application/json' };
+    if (headers['correlation-id'] !== undefined) {
+      replyHeaders['correlation-id'] = headers['correlation-id'];
+    }
+    connection.message(replyHeaders, JSON.stringify(data));
+  }
+
+  setFaults(faults) {
+    Object.assign(this.faults, faults);
+  }
+
+  // Every client loses its connection, as if the broker went away
+  disconnectAll() {
+    this.connections.forEach(connection => connection.drop('on request'));
+  }
+
+  stats() {
+    return {
+      ...this.statistics,
+      openConnections: this.connections.size,
+      feeds: Array.from(this.feeds.values()).map(feed => ({
+        destination: feed.destination,
+        phase: feed.phase,
+        rate: feed.rate,
+        batchSize: feed.batchSize
+      })),
+      rows: { positions: this.datasets.positions.size, trades: this.datasets.trades.size }
+    };
+  }
+
+  close() {
+    this.feeds.forEach(feed => feed.stop());
+    this.feeds.clear();
+    this.connections.forEach(connection => {
+      connection.dispose();
+      connection.socket.terminate();
+    });
+    return new Promise(resolve => this.wss.close(() => this.httpServer.close(() => resolve())));
+  }
+}
+
+function startMockServer(options) {
+  return new MockStompServer(options).listen();
+}
+
+// --name value / --flag arguments, as option names in camelCase
+function parseArguments(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, char) => char.toUpperCase());
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      options[name] = true;
+    } else {
+      options[name] = Number.isNaN(Number(value)) ? value : Number(value);
+      i++;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const { dropRate, malformedRate, omitEndToken, disconnectAfterMs, disconnectAfterMessages, ...options } =
+    parseArguments(process.argv.slice(2));
+  const faults = { dropRate, malformedRate, omitEndToken, disconnectAfterMs, disconnectAfterMessages };
+  Object.keys(faults).forEach(name => faults[name] === undefined && delete faults[name]);
+
+  startMockServer({ ...options, faults, log: (message) => console.log(`[MockStomp] ${message}`) })
+    .then(server => {
+      const { rows } = server.stats();
+      console.log(`[MockStomp] Listening on ${server.url} with ${rows.positions} positions and ${rows.trades} trades`);
+      console.log(`[MockStomp] Health check: http://localhost:${server.port}/health`);
+      if (Object.keys(faults).length > 0) {
+        console.log('[MockStomp] Fault injection:', faults);
+      }
+      process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+    })
+    .catch(error => {
+      console.error(`[MockStomp] Failed to start: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { startMockServer, MockStompServer, parseFrames, serializeFrame };
@@ -0,0 +1,164 @@
+/**
+ * Synthetic positions and trades for the mock STOMP server and the benchmarks.
+ * Rows carry every field of the worker's v1 schemas (src/assets/stomp-schema.js).
+ * Pass a seeded `random` (createRandom) for the same data on every run.
+ *
+ *   const random = createRandom(42);
+ *   const positions = generatePositions(10000, random);
+ *   const trades = generateTrades(positions, 2000, random);
+ *   const update = movePosition(positions[0], random); // partial row, position updated in place
+ */
+const SECTORS = ['Financials', 'Technology', 'Healthcare', 'Energy', 'Utilities', 'Industrials'];
+const INDUSTRIES = {
+  Financials: ['Banks', 'Insurance', 'Asset Management'],
+  Technology: ['Software', 'Semiconductors', 'Hardware'],
+  Healthcare: ['Pharmaceuticals', 'Medical Devices', 'Providers'],
+  Energy: ['Oil & Gas', 'Pipelines', 'Renewables'],
+  Utilities: ['Electric', 'Water', 'Gas'],
+  Industrials: ['Aerospace', 'Machinery', 'Transport']
+};
+const RATINGS = ['AAA', 'AA+', 'AA', 'A', 'BBB+', 'BBB', 'BB'];
+const COUNTERPARTIES = ['Goldman Sachs', 'JP Morgan', 'Morgan Stanley', 'Barclays', 'Citi', 'Deutsche Bank', 'BNP Paribas'];
+const TRADERS = ['akhan', 'bchen', 'cdiaz', 'dmorgan', 'eokafor', 'fsato'];
+const TRADE_STATUSES = ['PENDING', 'CONFIRMED', 'SETTLED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// mulberry32: small, fast and good enough for test data
+function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+function positionId(index) {
+  return `POS-${String(index).padStart(6, '0')}`;
+}
+
+function createPosition(index, random = Math.random) {
+  const sector = SECTORS[index % SECTORS.length];
+  const couponRate = round(1 + random() * 6, 3);
+  const quantity = Math.round(random() * 10000);
+  const marketValue = Math.round(random() * 5e6);
+  const bookValue = Math.round(marketValue * (0.9 + random() * 0.2));
+  const years = 1 + random() * 29;
+
+  return {
+    positionId: positionId(index),
+    cusip: `9128${String(index % 100000).padStart(5, '0')}`,
+    symbol: `SYM${index % 5000}`,
+    description: `${sector} ${couponRate.toFixed(3)}% ${isoDate(Date.now() + years * 365 * DAY_MS).slice(0, 4)}`,
+    quantity,
+    marketValue,
+    bookValue,
+    pnl: marketValue - bookValue,
+    pnlPercent: bookValue ? ((marketValue - bookValue) / bookValue) * 100 : 0,
+    sector,
+    industry: pick(INDUSTRIES[sector], random),
+    rating: RATINGS[index % RATINGS.length],
+    maturityDate: isoDate(Date.now() + years * 365 * DAY_MS),
+    couponRate,
+    duration: round(years * (0.6 + random() * 0.3), 2),
+    convexity: round(random() * 3, 3),
+    yieldToMaturity: round(random() * 8, 3),
+    spreadToBenchmark: Math.round(20 + random() * 400),
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+function generatePositions(count, random = Math.random) {
+  const rows = new Array(count);
+  for (let i = 0; i < count; i++) {
+    rows[i] = createPosition(i, random);
+  }
+  return rows;
+}
+
+// A price move: market value, P&L and yield change together. Returns the changed fields.
+function movePosition(position, random = Math.random) {
+  const move = (random() - 0.5) * 0.01; // within +/-0.5%
+  const marketValue = Math.round(position.marketValue * (1 + move));
+  const update = {
+    positionId: position.positionId,
+    marketValue,
+    pnl: marketValue - position.bookValue,
+    pnlPercent: position.bookValue ? ((marketValue - position.bookValue) / position.bookValue) * 100 : 0,
+    yieldToMaturity: Math.max(0, round(position.yieldToMaturity - move * position.duration, 3)),
+    lastUpdated: new Date().toISOString()
+  };
+  Object.assign(position, update);
+  return update;
+}
+
+function tradeId(index) {
+  return `TRD-${String(index).padStart(7, '0')}`;
+}
+
+function createTrade(index, position, random = Math.random) {
+  const quantity = Math.max(1, Math.round(random() * position.quantity) || 100);
+  const price = round(90 + random() * 20, 4);
+  const tradeTime = Date.now() - Math.floor(random() * 30) * DAY_MS;
+
+  return {
+    tradeId: tradeId(index),
+    positionId: position.positionId,
+    cusip: position.cusip,
+    symbol: position.symbol,
+    side: random() < 0.5 ? 'BUY' : 'SELL',
+    quantity,
+    price,
+    notional: round(quantity * price, 2),
+    tradeDate: isoDate(tradeTime),
+    settlementDate: isoDate(tradeTime + 2 * DAY_MS),
+    counterparty: pick(COUNTERPARTIES, random),
+    trader: pick(TRADERS, random),
+    status: pick(TRADE_STATUSES, random),
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+// Trades spread across the given positions
+function generateTrades(positions, count, random = Math.random) {
+  const rows = new Array(count);
+  for (let i = 0; i < count; i++) {
+    rows[i] = createTrade(i, positions[Math.floor(random() * positions.length)], random);
+  }
+  return rows;
+}
+
+// The next step in a trade's life; settled trades get a price correction instead
+function advanceTrade(trade, random = Math.random) {
+  const next = TRADE_STATUSES[TRADE_STATUSES.indexOf(trade.status) + 1];
+  const update = next
+    ? { tradeId: trade.tradeId, status: next }
+    : { tradeId: trade.tradeId, price: round(trade.price + (random() - 0.5) * 0.1, 4) };
+  if (update.price !== undefined) {
+    update.notional = round(trade.quantity * update.price, 2);
+  }
+  update.lastUpdated = new Date().toISOString();
+  Object.assign(trade, update);
+  return update;
+}
+
+module.exports = {
+  SECTORS,
+  RATINGS,
+  createRandom,
+  positionId,
+  createPosition,
+  generatePositions,
+  movePosition,
+  tradeId,
+  createTrade,
+  generateTrades,
+  advanceTrade
+};
@@ -0,0 +1,66 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { BehaviorSubject } from 'rxjs';
+import { AlertService } from '../services/alert.service';
+import { AlertRule, StompAlert, StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+import { AlertPanelComponent, AlertRuleInput } from './alert-panel.component';
+
+describe('AlertPanelComponent', () => {
+  let fixture: ComponentFixture<AlertPanelComponent>;
+  let panel: AlertPanelComponent;
+  let alertService: jasmine.SpyObj<AlertService>;
+
+  const input = (fields: Partial<AlertRuleInput>): AlertRuleInput => ({
+    name: 'Rule', type: 'threshold', severity: 'warning', condition: '', field: '', change: '', windowMinutes: '', scope: '', ...fields
+  });
+
+  beforeEach(() => {
+    alertService = jasmine.createSpyObj<AlertService>('AlertService', ['setRules', 'acknowledge', 'setNotificationsEnabled'], {
+      alerts$: new BehaviorSubject<StompAlert[]>([]),
+      rules$: new BehaviorSubject<AlertRule[]>([]),
+      notificationsEnabled: false,
+      unacknowledgedCount: 0
+    });
+    alertService.setRules.and.resolveTo();
+    const stompService = jasmine.createSpyObj<StompClientEnhancedService>('StompClientEnhancedService', ['validateExpression']);
+    stompService.validateExpression.and.callFake(expression => Promise.resolve(expression.trim().endsWith('<')
+      ? { valid: false, error: 'Unexpected end of expression' }
+      : { valid: true, fields: [] }));
+
+    TestBed.configureTestingModule({
+      declarations: [AlertPanelComponent],
+      providers: [
+        { provide: AlertService, useValue: alertService },
+        { provide: StompClientEnhancedService, useValue: stompService }
+      ]
+    });
+    fixture = TestBed.createComponent(AlertPanelComponent);
+    panel = fixture.componentInstance;
+  });
+
+  afterEach(() => fixture.destroy());
+
+  it('should add threshold and change rules', async () => {
+    expect(await panel.addRule(input({ condition: 'pnl < -50000', scope: "sector == 'Energy'" }))).toBeTrue();
+    expect(await panel.addRule(input({ type: 'change', field: 'pnlPercent', change: '2', windowMinutes: '5' }))).toBeTrue();
+
+    const [threshold] = alertService.setRules.calls.argsFor(0)[0];
+    expect(threshold).toEqual(jasmine.objectContaining({ type: 'threshold', condition: 'pnl < -50000', scope: "sector == 'Energy'" }));
+    const [change] = alertService.setRules.calls.argsFor(1)[0];
+    expect(change).toEqual(jasmine.objectContaining({ type: 'change', field: 'pnlPercent', change: 2, windowMs: 300000 }));
+  });
+
+  it('should not send invalid rules to the worker', async () => {
+    expect(await panel.addRule(input({ condition: 'pnl <' }))).toBeFalse();
+    expect(panel.error).toBe('Invalid condition: Unexpected end of expression');
+    expect(await panel.addRule(input({ type: 'change', field: 'pnl', change: '-1' }))).toBeFalse();
+    expect(panel.error).toBe('Change must be a positive number');
+    expect(await panel.addRule(input({ name: ' ', condition: 'pnl < 0' }))).toBeFalse();
+
+    expect(alertService.setRules).not.toHaveBeenCalled();
+  });
+
+  it('should describe rules in words', () => {
+    expect(panel.describe({ id: 'a', name: 'A', type: 'change', field: 'pnlPercent', change: 2, windowMs: 300000 }))
+      .toBe('pnlPercent moves by 2 within 5 min');
+  });
+});
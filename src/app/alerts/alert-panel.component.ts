@@ -0,0 +1,152 @@
+import { Component } from '@angular/core';
+import { AlertService } from '../services/alert.service';
+import { AlertRule, AlertSeverity, StompAlert, StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+
+// What the add-rule form collects, as typed
+export interface AlertRuleInput {
+  name: string;
+  type: AlertRule['type'];
+  severity: AlertSeverity;
+  condition: string;
+  field: string;
+  change: string;
+  windowMinutes: string;
+  scope: string;
+}
+
+/**
+ * Alert log with acknowledge, and the rules that raise the alerts. Rules
+ * apply to every tab; the worker checks them on each update.
+ */
+@Component({
+  selector: 'app-alert-panel',
+  templateUrl: './alert-panel.component.html',
+  styleUrls: ['./alert-panel.component.css']
+})
+export class AlertPanelComponent {
+  readonly alerts$ = this.alertService.alerts$;
+  readonly rules$ = this.alertService.rules$;
+
+  // Which fields the add-rule form shows
+  draftType: AlertRule['type'] = 'threshold';
+  error: string | null = null;
+  notificationsEnabled = this.alertService.notificationsEnabled;
+  readonly notificationsSupported = typeof Notification !== 'undefined';
+
+  constructor(private alertService: AlertService, private stompService: StompClientEnhancedService) {}
+
+  get unacknowledgedCount(): number {
+    return this.alertService.unacknowledgedCount;
+  }
+
+  acknowledge(alert?: StompAlert): void {
+    this.alertService.acknowledge(alert ? [alert.id] : undefined)
+      .catch(error => this.error = `Acknowledge failed: ${error.message}`);
+  }
+
+  async setNotifications(enabled: boolean): Promise<void> {
+    this.notificationsEnabled = await this.alertService.setNotificationsEnabled(enabled);
+    if (enabled && !this.notificationsEnabled) {
+      this.error = 'Notifications are blocked for this site in the browser settings';
+    }
+  }
+
+  describe(rule: AlertRule): string {
+    const what = rule.type === 'threshold'
+      ? rule.condition
+      : `${rule.field} moves by ${rule.change} within ${(rule.windowMs ?? 300000) / 60000} min`;
+    return rule.scope ? `${what} where ${rule.scope}` : what ?? '';
+  }
+
+  formatValues(alert: StompAlert): string {
+    return Object.entries(alert.values || {})
+      .map(([field, value]) => `${field} ${typeof value === 'number' ? value.toLocaleString() : value}`)
+      .join(', ');
+  }
+
+  toggleRule(rule: AlertRule): Promise<boolean> {
+    return this.updateRules(this.rules$.value.map(existing => existing.id === rule.id ? { ...rule, enabled: rule.enabled === false } : existing));
+  }
+
+  removeRule(rule: AlertRule): Promise<boolean> {
+    return this.updateRules(this.rules$.value.filter(existing => existing.id !== rule.id));
+  }
+
+  // Validate the input and add the rule; sets `error` and resolves false if it is invalid
+  async addRule(input: AlertRuleInput): Promise<boolean> {
+    const rule = await this.buildRule(input);
+    return rule ? this.updateRules([...this.rules$.value, rule]) : false;
+  }
+
+  async addFromForm(form: HTMLFormElement): Promise<void> {
+    const value = (name: string) => (form.elements.namedItem(name) as HTMLInputElement | null)?.value ?? '';
+    const added = await this.addRule({
+      name: value('name'),
+      type: this.draftType,
+      severity: value('severity') as AlertSeverity,
+      condition: value('condition'),
+      field: value('field'),
+      change: value('change'),
+      windowMinutes: value('windowMinutes'),
+      scope: value('scope')
+    });
+    if (added) {
+      form.reset();
+      this.draftType = 'threshold';
+    }
+  }
+
+  private async buildRule(input: AlertRuleInput): Promise<AlertRule | null> {
+    const name = input.name.trim();
+    const scope = input.scope.trim();
+    if (!name) return this.fail('Give the rule a name');
+    if (scope && !await this.checkExpression(scope, 'scope')) return null;
+
+    const rule: AlertRule = {
+      id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`,
+      name,
+      type: input.type,
+      severity: input.severity || 'warning',
+      ...(scope ? { scope } : {})
+    };
+
+    if (input.type === 'threshold') {
+      const condition = input.condition.trim();
+      if (!condition) return this.fail('Enter a condition, e.g. pnl < -50000');
+      if (!await this.checkExpression(condition, 'condition')) return null;
+      return { ...rule, condition };
+    }
+
+    const field = input.field.trim();
+    const change = Number(input.change);
+    const windowMinutes = Number(input.windowMinutes || 5);
+    if (!field) return this.fail('Enter the field to watch, e.g. pnlPercent');
+    if (!(change > 0)) return this.fail('Change must be a positive number');
+    if (!(windowMinutes > 0)) return this.fail('Window must be a positive number of minutes');
+    return { ...rule, field, change, windowMs: windowMinutes * 60000 };
+  }
+
+  private async checkExpression(expression: string, what: string): Promise<boolean> {
+    const result = await this.stompService.validateExpression(expression);
+    if (!result.valid) {
+      this.error = `Invalid ${what}: ${result.error}`;
+    }
+    return result.valid;
+  }
+
+  private async updateRules(rules: AlertRule[]): Promise<boolean> {
+    try {
+      await this.alertService.setRules(rules);
+      this.error = null;
+      return true;
+    } catch (error) {
+      this.error = (error as Error).message;
+      return false;
+    }
+  }
+
+  private fail(message: string): null {
+    this.error = message;
+    return null;
+  }
+}
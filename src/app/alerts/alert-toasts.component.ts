@@ -0,0 +1,73 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { Subject, takeUntil } from 'rxjs';
+import { AlertService } from '../services/alert.service';
+import { StompAlert } from '../services/stomp-client-enhanced.service';
+
+/**
+ * Pop-up for each alert as it fires, on whichever view is showing. Toasts
+ * fade after a few seconds; the alert panel keeps the full log.
+ */
+@Component({
+  selector: 'app-alert-toasts',
+  templateUrl: './alert-toasts.component.html',
+  styleUrls: ['./alert-toasts.component.css']
+})
+export class AlertToastsComponent implements OnInit, OnDestroy {
+  private static readonly TOAST_MS = 8000;
+  // A burst beyond this shows as "+N more" instead of filling the screen
+  private static readonly MAX_TOASTS = 4;
+
+  toasts: StompAlert[] = [];
+  overflow = 0;
+
+  private timers = new Map<string, any>();
+  private destroy$ = new Subject<void>();
+
+  constructor(private alertService: AlertService) {}
+
+  ngOnInit(): void {
+    this.alertService.fired$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(alerts => this.show(alerts));
+
+    // Acknowledged here, in the panel or in another tab
+    this.alertService.alerts$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(alerts => {
+        const acknowledged = new Set(alerts.filter(alert => alert.acknowledged).map(alert => alert.id));
+        this.toasts.filter(toast => acknowledged.has(toast.id)).forEach(toast => this.dismiss(toast));
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  dismiss(toast: StompAlert): void {
+    clearTimeout(this.timers.get(toast.id));
+    this.timers.delete(toast.id);
+    this.toasts = this.toasts.filter(shown => shown.id !== toast.id);
+    if (this.toasts.length === 0) {
+      this.overflow = 0;
+    }
+  }
+
+  acknowledge(toast: StompAlert): void {
+    this.alertService.acknowledge([toast.id])
+      .catch(error => console.error('[AlertToasts] Acknowledge failed:', error));
+    this.dismiss(toast);
+  }
+
+  private show(alerts: StompAlert[]): void {
+    const room = AlertToastsComponent.MAX_TOASTS - this.toasts.length;
+    const shown = alerts.slice(-Math.max(room, 0));
+    this.overflow += alerts.length - shown.length;
+
+    shown.forEach(alert => {
+      this.timers.set(alert.id, setTimeout(() => this.dismiss(alert), AlertToastsComponent.TOAST_MS));
+    });
+    this.toasts = [...this.toasts, ...shown];
+  }
+}
@@ -1,7 +1,14 @@
 import { NgModule } from '@angular/core';
 import { RouterModule, Routes } from '@angular/router';
+import { PositionsComponent } from './positions/positions.component';
+import { TradesComponent } from './trades/trades.component';
 
-const routes: Routes = [];
+const routes: Routes = [
+  { path: '', pathMatch: 'full', redirectTo: 'positions' },
+  { path: 'positions', component: PositionsComponent },
+  { path: 'trades', component: TradesComponent },
+  { path: '**', redirectTo: 'positions' }
+];
 
 @NgModule({
   imports: [RouterModule.forRoot(routes)],
@@ -1,11 +1,15 @@
 import { TestBed } from '@angular/core/testing';
 import { RouterTestingModule } from '@angular/router/testing';
+import { Subject } from 'rxjs';
 import { AppComponent } from './app.component';
+import { AlertToastsComponent } from './alerts/alert-toasts.component';
+import { AlertService } from './services/alert.service';
 
 describe('AppComponent', () => {
   beforeEach(() => TestBed.configureTestingModule({
     imports: [RouterTestingModule],
-    declarations: [AppComponent]
+    declarations: [AppComponent, AlertToastsComponent],
+    providers: [{ provide: AlertService, useValue: { fired$: new Subject(), alerts$: new Subject() } }]
   }));
 
   it('should create the app', () => {
@@ -20,10 +24,11 @@ describe('AppComponent', () => {
     expect(app.title).toEqual('angular16-app');
   });
 
-  it('should render title', () => {
+  it('should render title and navigation', () => {
     const fixture = TestBed.createComponent(AppComponent);
     fixture.detectChanges();
     const compiled = fixture.nativeElement as HTMLElement;
-    expect(compiled.querySelector('.content span')?.textContent).toContain('angular16-app app is running!');
+    expect(compiled.querySelector('.header h1')?.textContent).toContain('angular16-app');
+    expect(Array.from(compiled.querySelectorAll('.nav a')).map(link => link.textContent)).toEqual(['Positions', 'Trades']);
   });
 });
@@ -3,13 +3,31 @@ import { BrowserModule } from '@angular/platform-browser';
 
 import { AppRoutingModule } from './app-routing.module';
 import { AppComponent } from './app.component';
+import { PositionsComponent } from './positions/positions.component';
+import { TradesComponent } from './trades/trades.component';
+import { SchemaDevPanelComponent } from './schema-dev-panel/schema-dev-panel.component';
+import { LayoutToolbarComponent } from './grid/layout-toolbar.component';
+import { ComputedColumnEditorComponent } from './grid/computed-column-editor.component';
+import { AlertToastsComponent } from './alerts/alert-toasts.component';
+import { AlertPanelComponent } from './alerts/alert-panel.component';
+import { HistoryDrawerComponent } from './history/history-drawer.component';
+import { SessionControlsComponent } from './replay/session-controls.component';
 
 // AG Grid Imports
 import { AgGridModule } from 'ag-grid-angular';
 
 @NgModule({
   declarations: [
-    AppComponent
+    AppComponent,
+    PositionsComponent,
+    TradesComponent,
+    SchemaDevPanelComponent,
+    LayoutToolbarComponent,
+    ComputedColumnEditorComponent,
+    AlertToastsComponent,
+    AlertPanelComponent,
+    HistoryDrawerComponent,
+    SessionControlsComponent
   ],
   imports: [
     BrowserModule,
@@ -0,0 +1,41 @@
+import { IAggFuncParams, IRowNode } from 'ag-grid-enterprise';
+import { WeightedAverage, weightedAverage } from './aggregations';
+
+describe('weightedAverage', () => {
+  const mvWeighted = weightedAverage('marketValue');
+
+  const leaf = (duration: number | null, marketValue: number) =>
+    ({ data: { duration, marketValue } } as unknown as IRowNode);
+
+  const aggregate = (nodes: IRowNode[], values: any[]): WeightedAverage =>
+    mvWeighted({ values, rowNode: { childrenAfterFilter: nodes } } as unknown as IAggFuncParams);
+
+  it('should weight leaf values by market value', () => {
+    const nodes = [leaf(2, 100), leaf(10, 300)];
+
+    expect(aggregate(nodes, [2, 10]).value).toBe(8);
+  });
+
+  it('should combine child groups by their sums, not their averages', () => {
+    const small = aggregate([leaf(2, 100)], [2]);
+    const large = aggregate([leaf(10, 300), leaf(10, 300)], [10, 10]);
+    const parent = aggregate([{} as IRowNode, {} as IRowNode], [small, large]);
+
+    // (2*100 + 10*600) / 700, where averaging the averages would give 6
+    expect(parent.value).toBeCloseTo(8.857, 3);
+  });
+
+  it('should skip missing values and weigh shorts by size', () => {
+    const nodes = [leaf(null, 500), leaf(4, -100), leaf(6, 100)];
+
+    expect(aggregate(nodes, [null, 4, 6]).value).toBe(5);
+  });
+
+  it('should behave like its number when compared or formatted', () => {
+    const result = new WeightedAverage(50, 10);
+
+    expect(Number(result)).toBe(5);
+    expect(result > new WeightedAverage(40, 10)).toBeTrue();
+    expect(new WeightedAverage(0, 0).value).toBeNull();
+  });
+});
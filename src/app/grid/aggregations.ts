@@ -0,0 +1,71 @@
+import { IAggFunc, IAggFuncParams, IRowNode, RowNode } from 'ag-grid-enterprise';
+
+/**
+ * Result of a weighted average. Groups keep the numerator and the total
+ * weight so a parent group (or a pivot total) combines its children exactly
+ * instead of averaging their averages. valueOf() makes it sort, compare and
+ * format like the number it stands for.
+ */
+export class WeightedAverage {
+  constructor(readonly sumProduct: number, readonly weight: number) {}
+
+  get value(): number | null {
+    return this.weight === 0 ? null : this.sumProduct / this.weight;
+  }
+
+  valueOf(): number {
+    return this.value ?? NaN;
+  }
+
+  toString(): string {
+    return this.value === null ? '' : String(this.value);
+  }
+}
+
+// Rows whose values AG Grid passes to the aggregation, in the same order
+function nodesForValues<TData>(params: IAggFuncParams<TData>): IRowNode<TData>[] {
+  const pivotKeys = params.pivotResultColumn?.getColDef().pivotKeys;
+  if (pivotKeys && params.rowNode.leafGroup) {
+    // Leaf groups index their rows by pivot keys when pivoting
+    let mapped: any = (params.rowNode as RowNode<TData>).childrenMapped;
+    pivotKeys.forEach(key => mapped = mapped ? mapped[key] : null);
+    return mapped || [];
+  }
+  return params.rowNode.childrenAfterFilter || [];
+}
+
+/**
+ * Average of a column weighted by another field of the row, e.g. duration
+ * weighted by market value. Child groups contribute their own sums, so the
+ * result is the same however the rows are grouped.
+ */
+export function weightedAverage(weightField: string): IAggFunc {
+  return (params: IAggFuncParams) => {
+    const nodes = nodesForValues(params);
+    let sumProduct = 0;
+    let weight = 0;
+
+    params.values.forEach((value: any, index) => {
+      if (value instanceof WeightedAverage) {
+        sumProduct += value.sumProduct;
+        weight += value.weight;
+        return;
+      }
+
+      // Shorts count by size, so long and short books do not cancel out
+      const rowWeight = Math.abs(Number(nodes[index]?.data?.[weightField]));
+      if (value === null || value === undefined || isNaN(value) || isNaN(rowWeight)) {
+        return;
+      }
+      sumProduct += Number(value) * rowWeight;
+      weight += rowWeight;
+    });
+
+    return new WeightedAverage(sumProduct, weight);
+  };
+}
+
+// Custom aggregations offered by the positions grid (`aggFuncs` grid option)
+export const POSITION_AGG_FUNCS: Record<string, IAggFunc> = {
+  mvWeightedAvg: weightedAverage('marketValue')
+};
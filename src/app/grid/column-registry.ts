@@ -0,0 +1,372 @@
+import { ColDef, ValueFormatterParams } from 'ag-grid-enterprise';
+import { Position, Trade } from '../services/stomp-client-enhanced.service';
+
+// Grids whose columns and saved layouts are managed here
+export type GridId = 'positions' | 'trades';
+
+// Aggregations offered for rate-like columns; summing them is meaningless
+const WEIGHTED_AGG_FUNCS = ['mvWeightedAvg', 'avg', 'min', 'max'];
+
+// Group rows hold WeightedAverage objects for these columns; Number() unwraps them
+const fixed = (digits: number, suffix = '') => (params: ValueFormatterParams) => {
+  const value = params.value == null ? NaN : Number(params.value);
+  return isNaN(value) ? '' : value.toFixed(digits) + suffix;
+};
+
+const MATURITY_BUCKETS = ['< 1Y', '1-3Y', '3-5Y', '5-10Y', '10Y+', 'No maturity'];
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Time to maturity from today, for grouping and pivoting
+export function maturityBucket(maturityDate: string | undefined): string {
+  const years = maturityDate ? (new Date(maturityDate).getTime() - Date.now()) / MS_PER_YEAR : NaN;
+  if (isNaN(years)) return 'No maturity';
+  if (years < 1) return '< 1Y';
+  if (years < 3) return '1-3Y';
+  if (years < 5) return '3-5Y';
+  if (years < 10) return '5-10Y';
+  return '10Y+';
+}
+
+// Grid `context` of the positions grid: recent values per positionId and
+// field, for the rows on screen (PositionsComponent polls the worker's history)
+export interface PositionGridContext {
+  history: Map<string, Record<string, number[]>>;
+}
+
+// Trend of a history field (StompConfig.historyFields) from the grid context
+const sparkline = (field: string, headerName: string, hide = false): ColDef<Position> => ({
+  colId: `${field}Trend`,
+  headerName,
+  hide,
+  width: 130,
+  sortable: false,
+  filter: false,
+  enableCellChangeFlash: false,
+  valueGetter: (params) => (params.context as PositionGridContext | undefined)?.history.get(params.data?.positionId ?? '')?.[field] ?? [],
+  cellRenderer: 'agSparklineCellRenderer',
+  cellRendererParams: {
+    sparklineOptions: {
+      type: 'line',
+      line: { stroke: '#764ba2', strokeWidth: 1.5 },
+      padding: { top: 4, bottom: 4 }
+    }
+  }
+});
+
+/**
+ * Every column a grid can show. Columns with `hide: true` are off by default
+ * and can be turned on from the Columns tool panel; saved layouts (see
+ * GridLayoutService) record which are visible, plus order, widths, sort,
+ * filters, grouping and pivot. colIds default to the field name, so keep
+ * fields stable - layouts refer to columns by colId.
+ */
+const POSITION_COLUMNS: ColDef<Position>[] = [
+  {
+    field: "positionId",
+    headerName: "Position ID",
+    sortable: true,
+    filter: true,
+    width: 150,
+    pinned: 'left',
+    enableCellChangeFlash: false  // ID doesn't change, no need to flash
+  },
+  {
+    field: "cusip",
+    headerName: "CUSIP",
+    sortable: true,
+    filter: true,
+    width: 120,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "symbol",
+    headerName: "Symbol",
+    sortable: true,
+    filter: true,
+    width: 100,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "description",
+    headerName: "Description",
+    sortable: true,
+    filter: true,
+    width: 200,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "quantity",
+    headerName: "Quantity",
+    sortable: true,
+    filter: true,
+    width: 120,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'sum',
+    valueFormatter: (params) => params.value?.toLocaleString() || '0'
+  },
+  {
+    field: "marketValue",
+    headerName: "Market Value",
+    sortable: true,
+    filter: true,
+    width: 150,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'sum',
+    valueFormatter: (params) => '$' + (params.value?.toLocaleString() || '0'),
+    cellStyle: (params) => {
+      if (params.value > 1000000) return { backgroundColor: '#e8f5e8' };
+      if (params.value < 0) return { backgroundColor: '#ffe8e8' };
+      return null;
+    }
+  },
+  sparkline("marketValue", "MV Trend", true),
+  {
+    field: "bookValue",
+    headerName: "Book Value",
+    sortable: true,
+    filter: true,
+    width: 150,
+    hide: true,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'sum',
+    valueFormatter: (params) => '$' + (params.value?.toLocaleString() || '0')
+  },
+  {
+    field: "pnl",
+    headerName: "P&L",
+    sortable: true,
+    filter: true,
+    width: 120,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'sum',
+    valueFormatter: (params) => '$' + (params.value?.toLocaleString() || '0'),
+    cellStyle: (params) => {
+      if (params.value > 0) return { color: 'green', fontWeight: 'bold' };
+      if (params.value < 0) return { color: 'red', fontWeight: 'bold' };
+      return null;
+    }
+  },
+  sparkline("pnl", "P&L Trend"),
+  {
+    field: "pnlPercent",
+    headerName: "P&L %",
+    sortable: true,
+    filter: true,
+    width: 100,
+    enableValue: true,  // Enable for aggregation
+    defaultAggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(2, '%'),
+    cellStyle: (params) => {
+      if (params.value > 0) return { color: 'green', fontWeight: 'bold' };
+      if (params.value < 0) return { color: 'red', fontWeight: 'bold' };
+      return null;
+    }
+  },
+  {
+    field: "sector",
+    headerName: "Sector",
+    sortable: true,
+    filter: true,
+    enableRowGroup: true,
+    enablePivot: true,
+    width: 120,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "industry",
+    headerName: "Industry",
+    sortable: true,
+    filter: true,
+    enableRowGroup: true,
+    enablePivot: true,
+    width: 140,
+    hide: true,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "rating",
+    headerName: "Rating",
+    sortable: true,
+    filter: true,
+    enableRowGroup: true,
+    enablePivot: true,
+    width: 100,
+    enableCellChangeFlash: false  // Static field
+  },
+  {
+    field: "maturityDate",
+    headerName: "Maturity",
+    sortable: true,
+    filter: 'agDateColumnFilter',
+    width: 120,
+    hide: true,
+    enableCellChangeFlash: false,  // Static field
+    valueFormatter: (params) => params.value ? new Date(params.value).toLocaleDateString() : ''
+  },
+  {
+    colId: "maturityBucket",
+    headerName: "Maturity Bucket",
+    width: 130,
+    hide: true,
+    enableRowGroup: true,
+    enablePivot: true,
+    enableCellChangeFlash: false,
+    valueGetter: (params) => params.data ? maturityBucket(params.data.maturityDate) : undefined,
+    comparator: (a, b) => MATURITY_BUCKETS.indexOf(a) - MATURITY_BUCKETS.indexOf(b)
+  },
+  {
+    field: "couponRate",
+    headerName: "Coupon",
+    sortable: true,
+    filter: true,
+    width: 100,
+    hide: true,
+    enableCellChangeFlash: false,  // Static field
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(3, '%')
+  },
+  {
+    field: "duration",
+    headerName: "Duration",
+    sortable: true,
+    filter: true,
+    width: 100,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(2)
+  },
+  {
+    field: "convexity",
+    headerName: "Convexity",
+    sortable: true,
+    filter: true,
+    width: 100,
+    hide: true,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(2)
+  },
+  {
+    field: "yieldToMaturity",
+    headerName: "YTM",
+    sortable: true,
+    filter: true,
+    width: 100,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(2, '%')
+  },
+  sparkline("yieldToMaturity", "YTM Trend", true),
+  {
+    field: "spreadToBenchmark",
+    headerName: "Spread (bp)",
+    sortable: true,
+    filter: true,
+    width: 110,
+    hide: true,
+    enableValue: true,  // Enable for aggregation
+    aggFunc: 'mvWeightedAvg',
+    allowedAggFuncs: WEIGHTED_AGG_FUNCS,
+    valueFormatter: fixed(1)
+  },
+  {
+    field: "lastUpdated",
+    headerName: "Last Updated",
+    sortable: true,
+    filter: true,
+    width: 180,
+    enableCellChangeFlash: false,  // Always changes, no need to flash
+    valueFormatter: (params) => {
+      if (params.value) {
+        const date = new Date(params.value);
+        return date.toLocaleString();
+      }
+      return '';
+    }
+  }
+];
+
+const TRADE_COLUMNS: ColDef<Trade>[] = [
+  {
+    field: 'tradeId',
+    headerName: 'Trade ID',
+    width: 150,
+    pinned: 'left',
+    enableCellChangeFlash: false
+  },
+  { field: 'positionId', headerName: 'Position ID', width: 140, enableCellChangeFlash: false },
+  { field: 'cusip', headerName: 'CUSIP', width: 120, enableCellChangeFlash: false },
+  { field: 'symbol', headerName: 'Symbol', width: 100, enableCellChangeFlash: false },
+  {
+    field: 'side',
+    headerName: 'Side',
+    width: 90,
+    enableRowGroup: true,
+    enablePivot: true,
+    cellStyle: (params) => {
+      if (params.value === 'BUY') return { color: 'green', fontWeight: 'bold' };
+      if (params.value === 'SELL') return { color: 'red', fontWeight: 'bold' };
+      return null;
+    }
+  },
+  {
+    field: 'quantity',
+    headerName: 'Quantity',
+    width: 120,
+    enableValue: true,
+    valueFormatter: (params) => params.value?.toLocaleString() || '0'
+  },
+  {
+    field: 'price',
+    headerName: 'Price',
+    width: 100,
+    valueFormatter: (params) => params.value?.toFixed(3) || ''
+  },
+  {
+    field: 'notional',
+    headerName: 'Notional',
+    width: 150,
+    enableValue: true,
+    valueFormatter: (params) => params.value == null ? '' : '$' + params.value.toLocaleString()
+  },
+  {
+    field: 'tradeDate',
+    headerName: 'Trade Date',
+    width: 120,
+    enableCellChangeFlash: false,
+    valueFormatter: (params) => params.value ? new Date(params.value).toLocaleDateString() : ''
+  },
+  {
+    field: 'settlementDate',
+    headerName: 'Settles',
+    width: 120,
+    enableCellChangeFlash: false,
+    valueFormatter: (params) => params.value ? new Date(params.value).toLocaleDateString() : ''
+  },
+  { field: 'counterparty', headerName: 'Counterparty', width: 140, enableRowGroup: true, enablePivot: true },
+  { field: 'trader', headerName: 'Trader', width: 110, enableRowGroup: true, enablePivot: true },
+  { field: 'status', headerName: 'Status', width: 110, enableRowGroup: true, enablePivot: true },
+  {
+    field: 'lastUpdated',
+    headerName: 'Last Updated',
+    width: 180,
+    enableCellChangeFlash: false,
+    valueFormatter: (params) => params.value ? new Date(params.value).toLocaleString() : ''
+  }
+];
+
+const REGISTRY: Record<GridId, ColDef[]> = {
+  positions: POSITION_COLUMNS,
+  trades: TRADE_COLUMNS
+};
+
+// Fresh copies, so one grid's changes to its definitions never leak into another
+export function columnsFor(gridId: GridId): ColDef[] {
+  return REGISTRY[gridId].map(column => ({ ...column }));
+}
@@ -0,0 +1,60 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+import { ComputedColumnEditorComponent } from './computed-column-editor.component';
+import { ComputedColumn } from './computed-columns';
+
+describe('ComputedColumnEditorComponent', () => {
+  let fixture: ComponentFixture<ComputedColumnEditorComponent>;
+  let editor: ComputedColumnEditorComponent;
+  let stompService: jasmine.SpyObj<StompClientEnhancedService>;
+  let emitted: ComputedColumn[][];
+
+  const gain: ComputedColumn = { id: 'gain', headerName: 'Gain', expression: 'marketValue - bookValue', type: 'number' };
+  const column = (id: string, expression: string): ComputedColumn => ({ id, headerName: '', expression, type: 'number' });
+
+  beforeEach(() => {
+    stompService = jasmine.createSpyObj<StompClientEnhancedService>('StompClientEnhancedService', ['validateExpression']);
+    // Reports the identifiers used, like the worker's parser
+    stompService.validateExpression.and.callFake(expression => Promise.resolve(expression.endsWith('+')
+      ? { valid: false, error: 'Unexpected end of expression', position: expression.length }
+      : { valid: true, fields: expression.match(/[A-Za-z_]\w*/g) || [] }));
+
+    TestBed.configureTestingModule({
+      declarations: [ComputedColumnEditorComponent],
+      providers: [{ provide: StompClientEnhancedService, useValue: stompService }]
+    });
+    fixture = TestBed.createComponent(ComputedColumnEditorComponent);
+    editor = fixture.componentInstance;
+    editor.knownFields = ['marketValue', 'bookValue', 'duration'];
+    editor.columns = [gain];
+    emitted = [];
+    editor.columnsChange.subscribe(columns => emitted.push(columns));
+  });
+
+  afterEach(() => fixture.destroy());
+
+  it('should add a column that uses row fields and earlier computed columns', async () => {
+    expect(await editor.add(column('gainDv', 'gain * duration'))).toBeTrue();
+
+    expect(emitted[0].map(added => added.id)).toEqual(['gain', 'gainDv']);
+    expect(emitted[0][1].headerName).toBe('gainDv');
+  });
+
+  it('should reject bad names, expressions and unknown fields', async () => {
+    expect(await editor.add(column('2x', 'duration * 2'))).toBeFalse();
+    expect(await editor.add(column('duration', 'duration * 2'))).toBeFalse();
+    expect(await editor.add(column('twice', 'duration +'))).toBeFalse();
+    expect(editor.error).toBe('Invalid expression: Unexpected end of expression');
+    expect(await editor.add(column('twice', 'durration * 2'))).toBeFalse();
+    expect(editor.error).toBe('Unknown field: durration');
+    expect(emitted).toEqual([]);
+  });
+
+  it('should remove the columns that depend on a removed column', () => {
+    editor.columns = [gain, column('gainDv', 'gain * duration'), column('scaled', 'gainDv / 100'), column('dv01', 'duration / 100')];
+
+    editor.remove(0);
+
+    expect(emitted[0].map(kept => kept.id)).toEqual(['dv01']);
+  });
+});
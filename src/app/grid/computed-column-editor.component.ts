@@ -0,0 +1,88 @@
+import { Component, EventEmitter, Input, Output } from '@angular/core';
+import { StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+import { COMPUTED_COLUMN_ID, ComputedColumn, EXAMPLE_COMPUTED_COLUMNS } from './computed-columns';
+
+/**
+ * Add and remove computed columns. Expressions are checked with the worker's
+ * parser, and may only use the grid's own fields and computed columns listed
+ * before them - the worker evaluates them in order.
+ */
+@Component({
+  selector: 'app-computed-column-editor',
+  templateUrl: './computed-column-editor.component.html',
+  styleUrls: ['./computed-column-editor.component.css']
+})
+export class ComputedColumnEditorComponent {
+  @Input() columns: ComputedColumn[] = [];
+  // Fields of the grid's rows, which expressions can use and new columns cannot reuse
+  @Input() knownFields: string[] = [];
+  @Output() columnsChange = new EventEmitter<ComputedColumn[]>();
+
+  readonly examples = EXAMPLE_COMPUTED_COLUMNS;
+  error: string | null = null;
+
+  constructor(private stompService: StompClientEnhancedService) {}
+
+  // Emits the new list when the column is valid; otherwise sets `error`
+  async add(column: ComputedColumn): Promise<boolean> {
+    const id = column.id.trim();
+    const expression = column.expression.trim();
+    const computedIds = this.columns.map(existing => existing.id);
+
+    if (!COMPUTED_COLUMN_ID.test(id)) {
+      return this.fail('Field name must start with a letter and contain only letters, digits and _');
+    }
+    if (this.knownFields.includes(id) || computedIds.includes(id)) {
+      return this.fail(`'${id}' is already a column`);
+    }
+    if (!expression) {
+      return this.fail('Enter an expression');
+    }
+
+    const result = await this.stompService.validateExpression(expression);
+    if (!result.valid) {
+      return this.fail(`Invalid expression: ${result.error}`);
+    }
+    const unknown = (result.fields || []).filter(field => !this.knownFields.includes(field) && !computedIds.includes(field));
+    if (unknown.length > 0) {
+      return this.fail(`Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+
+    this.error = null;
+    this.columnsChange.emit([...this.columns, { ...column, id, expression, headerName: column.headerName.trim() || id }]);
+    return true;
+  }
+
+  // Clears the inputs once the column is added
+  async addFromInputs(header: HTMLInputElement, id: HTMLInputElement, expression: HTMLInputElement, type: HTMLSelectElement): Promise<void> {
+    const added = await this.add({
+      id: id.value,
+      headerName: header.value,
+      expression: expression.value,
+      type: type.value === 'text' ? 'text' : 'number'
+    });
+    if (added) {
+      header.value = id.value = expression.value = '';
+    }
+  }
+
+  // Later columns that use this one, directly or through another, go with it
+  remove(index: number): void {
+    const removed = new Set([this.columns[index].id]);
+    const dependents = this.columns.slice(index + 1).filter(column => {
+      const uses = (column.expression.match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || []).some(name => removed.has(name));
+      if (uses) removed.add(column.id);
+      return uses;
+    });
+
+    this.error = dependents.length > 0
+      ? `Also removed ${dependents.map(column => column.headerName).join(', ')}, which depended on ${this.columns[index].headerName}`
+      : null;
+    this.columnsChange.emit(this.columns.filter(column => !removed.has(column.id)));
+  }
+
+  private fail(message: string): false {
+    this.error = message;
+    return false;
+  }
+}
@@ -0,0 +1,51 @@
+import { ColDef, ValueFormatterParams } from 'ag-grid-enterprise';
+import { ComputedField } from '../services/stomp-client-enhanced.service';
+
+/**
+ * A user-defined column. The worker evaluates `expression` (the filter
+ * expression language) on every row and adds the result as field `id`, so
+ * the grid sorts, filters, groups and aggregates it like a native field.
+ */
+export interface ComputedColumn extends ComputedField {
+  headerName: string;
+  type: 'number' | 'text';
+}
+
+// Field names are identifiers so expressions can refer to them
+export const COMPUTED_COLUMN_ID = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Offered in the column editor as starting points
+export const EXAMPLE_COMPUTED_COLUMNS: ComputedColumn[] = [
+  { id: 'unrealizedGain', headerName: 'Unrealized Gain', expression: 'marketValue - bookValue', type: 'number' },
+  { id: 'dv01', headerName: 'DV01', expression: 'duration * marketValue / 10000', type: 'number' },
+  { id: 'daysToMaturity', headerName: 'Days to Maturity', expression: 'daysUntil(maturityDate)', type: 'number' }
+];
+
+// Group rows hold WeightedAverage objects for mvWeightedAvg; Number() unwraps them
+const formatNumber = (params: ValueFormatterParams) => {
+  const value = params.value == null ? NaN : Number(params.value);
+  return isNaN(value) ? '' : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
+
+export function computedColDef(column: ComputedColumn): ColDef {
+  const colDef: ColDef = {
+    colId: column.id,
+    field: column.id,
+    headerName: column.headerName || column.id,
+    headerTooltip: column.expression,
+    sortable: true,
+    width: 140
+  };
+
+  if (column.type === 'text') {
+    return { ...colDef, filter: 'agTextColumnFilter', enableRowGroup: true, enablePivot: true };
+  }
+  return {
+    ...colDef,
+    filter: 'agNumberColumnFilter',
+    enableValue: true,
+    aggFunc: 'sum',
+    allowedAggFuncs: ['sum', 'avg', 'mvWeightedAvg', 'min', 'max'],
+    valueFormatter: formatNumber
+  };
+}
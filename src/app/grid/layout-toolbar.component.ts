@@ -0,0 +1,102 @@
+import { Component, EventEmitter, Input, OnChanges, Output } from '@angular/core';
+import { GridApi } from 'ag-grid-enterprise';
+import { GridLayout, GridLayoutService } from '../services/grid-layout.service';
+import { GridId } from './column-registry';
+import { ComputedColumn } from './computed-columns';
+
+/**
+ * Layout picker for a grid: switch between saved layouts, save the current
+ * arrangement, and export or import layouts as JSON. Grids with computed
+ * columns pass them in to be saved, and add a layout's own computed columns
+ * on layoutSelected, before its column state is applied.
+ */
+@Component({
+  selector: 'app-layout-toolbar',
+  templateUrl: './layout-toolbar.component.html',
+  styleUrls: ['./layout-toolbar.component.css']
+})
+export class LayoutToolbarComponent implements OnChanges {
+  @Input() gridId!: GridId;
+  @Input() api?: GridApi;
+  @Input() computedColumns: ComputedColumn[] = [];
+  // null for the default layout
+  @Output() layoutSelected = new EventEmitter<GridLayout | null>();
+
+  layouts: GridLayout[] = [];
+  // Selected layout name; '' is the registry's default columns
+  activeName = '';
+  message: { text: string; error: boolean } | null = null;
+
+  constructor(private layoutService: GridLayoutService) {}
+
+  // The grid restores its active layout itself on gridReady (GridLayoutService.restore)
+  ngOnChanges(): void {
+    this.refresh();
+    this.activeName = this.layoutService.getActive(this.gridId)?.name ?? '';
+  }
+
+  select(name: string): void {
+    if (!this.api) return;
+
+    const layout = name ? this.layoutService.get(this.gridId, name) : undefined;
+    this.layoutSelected.emit(layout ?? null);
+    if (layout) {
+      this.layoutService.apply(this.api, layout);
+    } else {
+      this.layoutService.reset(this.api);
+    }
+    this.activeName = layout ? layout.name : '';
+    this.layoutService.setActive(this.gridId, layout ? layout.name : null);
+    this.message = null;
+  }
+
+  // Overwrite the selected layout, or save under a new name
+  save(name: string = this.activeName): void {
+    name = name.trim();
+    if (!this.api || !name) return;
+
+    this.layoutService.save(this.gridId, this.layoutService.capture(this.api, name, this.computedColumns));
+    this.layoutService.setActive(this.gridId, name);
+    this.activeName = name;
+    this.refresh();
+    this.message = { text: `Saved layout '${name}'`, error: false };
+  }
+
+  delete(): void {
+    if (!this.activeName) return;
+
+    this.layoutService.remove(this.gridId, this.activeName);
+    this.message = { text: `Deleted layout '${this.activeName}'`, error: false };
+    this.activeName = '';
+    this.refresh();
+  }
+
+  export(): void {
+    const blob = new Blob([this.layoutService.export(this.gridId)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.gridId}-layouts.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async import(input: HTMLInputElement): Promise<void> {
+    const file = input.files?.[0];
+    // Let the same file be picked again
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const imported = this.layoutService.import(this.gridId, await file.text());
+      this.refresh();
+      this.message = { text: `Imported ${imported.length} layout(s) from ${file.name}`, error: false };
+    } catch (error) {
+      this.message = { text: `Import failed: ${(error as Error).message}`, error: true };
+    }
+  }
+
+  private refresh(): void {
+    this.layouts = this.layoutService.list(this.gridId);
+  }
+}
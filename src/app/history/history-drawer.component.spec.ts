@@ -0,0 +1,56 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { Position, StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+import { chartPoints, HistoryDrawerComponent } from './history-drawer.component';
+
+describe('chartPoints', () => {
+  it('should scale time across and value up', () => {
+    expect(chartPoints([1000, 2000, 3000], [10, 20, 15], 100, 50)).toBe('0.0,50.0 50.0,0.0 100.0,25.0');
+  });
+
+  it('should skip missing values and draw a flat line in the middle', () => {
+    expect(chartPoints([1000, 2000, 3000], [5, null, 5], 100, 50)).toBe('0.0,25.0 100.0,25.0');
+    expect(chartPoints([1000], [null], 100, 50)).toBe('');
+  });
+});
+
+describe('HistoryDrawerComponent', () => {
+  let fixture: ComponentFixture<HistoryDrawerComponent>;
+  let drawer: HistoryDrawerComponent;
+  let stompService: jasmine.SpyObj<StompClientEnhancedService>;
+
+  beforeEach(() => {
+    stompService = jasmine.createSpyObj<StompClientEnhancedService>('StompClientEnhancedService', ['getHistory']);
+    stompService.getHistory.and.resolveTo({
+      'POS-1': { times: [1000, 2000, 3000], values: { pnl: [100, null, 250], marketValue: [5000, 5100, 4900] } }
+    });
+
+    TestBed.configureTestingModule({
+      declarations: [HistoryDrawerComponent],
+      providers: [{ provide: StompClientEnhancedService, useValue: stompService }]
+    });
+    fixture = TestBed.createComponent(HistoryDrawerComponent);
+    drawer = fixture.componentInstance;
+    drawer.position = { positionId: 'POS-1', cusip: '912828XX1', symbol: 'UST' } as Position;
+    drawer.fields = ['pnl', 'marketValue'];
+  });
+
+  afterEach(() => fixture.destroy());
+
+  it('should chart each field with its range and change', async () => {
+    await drawer.load();
+
+    expect(stompService.getHistory).toHaveBeenCalledWith(['POS-1'], ['pnl', 'marketValue']);
+    expect(drawer.samples).toBe(3);
+    const [pnl, marketValue] = drawer.charts;
+    expect(pnl).toEqual(jasmine.objectContaining({ label: 'P&L', first: 100, last: 250, min: 100, max: 250 }));
+    expect(marketValue).toEqual(jasmine.objectContaining({ first: 5000, last: 4900, min: 4900, max: 5100 }));
+  });
+
+  it('should show empty charts before the position has history', async () => {
+    stompService.getHistory.and.resolveTo({});
+    await drawer.load();
+
+    expect(drawer.samples).toBe(0);
+    expect(drawer.charts.map(chart => chart.points)).toEqual(['', '']);
+  });
+});
@@ -0,0 +1,106 @@
+import { Component, EventEmitter, Input, OnChanges, OnDestroy, OnInit, Output } from '@angular/core';
+import { Position, RowHistory, StompClientEnhancedService } from '../services/stomp-client-enhanced.service';
+import { columnsFor } from '../grid/column-registry';
+
+export interface HistoryChart {
+  field: string;
+  label: string;
+  points: string;
+  first: number | null;
+  last: number | null;
+  min: number | null;
+  max: number | null;
+}
+
+// SVG polyline points for the samples, time across and value up; missing values are skipped
+export function chartPoints(times: number[], values: (number | null)[], width: number, height: number): string {
+  const samples = times
+    .map((time, i) => [time, values[i]] as [number, number | null])
+    .filter((sample): sample is [number, number] => sample[1] !== null);
+  if (samples.length === 0) return '';
+
+  const [startTime, endTime] = [samples[0][0], samples[samples.length - 1][0]];
+  const low = Math.min(...samples.map(([, value]) => value));
+  const high = Math.max(...samples.map(([, value]) => value));
+  const x = (time: number) => endTime === startTime ? width : (time - startTime) / (endTime - startTime) * width;
+  // A flat line sits in the middle
+  const y = (value: number) => high === low ? height / 2 : height - (value - low) / (high - low) * height;
+
+  return samples.map(([time, value]) => `${x(time).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+}
+
+/**
+ * Side drawer charting one position's recent history (StompConfig.historyFields)
+ * from the worker. Refreshes while open.
+ */
+@Component({
+  selector: 'app-history-drawer',
+  templateUrl: './history-drawer.component.html',
+  styleUrls: ['./history-drawer.component.css']
+})
+export class HistoryDrawerComponent implements OnInit, OnChanges, OnDestroy {
+  private static readonly REFRESH_MS = 2000;
+  static readonly CHART_WIDTH = 360;
+  static readonly CHART_HEIGHT = 80;
+
+  @Input() position!: Position;
+  @Input() fields: string[] = [];
+  @Output() closed = new EventEmitter<void>();
+
+  readonly width = HistoryDrawerComponent.CHART_WIDTH;
+  readonly height = HistoryDrawerComponent.CHART_HEIGHT;
+  charts: HistoryChart[] = [];
+  // Time span of the samples shown
+  from: Date | null = null;
+  to: Date | null = null;
+  samples = 0;
+
+  private refreshInterval: any;
+  private readonly labels = new Map(columnsFor('positions').map(column => [column.field, column.headerName]));
+
+  constructor(private stompService: StompClientEnhancedService) {}
+
+  ngOnInit(): void {
+    this.refreshInterval = setInterval(() => this.load(), HistoryDrawerComponent.REFRESH_MS);
+  }
+
+  ngOnChanges(): void {
+    this.load();
+  }
+
+  ngOnDestroy(): void {
+    clearInterval(this.refreshInterval);
+  }
+
+  async load(): Promise<void> {
+    if (!this.position) return;
+
+    try {
+      const history = await this.stompService.getHistory([this.position.positionId], this.fields);
+      this.show(history[this.position.positionId]);
+    } catch (error) {
+      console.error('[HistoryDrawer] Failed to load history:', error);
+    }
+  }
+
+  private show(history: RowHistory | undefined): void {
+    const times = history?.times ?? [];
+    this.samples = times.length;
+    this.from = times.length > 0 ? new Date(times[0]) : null;
+    this.to = times.length > 0 ? new Date(times[times.length - 1]) : null;
+
+    this.charts = this.fields.map(field => {
+      const values = history?.values[field] ?? [];
+      const present = values.filter((value): value is number => value !== null);
+      return {
+        field,
+        label: this.labels.get(field) ?? field,
+        points: chartPoints(times, values, this.width, this.height),
+        first: present.length > 0 ? present[0] : null,
+        last: present.length > 0 ? present[present.length - 1] : null,
+        min: present.length > 0 ? Math.min(...present) : null,
+        max: present.length > 0 ? Math.max(...present) : null
+      };
+    });
+  }
+}
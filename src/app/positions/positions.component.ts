@@ -0,0 +1,850 @@
+import { Component, HostListener, OnInit, OnDestroy } from '@angular/core';
+import { ColDef, GetContextMenuItemsParams, GridApi, GetRowIdParams, GridReadyEvent, IRowNode, MenuItemDef, RowClassRules, RowDoubleClickedEvent, RowSelectionOptions, SideBarDef, StatusPanelDef } from 'ag-grid-enterprise';
+import { Subject, takeUntil } from 'rxjs';
+import { StompClientEnhancedService, Position, StompClientState, SnapshotStats, SnapshotTimeout, ComputedField, StompConfig, StompRecording } from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+import { GridLayoutService } from '../services/grid-layout.service';
+import { AlertService } from '../services/alert.service';
+import { POSITION_HISTORY_FIELDS, POSITION_TRADES_PROVIDER, POSITIONS_FEED } from '../stomp-feeds';
+import { columnsFor, PositionGridContext } from '../grid/column-registry';
+import { POSITION_AGG_FUNCS, WeightedAverage } from '../grid/aggregations';
+import { ComputedColumn, computedColDef } from '../grid/computed-columns';
+import { TradesComponent } from '../trades/trades.component';
+
+@Component({
+  selector: 'app-positions',
+  templateUrl: './positions.component.html',
+  styleUrls: ['./positions.component.css']
+})
+export class PositionsComponent implements OnInit, OnDestroy {
+  private destroy$ = new Subject<void>();
+
+  // AG Grid properties
+  gridApi!: GridApi;  // Public for the layout toolbar
+  snapshotComplete = false;  // Made public for template access
+
+  // STOMP connection state
+  stompState: StompClientState = {
+    connected: false,
+    connecting: false,
+    messagesReceived: 0,
+    messagesPerSecond: 0,
+    mode: 'idle'
+  };
+
+  // Statistics tracking
+  statistics = {
+    snapshot: {
+      totalRows: 0,
+      receivedRows: 0,
+      startTime: null as Date | null,
+      endTime: null as Date | null,
+      duration: 0,
+      complete: false
+    },
+    realtime: {
+      messagesReceived: 0,
+      updatesReceived: 0,
+      addsReceived: 0,
+      removesReceived: 0,
+      messagesPerSecond: 0,
+      lastUpdateTime: null as Date | null
+    },
+    performance: {
+      gridRows: 0,
+      pendingTransactions: 0,
+      lastFlushTime: null as Date | null
+    }
+  };
+
+  // Performance tracking
+  private performanceInterval: any;
+
+  // Sparkline columns read the history of the rows on screen from the grid context
+  private static readonly SPARKLINE_REFRESH_MS = 2000;
+  private sparklineInterval: any;
+  gridContext: PositionGridContext = { history: new Map() };
+
+  // Position charted in the history drawer (context menu or double-click)
+  historyPosition: Position | null = null;
+  readonly historyFields = POSITION_HISTORY_FIELDS;
+  private messageRateBuffer: number[] = [];
+  private lastMessageTime = Date.now();
+
+  // Row Data: Real-time position data from STOMP server
+  rowData: Position[] = [];
+
+  // Live rows by positionId - O(1) membership checks for real-time transactions
+  private rowsById = new Map<string, Position>();
+
+  // Worker-side conflation: ~20 Hz while visible, 1 Hz in a background tab
+  private static readonly ACTIVE_THROTTLE_MS = 50;
+  private static readonly BACKGROUND_THROTTLE_MS = 1000;
+  
+  // Broker destinations for the grid's row actions
+  private static readonly RECALC_DESTINATION = '/app/positions/recalc';
+  private static readonly TRADE_DETAIL_DESTINATION = '/app/trades/detail';
+  private static readonly TRADE_DETAIL_TIMEOUT_MS = 5000;
+
+  // Outcome of the last context menu action, shown above the grid
+  commandResult: { text: string; error: boolean } | null = null;
+
+  // Schema validation counters and quarantined rows (Dev button)
+  showDevPanel = false;
+
+  // Alert log and rules (Alerts button)
+  showAlertPanel = false;
+
+  // Selected row and the worker-side filter for its trades in the detail panel
+  selectedPosition: Position | null = null;
+  selectedTradesFilter?: string;
+  readonly positionTradesProvider = POSITION_TRADES_PROVIDER;
+
+  // Came back to this view mid-snapshot - the rows so far went to the previous instance
+  private missedSnapshotRows = false;
+  
+  // Snapshot data accumulator - collect all snapshot data before setting to grid.
+  // Keyed by positionId so merged partial updates replace earlier rows.
+  private snapshotData = new Map<string, Position>();
+
+  // Column Definitions: every position column, see grid/column-registry.ts,
+  // then the user's computed columns
+  colDefs: ColDef[] = columnsFor('positions');
+
+  // Columns evaluated from expressions by the worker (ƒx button), saved with layouts
+  computedColumns: ComputedColumn[] = [];
+  showComputedEditor = false;
+  readonly positionFields = columnsFor('positions')
+    .map(column => column.field)
+    .filter((field): field is string => !!field);
+
+  // Default column definition
+  defaultColDef: ColDef = {
+    resizable: true,
+    sortable: true,
+    filter: true,
+    flex: 1,
+    minWidth: 100,
+    enableCellChangeFlash: true,  // Enable cell flashing on value changes
+    equals: (valueA: any, valueB: any) => {
+      // Group rows get a new WeightedAverage per recalculation - compare the numbers
+      if (valueA instanceof WeightedAverage) valueA = valueA.value;
+      if (valueB instanceof WeightedAverage) valueB = valueB.value;
+
+      // Custom equals function to properly detect changes
+      if (valueA === valueB) return true;
+      if (valueA == null && valueB == null) return true;
+      if (valueA == null || valueB == null) return false;
+      // For numbers, check with precision
+      if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return Math.abs(valueA - valueB) < 0.0001;
+      }
+      return valueA === valueB;
+    }
+  };
+
+  // Grouping and pivot: market-value-weighted averages for rate-like columns
+  aggFuncs = POSITION_AGG_FUNCS;
+
+  autoGroupColumnDef: ColDef = {
+    headerName: 'Group',
+    minWidth: 220,
+    pinned: 'left'
+  };
+
+  // Quick groupings for the Group by picker; any enableRowGroup column can be dragged to the group panel
+  readonly groupings: { label: string; colIds: string[] }[] = [
+    { label: 'None', colIds: [] },
+    { label: 'Sector', colIds: ['sector'] },
+    { label: 'Industry', colIds: ['industry'] },
+    { label: 'Rating', colIds: ['rating'] },
+    { label: 'Maturity bucket', colIds: ['maturityBucket'] },
+    { label: 'Sector › Rating', colIds: ['sector', 'rating'] }
+  ];
+  groupBy: string[] = [];
+  pivotMode = false;
+
+  // Row ID function - uses positionId for unique identification
+  getRowId = (params: GetRowIdParams<Position>) => {
+    return params.data.positionId;
+  };
+
+  // Rows with unacknowledged alerts, shaded by their highest severity
+  rowClassRules: RowClassRules<Position> = {
+    'alert-row-critical': params => this.alertService.severityFor(params.data?.positionId) === 'critical',
+    'alert-row-warning': params => this.alertService.severityFor(params.data?.positionId) === 'warning',
+    'alert-row-info': params => this.alertService.severityFor(params.data?.positionId) === 'info'
+  };
+
+  // Click a row to show its trades below the grid
+  rowSelection: RowSelectionOptions<Position> = {
+    mode: 'singleRow',
+    checkboxes: false,
+    enableClickSelection: true
+  };
+
+  // Row actions published to the broker, above the grid's own menu items
+  getContextMenuItems = (params: GetContextMenuItemsParams<Position>): (string | MenuItemDef)[] => {
+    const position = params.node?.data;
+    const disabled = !position || !this.stompState.connected;
+
+    return [
+      {
+        name: 'Recalculate position',
+        disabled,
+        action: () => this.recalcPosition(position!)
+      },
+      {
+        name: 'Request trade detail',
+        disabled,
+        action: () => this.requestTradeDetail(position!)
+      },
+      {
+        name: 'Show history',
+        disabled: !position,
+        action: () => this.historyPosition = position!
+      },
+      'separator',
+      ...(params.defaultItems || [])
+    ];
+  };
+
+  // Columns and filters tool panels; the layout toolbar saves what is set up here
+  sideBar: SideBarDef = {
+    toolPanels: ['columns', 'filters']
+  };
+
+  // Status Bar configuration
+  statusBar = {
+    statusPanels: [
+      {
+        statusPanel: 'agTotalAndFilteredRowCountComponent',
+        align: 'left' as const
+      },
+      {
+        statusPanel: 'agAggregationComponent',
+        align: 'right' as const,
+        statusPanelParams: {
+          aggFuncs: ['sum', 'avg', 'min', 'max', 'count']
+        }
+      }
+    ]
+  };
+
+  constructor(
+    private stompService: StompClientEnhancedService,
+    private layoutService: GridLayoutService,
+    private alertService: AlertService
+  ) {}
+
+  get unacknowledgedAlerts(): number {
+    return this.alertService.unacknowledgedCount;
+  }
+
+  // Handle behind the service's default-provider API, for the dev panel
+  get defaultProvider(): StompProviderHandle {
+    return this.stompService.provider(StompClientEnhancedService.DEFAULT_PROVIDER);
+  }
+
+  ngOnInit(): void {
+    // Don't auto-connect, let user manually connect for debugging
+    this.subscribeToStompUpdates();
+    this.startPerformanceTracking();
+    this.sparklineInterval = setInterval(() => this.refreshSparklines(), PositionsComponent.SPARKLINE_REFRESH_MS);
+
+    // The feed outlives this view; coming back picks up the rows the worker holds
+    if (this.stompState.connected && this.stompState.mode === 'realtime') {
+      this.loadFromWorker();
+    } else if (this.stompState.connected && this.stompState.mode === 'snapshot') {
+      this.missedSnapshotRows = true;
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+    if (this.performanceInterval) {
+      clearInterval(this.performanceInterval);
+    }
+    clearInterval(this.sparklineInterval);
+    // Stay connected while another view is showing; the service disconnects on shutdown
+  }
+
+  private async initializeStompConnection(overrides: Partial<StompConfig> = {}): Promise<void> {
+    try {
+      // Reset statistics
+      this.resetStatistics();
+      
+      // Connect to STOMP server
+      await this.stompService.connect({
+        ...POSITIONS_FEED,
+        throttleMs: this.currentThrottleMs(),
+        computed: this.computedFields(),
+        ...overrides
+      });
+
+      console.log('[PositionsComponent] Connected to STOMP server');
+
+      // Mark snapshot start time
+      this.statistics.snapshot.startTime = new Date();
+      
+      // The connect method already handles the snapshot request
+
+    } catch (error) {
+      console.error('[PositionsComponent] Failed to connect to STOMP server:', error);
+    }
+  }
+
+  private subscribeToStompUpdates(): void {
+    // Subscribe to connection state changes
+    this.stompService.clientState$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(state => {
+        this.stompState = state;
+        // Only log significant state changes
+        if (state.error || (!state.connected && !state.connecting)) {
+          console.log('[PositionsComponent] STOMP state updated:', state);
+        }
+      });
+
+    // Re-shade rows whose alerts fired or were acknowledged
+    this.alertService.highlightChanged$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(keys => this.redrawRows(keys));
+
+    // Subscribe to data events (both snapshot and real-time)
+    this.stompService.data
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(positions => {
+        if (this.stompState.mode === 'snapshot') {
+          // During snapshot: accumulate data, don't update grid yet
+          positions.forEach(position => this.snapshotData.set(position.positionId, position));
+          this.statistics.snapshot.receivedRows += positions.length;
+        } else if (this.stompState.mode === 'realtime') {
+          // Real-time updates after snapshot
+          this.handleRealtimeUpdates(positions);
+        }
+        
+        this.updatePerformanceStats();
+      });
+
+    // Subscribe to row deletions (`_op: 'delete'` upstream)
+    this.stompService.removed
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(positionIds => {
+        if (this.stompState.mode === 'snapshot') {
+          positionIds.forEach(positionId => this.snapshotData.delete(positionId));
+        } else if (this.stompState.mode === 'realtime') {
+          this.handleRealtimeRemovals(positionIds);
+        }
+      });
+
+    // Last persisted snapshot - show it (dimmed) until the live snapshot completes
+    this.stompService.cachedSnapshot
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(({ rows, savedAt }) => {
+        console.log(`[PositionsComponent] Showing ${rows.length} cached rows from ${savedAt.toLocaleString()}`);
+        this.rowData = rows;
+        this.rowsById = new Map(rows.map(row => [row.positionId, row]));
+      });
+
+    // Subscribe to snapshot complete event
+    this.stompService.snapshotComplete
+      .pipe(takeUntil(this.destroy$))
+      .subscribe((stats: SnapshotStats) => {
+        this.handleSnapshotComplete(stats);
+      });
+
+    // Snapshot end marker overdue - the worker retries or goes realtime with what it has
+    this.stompService.snapshotTimeout
+      .pipe(takeUntil(this.destroy$))
+      .subscribe((timeout: SnapshotTimeout) => {
+        console.warn(`[PositionsComponent] Snapshot timed out after ${timeout.timeoutMs}ms with ${timeout.rowCount} rows (${timeout.action})`);
+        if (timeout.action === 'retry') {
+          this.snapshotData.clear();
+          this.statistics.snapshot.receivedRows = 0;
+        }
+      });
+
+    // Connection dropped - keep showing the grid, the worker re-snapshots once reconnected
+    this.stompService.reconnecting
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(({ attempt, maxAttempts, delayMs }) => {
+        console.warn(`[PositionsComponent] Reconnecting (attempt ${attempt}${maxAttempts ? '/' + maxAttempts : ''}) in ${delayMs}ms`);
+        this.snapshotData.clear();
+        this.statistics.snapshot.receivedRows = 0;
+      });
+
+    this.stompService.reconnected
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(({ attempts }) => {
+        console.log(`[PositionsComponent] Reconnected after ${attempts} attempt(s)`);
+      });
+
+    // Seamless refresh - the differences already arrived as data/removed
+    this.stompService.refreshed
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(stats => {
+        console.log(`[PositionsComponent] Refresh complete in ${stats.duration}ms: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+      });
+
+    // Subscribe to connection events
+    this.stompService.connected
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(({ clientId }) => {
+        console.log('[PositionsComponent] Connected with clientId:', clientId);
+      });
+
+    // Subscribe to error events
+    this.stompService.error
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(error => {
+        console.error('[PositionsComponent] STOMP error:', error);
+      });
+  }
+
+  private handleRealtimeUpdates(positions: Position[]): void {
+    if (!this.gridApi || !this.snapshotComplete) {
+      console.warn('[PositionsComponent] Cannot apply updates - grid not ready or snapshot not complete');
+      return;
+    }
+
+    // Create transactions for updates
+    const updates: Position[] = [];
+    const adds: Position[] = [];
+    
+    positions.forEach(position => {
+      if (this.rowsById.has(position.positionId)) {
+        updates.push(position);
+      } else {
+        adds.push(position);
+      }
+      this.rowsById.set(position.positionId, position);
+    });
+
+    // Apply transaction - AG-Grid will automatically flash changed cells
+    if (updates.length > 0 || adds.length > 0) {
+      this.gridApi.applyTransactionAsync({
+        update: updates,
+        add: adds
+      });
+    }
+
+    // Update statistics
+    this.statistics.realtime.messagesReceived += positions.length;
+    this.statistics.realtime.updatesReceived += updates.length;
+    this.statistics.realtime.addsReceived += adds.length;
+    this.statistics.realtime.lastUpdateTime = new Date();
+  }
+
+  private handleRealtimeRemovals(positionIds: string[]): void {
+    if (!this.gridApi || !this.snapshotComplete) {
+      return;
+    }
+
+    const removes: Position[] = [];
+    positionIds.forEach(positionId => {
+      const row = this.rowsById.get(positionId);
+      if (row) {
+        removes.push(row);
+        this.rowsById.delete(positionId);
+      }
+    });
+
+    if (removes.length > 0) {
+      this.gridApi.applyTransactionAsync({ remove: removes });
+    }
+
+    this.statistics.realtime.removesReceived += removes.length;
+    this.statistics.realtime.lastUpdateTime = new Date();
+  }
+
+  private handleSnapshotComplete(stats: SnapshotStats): void {
+    console.log(`[PositionsComponent] Snapshot complete: ${stats.rowCount} rows in ${stats.duration}ms`);
+    
+    // Update statistics
+    this.statistics.snapshot.totalRows = stats.rowCount;
+    this.statistics.snapshot.endTime = new Date();
+    this.statistics.snapshot.duration = stats.duration;
+    this.statistics.snapshot.complete = true;
+
+    if (this.missedSnapshotRows) {
+      this.missedSnapshotRows = false;
+      this.snapshotData.clear();
+      this.loadFromWorker();
+      return;
+    }
+
+    if (this.gridApi && this.rowsById.size > 0) {
+      // Cached (or pre-reconnect) rows on screen - apply only the differences
+      this.reconcileWithSnapshot();
+    } else if (this.gridApi && this.snapshotData.size > 0) {
+      // The [rowData] binding hands the rows to the grid. Setting them through the
+      // API too re-enters the grid's first load (column type inference runs change
+      // detection), and the rows are added twice.
+      this.rowData = Array.from(this.snapshotData.values());
+      this.rowsById = new Map(this.snapshotData);
+      
+      // Auto-size columns after data load
+      setTimeout(() => {
+        this.gridApi.sizeColumnsToFit();
+      }, 100);
+    }
+
+    // Clear snapshot accumulator
+    this.snapshotData.clear();
+    this.snapshotComplete = true;
+  }
+
+  // Turn the rows on screen into the fresh snapshot with one transaction,
+  // keeping scroll position, selection and filters
+  private reconcileWithSnapshot(): void {
+    const add: Position[] = [];
+    const update: Position[] = [];
+    const remove: Position[] = [];
+
+    this.snapshotData.forEach((position, positionId) => {
+      if (this.rowsById.has(positionId)) {
+        update.push(position);
+      } else {
+        add.push(position);
+      }
+    });
+    this.rowsById.forEach((position, positionId) => {
+      if (!this.snapshotData.has(positionId)) {
+        remove.push(position);
+      }
+    });
+
+    // rowData is left alone - rebinding it would reset the grid
+    this.rowsById = new Map(this.snapshotData);
+    this.gridApi.applyTransaction({ add, update, remove });
+  }
+
+  // Rows the worker already holds, for a view created after the snapshot streamed
+  private async loadFromWorker(): Promise<void> {
+    const positions = await this.stompService.getSnapshot();
+    this.rowData = positions;
+    this.rowsById = new Map(positions.map(position => [position.positionId, position]));
+    this.statistics.snapshot.totalRows = positions.length;
+    this.statistics.snapshot.complete = true;
+    this.snapshotComplete = true;
+  }
+
+  // AG Grid event handlers
+  onGridReady(params: GridReadyEvent<Position>): void {
+    this.gridApi = params.api;
+
+    // Auto-size columns
+    this.gridApi.sizeColumnsToFit();
+
+    // Last layout picked in the toolbar; its computed columns first, as its column state refers to them
+    this.setComputedColumns(this.layoutService.getActive('positions')?.computedColumns ?? []);
+    this.layoutService.restore(this.gridApi, 'positions');
+  }
+
+  // From the editor or a layout: show the columns and have the worker fill them in
+  setComputedColumns(columns: ComputedColumn[]): void {
+    this.computedColumns = columns;
+    this.colDefs = [...columnsFor('positions'), ...columns.map(computedColDef)];
+
+    if (this.gridApi) {
+      // New definitions would reset widths and visibility - keep the user's
+      const state = this.gridApi.getColumnState();
+      this.gridApi.setGridOption('columnDefs', this.colDefs);
+      this.gridApi.applyColumnState({ state, applyOrder: true });
+    }
+
+    // Unchanged, e.g. back from another view - the worker already adds them
+    const view = this.defaultProvider.getView();
+    const computed = this.computedFields();
+    if (!(this.stompState.connected || this.stompState.connecting)
+      || JSON.stringify(view.computed || []) === JSON.stringify(computed)) {
+      return;
+    }
+
+    // Rows in the grid come back as updates with the new fields
+    this.stompService.setView(view.filter, view.columns, computed)
+      .catch(error => console.error('[PositionsComponent] Failed to update computed columns:', error));
+  }
+
+  onRowDoubleClicked(event: RowDoubleClickedEvent<Position>): void {
+    if (event.data) {
+      this.historyPosition = event.data;
+    }
+  }
+
+  // Fetch the history of the rows on screen, for the trend columns that are showing
+  private async refreshSparklines(): Promise<void> {
+    if (!this.gridApi || this.stompState.mode !== 'realtime') return;
+
+    const trends = POSITION_HISTORY_FIELDS
+      .map(field => ({ field, colId: `${field}Trend` }))
+      .filter(({ colId }) => this.gridApi.getColumn(colId)?.isVisible());
+    const rowNodes = this.gridApi.getRenderedNodes().filter(node => node.data);
+    if (trends.length === 0 || rowNodes.length === 0) return;
+
+    try {
+      const history = await this.stompService.getHistory(
+        rowNodes.map(node => node.data.positionId),
+        trends.map(({ field }) => field)
+      );
+
+      // The sparkline renderer wants plain numbers
+      const next = new Map<string, Record<string, number[]>>();
+      Object.entries(history).forEach(([positionId, row]) => {
+        const values: Record<string, number[]> = {};
+        trends.forEach(({ field }) => {
+          values[field] = (row.values[field] ?? []).filter((value): value is number => value !== null);
+        });
+        next.set(positionId, values);
+      });
+      this.gridContext.history = next;
+
+      this.gridApi.refreshCells({ rowNodes, columns: trends.map(({ colId }) => colId) });
+    } catch (error) {
+      console.warn('[PositionsComponent] Failed to load history:', error);
+    }
+  }
+
+  private computedFields(): ComputedField[] {
+    return this.computedColumns.map(({ id, expression }) => ({ id, expression }));
+  }
+
+  private redrawRows(positionIds: string[]): void {
+    if (!this.gridApi) return;
+
+    const rowNodes = positionIds
+      .map(positionId => this.gridApi.getRowNode(positionId))
+      .filter((rowNode): rowNode is IRowNode<Position> => !!rowNode);
+    if (rowNodes.length > 0) {
+      this.gridApi.redrawRows({ rowNodes });
+    }
+  }
+
+  // Regroup from the picker; clears any other grouping
+  setGrouping(index: number): void {
+    const colIds = this.groupings[index]?.colIds || [];
+    this.gridApi.applyColumnState({
+      state: colIds.map((colId, rowGroupIndex) => ({ colId, rowGroup: true, rowGroupIndex })),
+      defaultState: { rowGroup: false }
+    });
+  }
+
+  togglePivotMode(): void {
+    this.gridApi.setGridOption('pivotMode', !this.gridApi.isPivotMode());
+  }
+
+  // Keep the toolbar in step with the group panel, tool panels and layouts
+  onGroupingChanged(): void {
+    this.groupBy = this.gridApi.getRowGroupColumns().map(column => column.getColId());
+    this.pivotMode = this.gridApi.isPivotMode();
+  }
+
+  isGrouping(index: number): boolean {
+    return this.groupings[index].colIds.join() === this.groupBy.join();
+  }
+
+  isCustomGrouping(): boolean {
+    return !this.groupings.some((grouping, index) => this.isGrouping(index));
+  }
+
+  onSelectionChanged(): void {
+    const position = this.gridApi.getSelectedRows()[0] || null;
+    // Updates to the selected row keep it selected - only refilter for a different position
+    if (position?.positionId === this.selectedPosition?.positionId) {
+      this.selectedPosition = position;
+      return;
+    }
+
+    this.selectedPosition = position;
+    this.selectedTradesFilter = position ? TradesComponent.filterForPosition(position) : undefined;
+  }
+
+  clearSelection(): void {
+    this.gridApi?.deselectAll();
+  }
+
+  // Manual connection controls
+  async connectToStomp(): Promise<void> {
+    try {
+      await this.initializeStompConnection();
+    } catch (error) {
+      console.error('[PositionsComponent] Manual connection failed:', error);
+    }
+  }
+
+  // Run the grid against a recorded session. Its own provider, so other tabs stay on the live feed.
+  async startReplay(recording: StompRecording): Promise<void> {
+    await this.disconnectFromStomp();
+    await this.initializeStompConnection({
+      clientId: `${POSITIONS_FEED.clientId}_REPLAY_${Date.now()}`,
+      replay: { recording }
+    });
+  }
+
+  // Re-snapshot without clearing the grid; only changed rows are touched
+  async refreshSnapshot(): Promise<void> {
+    try {
+      await this.stompService.refresh();
+    } catch (error) {
+      console.error('[PositionsComponent] Refresh failed:', error);
+    }
+  }
+
+  // Fire-and-forget: the recalculated row comes back as a normal update
+  async recalcPosition(position: Position): Promise<void> {
+    try {
+      await this.stompService.publish(PositionsComponent.RECALC_DESTINATION, {
+        positionId: position.positionId,
+        cusip: position.cusip
+      });
+      this.commandResult = { text: `Recalculation requested for ${position.positionId}`, error: false };
+    } catch (error) {
+      this.commandResult = { text: `Recalculation of ${position.positionId} failed: ${(error as Error).message}`, error: true };
+    }
+  }
+
+  async requestTradeDetail(position: Position): Promise<void> {
+    this.commandResult = { text: `Requesting trade detail for ${position.positionId}...`, error: false };
+
+    try {
+      const reply = await this.stompService.request<unknown>(
+        PositionsComponent.TRADE_DETAIL_DESTINATION,
+        { positionId: position.positionId },
+        { timeoutMs: PositionsComponent.TRADE_DETAIL_TIMEOUT_MS }
+      );
+      console.log(`[PositionsComponent] Trade detail for ${position.positionId}:`, reply.data);
+      const summary = Array.isArray(reply.data) ? `${reply.data.length} trade(s)` : reply.body;
+      this.commandResult = { text: `Trade detail for ${position.positionId}: ${summary}`, error: false };
+    } catch (error) {
+      this.commandResult = { text: `Trade detail for ${position.positionId} failed: ${(error as Error).message}`, error: true };
+    }
+  }
+
+  async disconnectFromStomp(): Promise<void> {
+    // Flush any pending async transactions before disconnecting
+    if (this.gridApi) {
+      this.gridApi.flushAsyncTransactions();
+    }
+    await this.stompService.disconnect();
+  }
+
+  // Force flush of async transactions (useful for debugging)
+  flushTransactions(): void {
+    if (this.gridApi) {
+      this.gridApi.flushAsyncTransactions();
+    }
+  }
+
+
+  // Slow the worker down while this tab is in the background
+  @HostListener('document:visibilitychange')
+  onVisibilityChange(): void {
+    if (this.stompState.connected) {
+      this.stompService.setThrottle(this.currentThrottleMs());
+    }
+  }
+
+  private currentThrottleMs(): number {
+    return document.hidden
+      ? PositionsComponent.BACKGROUND_THROTTLE_MS
+      : PositionsComponent.ACTIVE_THROTTLE_MS;
+  }
+
+  // Utility methods
+  getConnectionStatusColor(): string {
+    if (this.stompState.connected && this.stompState.stale) return 'goldenrod';
+    if (this.stompState.connected) return 'green';
+    if (this.stompState.connecting) return 'orange';
+    return 'red';
+  }
+
+  getConnectionStatusText(): string {
+    if (this.stompState.connected && this.stompState.stale) return 'Connected (stale)';
+    if (this.stompState.connected) return 'Connected';
+    if (this.stompState.connecting && this.stompState.reconnectAttempt) {
+      return `Reconnecting (attempt ${this.stompState.reconnectAttempt})...`;
+    }
+    if (this.stompState.connecting) return 'Connecting...';
+    return 'Disconnected';
+  }
+
+  // Statistics methods
+  private resetStatistics(): void {
+    this.statistics = {
+      snapshot: {
+        totalRows: 0,
+        receivedRows: 0,
+        startTime: null,
+        endTime: null,
+        duration: 0,
+        complete: false
+      },
+      realtime: {
+        messagesReceived: 0,
+        updatesReceived: 0,
+        addsReceived: 0,
+        removesReceived: 0,
+        messagesPerSecond: 0,
+        lastUpdateTime: null
+      },
+      performance: {
+        gridRows: 0,
+        pendingTransactions: 0,
+        lastFlushTime: null
+      }
+    };
+    this.messageRateBuffer = [];
+    this.snapshotData.clear();  // Clear snapshot accumulator
+    this.snapshotComplete = false;
+    this.rowData = [];
+    this.rowsById.clear();
+  }
+
+  private updatePerformanceStats(): void {
+    // Update grid row count
+    if (this.snapshotComplete) {
+      this.statistics.performance.gridRows = this.rowsById.size;
+    } else {
+      // During snapshot, show accumulator count
+      this.statistics.performance.gridRows = this.snapshotData.size;
+    }
+
+    // Calculate messages per second
+    const now = Date.now();
+    this.messageRateBuffer.push(now);
+    
+    // Keep only messages from last second
+    this.messageRateBuffer = this.messageRateBuffer.filter(t => now - t < 1000);
+    this.statistics.realtime.messagesPerSecond = this.messageRateBuffer.length;
+  }
+
+  private startPerformanceTracking(): void {
+    // Update performance stats every second
+    this.performanceInterval = setInterval(() => {
+      if (this.gridApi) {
+        // Update grid statistics; displayed rows would include group rows while grouping
+        const grouped = this.groupBy.length > 0 || this.pivotMode;
+        const rowCount = grouped ? this.rowsById.size : this.gridApi.getDisplayedRowCount();
+        this.statistics.performance.gridRows = rowCount;
+      }
+
+      // Update messages per second (decay if no new messages)
+      const now = Date.now();
+      this.messageRateBuffer = this.messageRateBuffer.filter(t => now - t < 1000);
+      this.statistics.realtime.messagesPerSecond = this.messageRateBuffer.length;
+    }, 1000);
+  }
+
+  getSnapshotProgress(): number {
+    if (this.statistics.snapshot.totalRows === 0) {
+      return this.statistics.snapshot.complete ? 100 : 0;
+    }
+    return Math.round((this.statistics.snapshot.receivedRows / this.statistics.snapshot.totalRows) * 100);
+  }
+
+  getTotalMessagesReceived(): number {
+    return this.statistics.snapshot.receivedRows + this.statistics.realtime.messagesReceived;
+  }
+}
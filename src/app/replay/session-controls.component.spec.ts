@@ -0,0 +1,91 @@
+import { EventEmitter } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { BehaviorSubject } from 'rxjs';
+import { RecordingStatus, ReplayStatus, StompClientEnhancedService, StompClientState, StompRecording } from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+import { parseRecordingFile, SessionControlsComponent } from './session-controls.component';
+
+describe('parseRecordingFile', () => {
+  it('should accept a session recording', () => {
+    const recording = { format: 'stomp-session', version: 1, entries: [{ t: 0, type: 'snapshot-start' }] };
+    expect(parseRecordingFile(JSON.stringify(recording)).entries.length).toBe(1);
+  });
+
+  it('should reject other files', () => {
+    expect(() => parseRecordingFile('not json')).toThrowError('Not a recording file: invalid JSON');
+    expect(() => parseRecordingFile('{"format": "stomp-layouts", "layouts": []}')).toThrowError('Not a recording file');
+  });
+});
+
+describe('SessionControlsComponent', () => {
+  let fixture: ComponentFixture<SessionControlsComponent>;
+  let controls: SessionControlsComponent;
+  let handle: jasmine.SpyObj<StompProviderHandle>;
+  let state: BehaviorSubject<StompClientState>;
+
+  const replayStatus = (status: Partial<ReplayStatus>): ReplayStatus => ({
+    playing: false, speed: 1, position: 0, total: 10, time: 0, duration: 5000, ended: false, ...status
+  });
+
+  beforeEach(() => {
+    state = new BehaviorSubject<StompClientState>({ connected: true, connecting: false, messagesReceived: 0, messagesPerSecond: 0, mode: 'realtime' });
+    handle = jasmine.createSpyObj<StompProviderHandle>('StompProviderHandle',
+      ['startRecording', 'stopRecording', 'getRecordingStatus', 'getReplayStatus', 'setReplaySpeed', 'stepReplay', 'isConnected', 'getClientState'], {
+        clientState$: state,
+        recording: new EventEmitter<RecordingStatus>(),
+        replayStatus: new EventEmitter<ReplayStatus>(),
+        connected: new EventEmitter<{ clientId: string }>()
+      });
+    handle.isConnected.and.returnValue(false);
+    handle.getClientState.and.callFake(() => state.value);
+    const stompService = jasmine.createSpyObj<StompClientEnhancedService>('StompClientEnhancedService', ['provider']);
+    stompService.provider.and.returnValue(handle as StompProviderHandle<any>);
+
+    TestBed.configureTestingModule({
+      declarations: [SessionControlsComponent],
+      providers: [{ provide: StompClientEnhancedService, useValue: stompService }]
+    });
+    fixture = TestBed.createComponent(SessionControlsComponent);
+    controls = fixture.componentInstance;
+    fixture.detectChanges();
+  });
+
+  afterEach(() => fixture.destroy());
+
+  it('should follow recordings started in any tab', () => {
+    handle.recording.emit({ active: true, startedAt: 1, entries: 42, bytes: 2048, truncated: false });
+    expect(controls.recording.entries).toBe(42);
+  });
+
+  it('should show a worker error instead of throwing', async () => {
+    handle.startRecording.and.rejectWith(new Error('Already recording'));
+    await controls.startRecording();
+    expect(controls.message).toEqual({ text: 'Already recording', error: true });
+  });
+
+  it('should emit a valid recording file for replay', async () => {
+    const recording = { format: 'stomp-session', version: 1, providerId: 'P', entries: [] } as unknown as StompRecording;
+    const file = new File([JSON.stringify(recording)], 'session.stomp.json');
+    const input = { files: [file], value: 'session.stomp.json' } as unknown as HTMLInputElement;
+    let requested: StompRecording | undefined;
+    controls.replayRequested.subscribe((value: StompRecording) => requested = value);
+
+    await controls.openRecording(input);
+
+    expect(requested).toEqual(recording);
+    expect(input.value).toBe('');
+  });
+
+  it('should pass speeds from the select to the worker', async () => {
+    handle.setReplaySpeed.and.callFake(speed => Promise.resolve(replayStatus({ speed })));
+    await controls.setSpeed('max');
+    await controls.setSpeed('2');
+    expect(handle.setReplaySpeed.calls.allArgs()).toEqual([['max'], [2]]);
+    expect(controls.replay?.speed).toBe(2);
+  });
+
+  it('should format recording time', () => {
+    expect(controls.formatTime(0)).toBe('0:00.0');
+    expect(controls.formatTime(83460)).toBe('1:23.5');
+  });
+});
@@ -0,0 +1,177 @@
+import { Component, EventEmitter, OnDestroy, OnInit, Output } from '@angular/core';
+import { Subject, takeUntil } from 'rxjs';
+import {
+  RecordingStatus,
+  ReplaySpeed,
+  ReplayStatus,
+  StompClientEnhancedService,
+  StompClientState,
+  StompRecording
+} from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+
+export const REPLAY_SPEEDS: ReplaySpeed[] = [0.5, 1, 2, 5, 10, 'max'];
+
+// Check a recording file before it goes to the worker, which checks it again
+export function parseRecordingFile(json: string): StompRecording {
+  let recording: Partial<StompRecording>;
+  try {
+    recording = JSON.parse(json);
+  } catch {
+    throw new Error('Not a recording file: invalid JSON');
+  }
+  if (!recording || recording.format !== 'stomp-session' || !Array.isArray(recording.entries)) {
+    throw new Error('Not a recording file');
+  }
+  return recording as StompRecording;
+}
+
+/**
+ * Record the positions feed to a file, and replay a file through the worker
+ * instead of the broker - at the recorded pace, faster, or frame by frame.
+ * The parent connects the replay (replayRequested) so the grid resets as
+ * for any new connection.
+ */
+@Component({
+  selector: 'app-session-controls',
+  templateUrl: './session-controls.component.html',
+  styleUrls: ['./session-controls.component.css']
+})
+export class SessionControlsComponent implements OnInit, OnDestroy {
+  @Output() replayRequested = new EventEmitter<StompRecording>();
+  @Output() replayExited = new EventEmitter<void>();
+
+  readonly speeds = REPLAY_SPEEDS;
+  state!: StompClientState;
+  recording: RecordingStatus = { active: false };
+  replay: ReplayStatus | null = null;
+  message: { text: string; error: boolean } | null = null;
+
+  private handle!: StompProviderHandle;
+  private destroy$ = new Subject<void>();
+
+  constructor(private stompService: StompClientEnhancedService) {}
+
+  ngOnInit(): void {
+    this.handle = this.stompService.provider(StompClientEnhancedService.DEFAULT_PROVIDER);
+
+    this.handle.clientState$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(state => this.state = state);
+
+    // Recording is per provider, so another tab may have started it
+    this.handle.recording
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(status => this.recording = status);
+
+    this.handle.replayStatus
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(status => this.replay = status);
+
+    this.handle.connected
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.loadStatus());
+
+    if (this.handle.isConnected()) {
+      this.loadStatus();
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  async startRecording(): Promise<void> {
+    await this.run(async () => {
+      this.recording = await this.handle.startRecording();
+      this.message = null;
+    });
+  }
+
+  async stopRecording(): Promise<void> {
+    await this.run(async () => {
+      const recording = await this.handle.stopRecording();
+      this.recording = { active: false };
+      this.download(recording);
+      this.message = { text: `Saved ${recording.entries.length} entries`, error: false };
+    });
+  }
+
+  async openRecording(input: HTMLInputElement): Promise<void> {
+    const file = input.files?.[0];
+    // Let the same file be picked again
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const recording = parseRecordingFile(await file.text());
+      this.replay = null;
+      this.message = { text: `Replaying ${file.name}`, error: false };
+      this.replayRequested.emit(recording);
+    } catch (error) {
+      this.message = { text: `Replay failed: ${(error as Error).message}`, error: true };
+    }
+  }
+
+  play(): Promise<void> {
+    return this.run(async () => this.replay = await this.handle.playReplay());
+  }
+
+  pause(): Promise<void> {
+    return this.run(async () => this.replay = await this.handle.pauseReplay());
+  }
+
+  step(): Promise<void> {
+    return this.run(async () => this.replay = await this.handle.stepReplay());
+  }
+
+  // From the speed select, where every value is a string
+  setSpeed(value: string): Promise<void> {
+    const speed: ReplaySpeed = value === 'max' ? 'max' : Number(value);
+    return this.run(async () => this.replay = await this.handle.setReplaySpeed(speed));
+  }
+
+  exitReplay(): void {
+    this.replay = null;
+    this.message = null;
+    this.replayExited.emit();
+  }
+
+  // Recording time as m:ss.s
+  formatTime(ms: number | undefined): string {
+    const seconds = (ms ?? 0) / 1000;
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+  }
+
+  private async loadStatus(): Promise<void> {
+    try {
+      if (this.handle.getClientState().replaying) {
+        this.replay = await this.handle.getReplayStatus();
+      } else {
+        this.recording = await this.handle.getRecordingStatus();
+      }
+    } catch (error) {
+      console.warn('[SessionControls] Could not load status:', error);
+    }
+  }
+
+  private async run(action: () => Promise<unknown>): Promise<void> {
+    try {
+      await action();
+    } catch (error) {
+      this.message = { text: (error as Error).message, error: true };
+    }
+  }
+
+  private download(recording: StompRecording): void {
+    const stamp = new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${recording.providerId}-${stamp}.stomp.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,53 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { QuarantineEntry } from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+import { SchemaDevPanelComponent } from './schema-dev-panel.component';
+
+describe('SchemaDevPanelComponent', () => {
+  let fixture: ComponentFixture<SchemaDevPanelComponent>;
+  let provider: jasmine.SpyObj<StompProviderHandle>;
+
+  const entries: QuarantineEntry[] = [
+    { time: new Date(1000), reason: 'invalid-json', body: 'not json' },
+    {
+      time: new Date(2000),
+      reason: 'invalid-row',
+      schemaVersion: 1,
+      errors: [{ field: 'marketValue', value: 'abc', message: 'expected number' }],
+      row: { positionId: 'POS-1', marketValue: 'abc' }
+    }
+  ];
+
+  beforeEach(() => {
+    provider = jasmine.createSpyObj<StompProviderHandle>('StompProviderHandle', ['getStatistics', 'getQuarantine', 'clearQuarantine']);
+    provider.getStatistics.and.resolveTo(null);
+    provider.getQuarantine.and.callFake(() => Promise.resolve([...entries]));
+    provider.clearQuarantine.and.resolveTo();
+
+    TestBed.configureTestingModule({ declarations: [SchemaDevPanelComponent] });
+    fixture = TestBed.createComponent(SchemaDevPanelComponent);
+    fixture.componentInstance.provider = provider;
+  });
+
+  afterEach(() => fixture.destroy());
+
+  it('should list quarantined entries newest first', async () => {
+    await fixture.componentInstance.load();
+
+    expect(fixture.componentInstance.entries.map(entry => entry.reason)).toEqual(['invalid-row', 'invalid-json']);
+  });
+
+  it('should describe why an entry was rejected', () => {
+    const panel = fixture.componentInstance;
+
+    expect(panel.describe(entries[1])).toBe('marketValue: expected number');
+    expect(panel.describe(entries[0])).toBe('Body is not JSON');
+    expect(panel.payload(entries[0])).toBe('not json');
+  });
+
+  it('should clear the quarantine in the worker', async () => {
+    await fixture.componentInstance.clear();
+
+    expect(provider.clearQuarantine).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+import { Component, Input, OnDestroy, OnInit } from '@angular/core';
+import { ProviderStatistics, QuarantineEntry } from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+
+/**
+ * Developer view of a provider's schema validation: coercion and rejection
+ * counters plus the rows and messages the worker quarantined.
+ */
+@Component({
+  selector: 'app-schema-dev-panel',
+  templateUrl: './schema-dev-panel.component.html',
+  styleUrls: ['./schema-dev-panel.component.css']
+})
+export class SchemaDevPanelComponent implements OnInit, OnDestroy {
+  private static readonly POLL_INTERVAL_MS = 2000;
+
+  @Input() provider!: StompProviderHandle;
+
+  statistics: ProviderStatistics | null = null;
+  entries: QuarantineEntry[] = [];
+  selected: QuarantineEntry | null = null;
+
+  private pollInterval: any;
+
+  ngOnInit(): void {
+    this.load();
+    this.pollInterval = setInterval(() => this.load(), SchemaDevPanelComponent.POLL_INTERVAL_MS);
+  }
+
+  ngOnDestroy(): void {
+    clearInterval(this.pollInterval);
+  }
+
+  async load(): Promise<void> {
+    try {
+      this.statistics = await this.provider.getStatistics();
+      // Newest first
+      this.entries = (await this.provider.getQuarantine()).reverse();
+    } catch (error) {
+      console.error('[SchemaDevPanel] Failed to load quarantine:', error);
+    }
+  }
+
+  async clear(): Promise<void> {
+    await this.provider.clearQuarantine();
+    this.selected = null;
+    await this.load();
+  }
+
+  describe(entry: QuarantineEntry): string {
+    if (entry.errors?.length) {
+      return entry.errors.map(error => `${error.field}: ${error.message}`).join(', ');
+    }
+    return entry.reason === 'invalid-json' ? 'Body is not JSON' : 'Body is not a row or array of rows';
+  }
+
+  payload(entry: QuarantineEntry): string {
+    return entry.body ?? JSON.stringify(entry.row, null, 2);
+  }
+}
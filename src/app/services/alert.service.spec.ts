@@ -0,0 +1,69 @@
+import { EventEmitter } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import { AlertService, DEFAULT_ALERT_RULES } from './alert.service';
+import { AlertRule, StompAlert, StompClientEnhancedService } from './stomp-client-enhanced.service';
+
+describe('AlertService', () => {
+  let service: AlertService;
+  let handle: any;
+
+  const alert = (id: string, key: string, severity: StompAlert['severity']): StompAlert => ({
+    id, key, severity, ruleId: 'r', ruleName: 'Rule', time: new Date(), message: `Rule: ${key}`, values: {}, acknowledged: false
+  });
+
+  beforeEach(() => {
+    localStorage.removeItem('stomp-alert-rules');
+    handle = {
+      connected: new EventEmitter(),
+      reconnected: new EventEmitter(),
+      alerts: new EventEmitter<StompAlert[]>(),
+      alertsAcknowledged: new EventEmitter<string[]>(),
+      rulesChanged: new EventEmitter<AlertRule[]>(),
+      isConnected: jasmine.createSpy('isConnected').and.returnValue(false),
+      setRules: jasmine.createSpy('setRules').and.callFake((rules: AlertRule[]) => Promise.resolve(rules)),
+      getAlerts: jasmine.createSpy('getAlerts').and.resolveTo([]),
+      acknowledgeAlerts: jasmine.createSpy('acknowledgeAlerts').and.resolveTo()
+    };
+    const stompService = { provider: () => handle };
+
+    TestBed.configureTestingModule({
+      providers: [{ provide: StompClientEnhancedService, useValue: stompService }]
+    });
+    service = TestBed.inject(AlertService);
+  });
+
+  afterEach(() => localStorage.removeItem('stomp-alert-rules'));
+
+  it('should start with the default rules and send them on connect', async () => {
+    expect(service.rules$.value).toEqual(DEFAULT_ALERT_RULES);
+
+    handle.connected.emit({ clientId: 'c' });
+    await Promise.resolve();
+
+    expect(handle.setRules).toHaveBeenCalledWith(DEFAULT_ALERT_RULES);
+  });
+
+  it('should shade a row by its highest unacknowledged severity', () => {
+    const changed: string[][] = [];
+    service.highlightChanged$.subscribe(keys => changed.push(keys));
+
+    handle.alerts.emit([alert('a1', 'POS-1', 'warning'), alert('a2', 'POS-1', 'critical'), alert('a3', 'POS-2', 'info')]);
+    expect(service.severityFor('POS-1')).toBe('critical');
+    expect(service.unacknowledgedCount).toBe(3);
+    expect(service.alerts$.value[0].id).toBe('a3');
+
+    // Acknowledged in another tab
+    handle.alertsAcknowledged.emit(['a2']);
+    expect(service.severityFor('POS-1')).toBe('warning');
+    expect(service.severityFor('POS-3')).toBeNull();
+    expect(changed[1]).toEqual(['POS-1']);
+  });
+
+  it('should keep rules changed in another tab', () => {
+    const rules: AlertRule[] = [{ id: 'x', name: 'X', type: 'threshold', condition: 'pnl < 0' }];
+    handle.rulesChanged.emit(rules);
+
+    expect(service.rules$.value).toEqual(rules);
+    expect(JSON.parse(localStorage.getItem('stomp-alert-rules')!)).toEqual(rules);
+  });
+});
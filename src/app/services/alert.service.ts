@@ -0,0 +1,201 @@
+import { Injectable, OnDestroy } from '@angular/core';
+import { BehaviorSubject, Subject, merge, takeUntil } from 'rxjs';
+import { AlertRule, AlertSeverity, StompAlert, StompClientEnhancedService } from './stomp-client-enhanced.service';
+import { StompProviderHandle } from './stomp-provider-handle';
+
+// Starting rules for a new user
+export const DEFAULT_ALERT_RULES: AlertRule[] = [
+  { id: 'pnl-floor', name: 'P&L below -50k', type: 'threshold', condition: 'pnl < -50000', severity: 'critical' },
+  { id: 'pnl-swing', name: 'P&L % moved 2 in 5 min', type: 'change', field: 'pnlPercent', change: 2, windowMs: 5 * 60 * 1000, severity: 'warning' }
+];
+
+// Same as the worker's log
+const ALERT_LOG_LIMIT = 500;
+
+const SEVERITY_RANK: Record<AlertSeverity, number> = { info: 1, warning: 2, critical: 3 };
+
+/**
+ * Alert rules and the alert log for the positions feed. The worker runs the
+ * rules and keeps the log, so every tab sees the same alerts and
+ * acknowledgements; this service mirrors them for toasts, the alert panel
+ * and row highlighting. Rules are kept in localStorage and sent to the
+ * worker whenever the feed connects.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class AlertService implements OnDestroy {
+  private static readonly RULES_KEY = 'stomp-alert-rules';
+  private static readonly NOTIFICATIONS_KEY = 'stomp-alert-notifications';
+
+  // Newest first
+  readonly alerts$ = new BehaviorSubject<StompAlert[]>([]);
+  readonly rules$ = new BehaviorSubject<AlertRule[]>(this.loadRules());
+  // Alerts as they fire, for toasts
+  readonly fired$ = new Subject<StompAlert[]>();
+  // Row keys whose highlight changed
+  readonly highlightChanged$ = new Subject<string[]>();
+
+  private handle: StompProviderHandle;
+  // Highest unacknowledged severity per row key
+  private highlights = new Map<string, AlertSeverity>();
+  private destroy$ = new Subject<void>();
+
+  constructor(stompService: StompClientEnhancedService) {
+    this.handle = stompService.provider(StompClientEnhancedService.DEFAULT_PROVIDER);
+
+    // Connected, or back after a reconnect: the worker may have been restarted
+    merge(this.handle.connected, this.handle.reconnected)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.sync());
+
+    this.handle.alerts
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(alerts => this.handleAlerts(alerts));
+
+    this.handle.alertsAcknowledged
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(alertIds => this.markAcknowledged(alertIds));
+
+    // Another tab changed the rules
+    this.handle.rulesChanged
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(rules => {
+        this.rules$.next(rules);
+        this.saveRules(rules);
+      });
+
+    if (this.handle.isConnected()) {
+      this.sync();
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  get unacknowledgedCount(): number {
+    return this.alerts$.value.filter(alert => !alert.acknowledged).length;
+  }
+
+  // Highest severity of the row's unacknowledged alerts, for highlighting
+  severityFor(key: string | undefined): AlertSeverity | null {
+    return key === undefined ? null : this.highlights.get(key) ?? null;
+  }
+
+  /**
+   * Replace the rules. Checked by the worker when the feed is connected
+   * (rejects with its message if a rule is invalid), otherwise sent on connect.
+   */
+  async setRules(rules: AlertRule[]): Promise<void> {
+    if (this.handle.isConnected()) {
+      rules = await this.handle.setRules(rules);
+    }
+    this.rules$.next(rules);
+    this.saveRules(rules);
+  }
+
+  // All unacknowledged alerts when no ids are given
+  async acknowledge(alertIds?: string[]): Promise<void> {
+    if (this.handle.isConnected()) {
+      await this.handle.acknowledgeAlerts(alertIds);
+    } else {
+      this.markAcknowledged(alertIds ?? this.alerts$.value.map(alert => alert.id));
+    }
+  }
+
+  get notificationsEnabled(): boolean {
+    return localStorage.getItem(AlertService.NOTIFICATIONS_KEY) === 'on'
+      && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  }
+
+  // Browser notifications need permission, asked for from a click
+  async setNotificationsEnabled(enabled: boolean): Promise<boolean> {
+    if (enabled && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+      await Notification.requestPermission();
+    }
+    localStorage.setItem(AlertService.NOTIFICATIONS_KEY, enabled ? 'on' : 'off');
+    return this.notificationsEnabled;
+  }
+
+  private async sync(): Promise<void> {
+    try {
+      await this.handle.setRules(this.rules$.value);
+    } catch (error) {
+      console.error('[AlertService] Stored rules were rejected by the worker:', error);
+    }
+
+    try {
+      const alerts = await this.handle.getAlerts();
+      this.setAlerts(alerts.reverse());
+      this.highlightChanged$.next(Array.from(new Set(alerts.map(alert => alert.key))));
+    } catch (error) {
+      console.error('[AlertService] Could not load alerts:', error);
+    }
+  }
+
+  private handleAlerts(alerts: StompAlert[]): void {
+    this.setAlerts([...alerts.slice().reverse(), ...this.alerts$.value].slice(0, ALERT_LOG_LIMIT));
+    this.fired$.next(alerts);
+    this.highlightChanged$.next(alerts.map(alert => alert.key));
+    this.notify(alerts);
+  }
+
+  private markAcknowledged(alertIds: string[]): void {
+    const ids = new Set(alertIds);
+    const keys = new Set<string>();
+    this.setAlerts(this.alerts$.value.map(alert => {
+      if (!ids.has(alert.id) || alert.acknowledged) return alert;
+      keys.add(alert.key);
+      return { ...alert, acknowledged: true };
+    }));
+    this.highlightChanged$.next(Array.from(keys));
+  }
+
+  private setAlerts(alerts: StompAlert[]): void {
+    this.highlights.clear();
+    alerts.forEach(alert => {
+      const current = this.highlights.get(alert.key);
+      if (!alert.acknowledged && (!current || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[current])) {
+        this.highlights.set(alert.key, alert.severity);
+      }
+    });
+    this.alerts$.next(alerts);
+  }
+
+  // Every tab gets the alert; the tag makes the browser show it once
+  private notify(alerts: StompAlert[]): void {
+    if (!this.notificationsEnabled) return;
+
+    alerts.forEach(alert => {
+      try {
+        new Notification(alert.ruleName, { body: alert.message, tag: alert.id });
+      } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.warn('[AlertService] Notification failed:', error);
+      }
+    });
+  }
+
+  private loadRules(): AlertRule[] {
+    try {
+      const json = localStorage.getItem(AlertService.RULES_KEY);
+      if (json) {
+        const rules = JSON.parse(json);
+        if (Array.isArray(rules)) return rules;
+      }
+    } catch (error) {
+      console.warn('[AlertService] Could not read alert rules:', error);
+    }
+    return DEFAULT_ALERT_RULES;
+  }
+
+  private saveRules(rules: AlertRule[]): void {
+    try {
+      localStorage.setItem(AlertService.RULES_KEY, JSON.stringify(rules));
+    } catch (error) {
+      console.warn('[AlertService] Could not save alert rules:', error);
+    }
+  }
+}
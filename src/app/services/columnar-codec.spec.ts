@@ -0,0 +1,47 @@
+import { ColumnarBatch } from './columnar-codec';
+
+describe('ColumnarBatch', () => {
+  let encoder: any;
+
+  // The worker's encoder, as the main-thread transport loads it
+  beforeAll(async () => {
+    if (!(window as any).StompColumnar) {
+      await new Promise<void>((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = '/assets/stomp-columnar.js';
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error('Failed to load the columnar encoder'));
+        document.head.appendChild(script);
+      });
+    }
+    encoder = (window as any).StompColumnar;
+  });
+
+  const rows = [
+    { positionId: 'POS-1', sector: 'Energy', marketValue: 1500.5, hedged: true },
+    { positionId: 'POS-2', sector: null, marketValue: null, hedged: null },
+    { positionId: 'POS-3', marketValue: -20 }
+  ];
+
+  it('should read back the rows the worker encoded', () => {
+    const { batch } = encoder.encode(rows);
+    const decoded = new ColumnarBatch(batch);
+
+    expect(decoded.columnNames).toEqual(['positionId', 'sector', 'marketValue', 'hedged']);
+    expect(decoded.toRows()[0]).toEqual(rows[0]);
+    expect(Array.from(decoded.numeric('marketValue')!)).toEqual([1500.5, NaN, -20]);
+  });
+
+  it('should keep explicit nulls apart from missing fields', () => {
+    const { batch, transfer } = encoder.encode(rows);
+    const decoded = new ColumnarBatch(batch);
+
+    expect(decoded.toRows()).toEqual(rows);
+    expect(decoded.value(1, 'sector')).toBeNull();
+    expect(decoded.value(2, 'sector')).toBeUndefined();
+    expect(encoder.decode(batch)).toEqual(rows);
+
+    // One bitmap each for the numeric and string columns, moved with their values
+    expect(transfer.length).toBe(5);
+  });
+});
@@ -0,0 +1,108 @@
+// Reader for the columnar batches produced by src/assets/stomp-columnar.js.
+// Numeric columns arrive as transferred Float64Array buffers (NaN = missing),
+// string columns as Uint32 dictionary indices (0xFFFFFFFF = missing). Either
+// may carry a `nulls` bitmap, one bit per row, for fields that are explicitly null.
+
+export const COLUMNAR_FORMAT_VERSION = 1;
+const MISSING_INDEX = 0xFFFFFFFF;
+
+export type ColumnarColumnKind = 'float64' | 'dict' | 'json';
+
+export interface ColumnarColumn {
+  name: string;
+  kind: ColumnarColumnKind;
+  buffer?: ArrayBuffer;
+  dictionary?: string[];
+  values?: any[];
+  nulls?: ArrayBuffer;
+}
+
+export interface ColumnarBatchData {
+  encoding: 'columnar';
+  version: number;
+  rowCount: number;
+  columns: ColumnarColumn[];
+}
+
+/**
+ * Read-only view over a columnar batch. Consumers can read typed columns
+ * directly (e.g. for aggregation) or materialise plain row objects.
+ */
+export class ColumnarBatch {
+  private readonly columns = new Map<string, ColumnarColumn>();
+  private readonly views = new Map<string, Float64Array | Uint32Array>();
+  private readonly nulls = new Map<string, Uint8Array>();
+
+  constructor(private readonly batch: ColumnarBatchData) {
+    if (batch.version !== COLUMNAR_FORMAT_VERSION) {
+      throw new Error(`Unsupported columnar version ${batch.version}`);
+    }
+
+    batch.columns.forEach(column => {
+      this.columns.set(column.name, column);
+      if (column.kind === 'float64') {
+        this.views.set(column.name, new Float64Array(column.buffer!));
+      } else if (column.kind === 'dict') {
+        this.views.set(column.name, new Uint32Array(column.buffer!));
+      }
+      if (column.nulls) {
+        this.nulls.set(column.name, new Uint8Array(column.nulls));
+      }
+    });
+  }
+
+  get rowCount(): number {
+    return this.batch.rowCount;
+  }
+
+  get columnNames(): string[] {
+    return Array.from(this.columns.keys());
+  }
+
+  // Typed numeric column, or null if the column is not numeric in this batch.
+  // Null and missing values both read as NaN here.
+  numeric(name: string): Float64Array | null {
+    const column = this.columns.get(name);
+    return column?.kind === 'float64' ? this.views.get(name) as Float64Array : null;
+  }
+
+  value(index: number, name: string): any {
+    const column = this.columns.get(name);
+    if (!column) return undefined;
+
+    const nulls = this.nulls.get(name);
+    if (nulls && (nulls[index >> 3] & (1 << (index & 7))) !== 0) return null;
+
+    switch (column.kind) {
+      case 'float64': {
+        const value = (this.views.get(name) as Float64Array)[index];
+        return isNaN(value) ? undefined : value;
+      }
+      case 'dict': {
+        const dictIndex = (this.views.get(name) as Uint32Array)[index];
+        return dictIndex === MISSING_INDEX ? undefined : column.dictionary![dictIndex];
+      }
+      default:
+        return column.values![index];
+    }
+  }
+
+  row(index: number): Record<string, any> {
+    const row: Record<string, any> = {};
+    this.columns.forEach((_, name) => {
+      const value = this.value(index, name);
+      if (value !== undefined) {
+        row[name] = value;
+      }
+    });
+    return row;
+  }
+
+  toRows(): Record<string, any>[] {
+    const rows = new Array(this.rowCount);
+    for (let i = 0; i < this.rowCount; i++) {
+      rows[i] = this.row(i);
+    }
+    return rows;
+  }
+}
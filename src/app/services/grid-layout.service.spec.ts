@@ -0,0 +1,82 @@
+import { TestBed } from '@angular/core/testing';
+import { GridApi } from 'ag-grid-enterprise';
+import { GridLayout, GridLayoutService } from './grid-layout.service';
+
+describe('GridLayoutService', () => {
+  let service: GridLayoutService;
+
+  const layout: GridLayout = {
+    name: 'Risk',
+    savedAt: '2024-01-01T00:00:00.000Z',
+    columnState: [{ colId: 'duration', hide: false, width: 90, sort: 'desc' }],
+    filterModel: { sector: { filterType: 'text', type: 'equals', filter: 'Financials' } },
+    pivotMode: false
+  };
+
+  beforeEach(() => {
+    localStorage.removeItem('stomp-grid-layouts:positions');
+    localStorage.removeItem('stomp-grid-layouts:trades');
+    TestBed.configureTestingModule({});
+    service = TestBed.inject(GridLayoutService);
+  });
+
+  it('should save, replace and remove layouts per grid', () => {
+    service.save('positions', layout);
+    service.save('positions', { ...layout, pivotMode: true });
+
+    expect(service.list('positions').length).toBe(1);
+    expect(service.get('positions', 'Risk')?.pivotMode).toBeTrue();
+    expect(service.list('trades')).toEqual([]);
+
+    service.setActive('positions', 'Risk');
+    service.remove('positions', 'Risk');
+    expect(service.getActive('positions')).toBeUndefined();
+  });
+
+  it('should capture and apply column state, filters and pivot mode', () => {
+    const api = jasmine.createSpyObj<GridApi>('GridApi',
+      ['getColumnState', 'getFilterModel', 'isPivotMode', 'setGridOption', 'applyColumnState', 'setFilterModel']);
+    api.getColumnState.and.returnValue(layout.columnState);
+    api.getFilterModel.and.returnValue({});
+    api.isPivotMode.and.returnValue(false);
+
+    const captured = service.capture(api, 'Mine');
+    expect(captured.columnState).toEqual(layout.columnState);
+    expect(captured.filterModel).toBeNull();
+
+    service.apply(api, layout);
+    expect(api.setGridOption).toHaveBeenCalledWith('pivotMode', false);
+    expect(api.applyColumnState).toHaveBeenCalledWith({ state: layout.columnState, applyOrder: true });
+    expect(api.setFilterModel).toHaveBeenCalledWith(layout.filterModel);
+  });
+
+  it('should import an export into another session', () => {
+    service.save('positions', layout);
+    const json = service.export('positions');
+    localStorage.removeItem('stomp-grid-layouts:positions');
+
+    expect(service.import('positions', json).map(imported => imported.name)).toEqual(['Risk']);
+    expect(service.get('positions', 'Risk')).toEqual(layout);
+  });
+
+  it('should reject files that are not layouts for this grid', () => {
+    service.save('positions', layout);
+    const json = service.export('positions');
+
+    expect(() => service.import('trades', json)).toThrowError('Layouts are for the positions grid, not trades');
+    expect(() => service.import('positions', '{"rows": []}')).toThrowError('Not a layout file');
+    expect(() => service.import('positions', 'not json')).toThrowError('Not a layout file: invalid JSON');
+  });
+
+  it('should keep computed columns with a layout', () => {
+    const dv01 = { id: 'dv01', headerName: 'DV01', expression: 'duration * marketValue / 10000', type: 'number' as const };
+    service.save('positions', { ...layout, computedColumns: [dv01] });
+    const json = service.export('positions');
+
+    expect(service.import('positions', json)[0].computedColumns).toEqual([dv01]);
+
+    const broken = JSON.parse(json);
+    broken.layouts[0].computedColumns = [{ id: 'dv01' }];
+    expect(() => service.import('positions', JSON.stringify(broken))).toThrowError('Layout file contains an invalid layout');
+  });
+});
@@ -0,0 +1,193 @@
+import { Injectable } from '@angular/core';
+import { ColumnState, FilterModel, GridApi } from 'ag-grid-enterprise';
+import { GridId } from '../grid/column-registry';
+import { ComputedColumn } from '../grid/computed-columns';
+
+// A named arrangement of a grid: column order, visibility, widths, pinning,
+// sort, grouping, pivot and aggregation (all in columnState), plus filters
+// and the computed columns it was saved with
+export interface GridLayout {
+  name: string;
+  savedAt: string;
+  columnState: ColumnState[];
+  filterModel: FilterModel | null;
+  pivotMode: boolean;
+  // Absent in layouts saved before computed columns existed
+  computedColumns?: ComputedColumn[];
+}
+
+// Shape of an exported file, so a desk can share layouts
+export interface GridLayoutExport {
+  format: typeof GridLayoutService.EXPORT_FORMAT;
+  version: number;
+  gridId: GridId;
+  layouts: GridLayout[];
+}
+
+interface StoredLayouts {
+  active: string | null;
+  layouts: GridLayout[];
+}
+
+/**
+ * Saved grid layouts, kept in localStorage per grid. Layouts refer to columns
+ * by colId; columns a layout does not mention keep their registry defaults,
+ * and colIds the grid no longer has are ignored when it is applied.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class GridLayoutService {
+  static readonly EXPORT_FORMAT = 'grid-layouts';
+  static readonly EXPORT_VERSION = 1;
+  private static readonly STORAGE_PREFIX = 'stomp-grid-layouts:';
+
+  list(gridId: GridId): GridLayout[] {
+    return this.read(gridId).layouts;
+  }
+
+  get(gridId: GridId, name: string): GridLayout | undefined {
+    return this.list(gridId).find(layout => layout.name === name);
+  }
+
+  // Replaces a layout with the same name
+  save(gridId: GridId, layout: GridLayout): void {
+    const stored = this.read(gridId);
+    stored.layouts = [...stored.layouts.filter(existing => existing.name !== layout.name), layout];
+    this.write(gridId, stored);
+  }
+
+  remove(gridId: GridId, name: string): void {
+    const stored = this.read(gridId);
+    stored.layouts = stored.layouts.filter(layout => layout.name !== name);
+    if (stored.active === name) {
+      stored.active = null;
+    }
+    this.write(gridId, stored);
+  }
+
+  // Layout to restore when the grid is next shown; undefined for the registry defaults
+  getActive(gridId: GridId): GridLayout | undefined {
+    const active = this.read(gridId).active;
+    return active ? this.get(gridId, active) : undefined;
+  }
+
+  setActive(gridId: GridId, name: string | null): void {
+    const stored = this.read(gridId);
+    stored.active = name;
+    this.write(gridId, stored);
+  }
+
+  capture(api: GridApi, name: string, computedColumns: ComputedColumn[] = []): GridLayout {
+    const filterModel = api.getFilterModel();
+    return {
+      name,
+      savedAt: new Date().toISOString(),
+      columnState: api.getColumnState(),
+      filterModel: Object.keys(filterModel).length > 0 ? filterModel : null,
+      pivotMode: api.isPivotMode(),
+      computedColumns
+    };
+  }
+
+  // The grid must already have the layout's computed columns
+  apply(api: GridApi, layout: GridLayout): void {
+    // Pivot mode first - it changes which columns the state can apply to
+    api.setGridOption('pivotMode', layout.pivotMode);
+    api.applyColumnState({ state: layout.columnState, applyOrder: true });
+    api.setFilterModel(layout.filterModel);
+  }
+
+  // Re-apply the last active layout; call from the grid's gridReady
+  restore(api: GridApi, gridId: GridId): void {
+    const active = this.getActive(gridId);
+    if (active) {
+      this.apply(api, active);
+    }
+  }
+
+  // Back to the column registry's definitions
+  reset(api: GridApi): void {
+    api.setGridOption('pivotMode', false);
+    api.resetColumnState();
+    api.setFilterModel(null);
+  }
+
+  export(gridId: GridId): string {
+    const file: GridLayoutExport = {
+      format: GridLayoutService.EXPORT_FORMAT,
+      version: GridLayoutService.EXPORT_VERSION,
+      gridId,
+      layouts: this.list(gridId)
+    };
+    return JSON.stringify(file, null, 2);
+  }
+
+  /**
+   * Merge layouts from an exported file; same-named layouts are replaced.
+   * Throws if the file is not a layout export for this grid.
+   */
+  import(gridId: GridId, json: string): GridLayout[] {
+    let file: Partial<GridLayoutExport>;
+    try {
+      file = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Not a layout file: invalid JSON');
+    }
+
+    if (!file || file.format !== GridLayoutService.EXPORT_FORMAT || !Array.isArray(file.layouts)) {
+      throw new Error('Not a layout file');
+    }
+    if (typeof file.version !== 'number' || file.version > GridLayoutService.EXPORT_VERSION) {
+      throw new Error(`Unsupported layout file version ${file.version}`);
+    }
+    if (file.gridId !== gridId) {
+      throw new Error(`Layouts are for the ${file.gridId} grid, not ${gridId}`);
+    }
+
+    const invalid = file.layouts.find(layout => !layout || typeof layout.name !== 'string' || !layout.name || !Array.isArray(layout.columnState)
+      || (layout.computedColumns !== undefined && !this.isComputedColumnList(layout.computedColumns)));
+    if (invalid !== undefined) {
+      throw new Error('Layout file contains an invalid layout');
+    }
+
+    const imported = file.layouts.map(layout => ({
+      name: layout.name,
+      savedAt: layout.savedAt || new Date().toISOString(),
+      columnState: layout.columnState,
+      filterModel: layout.filterModel || null,
+      pivotMode: !!layout.pivotMode,
+      computedColumns: layout.computedColumns
+    }));
+    imported.forEach(layout => this.save(gridId, layout));
+    return imported;
+  }
+
+  private isComputedColumnList(columns: unknown): boolean {
+    return Array.isArray(columns) && columns.every(column =>
+      column && typeof column.id === 'string' && typeof column.expression === 'string'
+        && (column.type === 'number' || column.type === 'text'));
+  }
+
+  private read(gridId: GridId): StoredLayouts {
+    try {
+      const json = localStorage.getItem(GridLayoutService.STORAGE_PREFIX + gridId);
+      if (json) {
+        const stored = JSON.parse(json);
+        return { active: stored.active ?? null, layouts: Array.isArray(stored.layouts) ? stored.layouts : [] };
+      }
+    } catch (error) {
+      console.warn(`[GridLayout] Could not read layouts for ${gridId}:`, error);
+    }
+    return { active: null, layouts: [] };
+  }
+
+  private write(gridId: GridId, stored: StoredLayouts): void {
+    try {
+      localStorage.setItem(GridLayoutService.STORAGE_PREFIX + gridId, JSON.stringify(stored));
+    } catch (error) {
+      // Private browsing or quota exceeded - the change is not kept
+      console.warn(`[GridLayout] Could not save layouts for ${gridId}:`, error);
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import { TestBed } from '@angular/core/testing';
+import { STOMP_TRANSPORT_MODE, StompClientEnhancedService, StompTransportMode } from './stomp-client-enhanced.service';
+
+describe('StompClientEnhancedService transports', () => {
+  let service: StompClientEnhancedService | undefined;
+
+  function createService(mode?: StompTransportMode): StompClientEnhancedService {
+    TestBed.configureTestingModule({
+      providers: mode ? [{ provide: STOMP_TRANSPORT_MODE, useValue: mode }] : []
+    });
+    service = TestBed.inject(StompClientEnhancedService);
+    return service;
+  }
+
+  afterEach(() => service?.ngOnDestroy());
+
+  (['shared-worker', 'worker', 'main-thread'] as StompTransportMode[]).forEach(mode => {
+    it(`should use the forced ${mode} transport`, async () => {
+      const stomp = createService(mode);
+
+      expect(stomp.getTransportMode()).toBe(mode);
+      expect(stomp.getClientState().transport).toBe(mode);
+
+      // The core answers requests the same way on every transport
+      const result = await stomp.validateExpression("sector == 'Financials'");
+      expect(result.valid).toBeTrue();
+    });
+  });
+
+  it('should fall back to a dedicated worker without SharedWorker', () => {
+    const sharedWorker = (window as any).SharedWorker;
+    (window as any).SharedWorker = undefined;
+
+    try {
+      expect(createService().getTransportMode()).toBe('worker');
+    } finally {
+      (window as any).SharedWorker = sharedWorker;
+    }
+  });
+
+  it('should negotiate the port protocol before sending requests', async () => {
+    const stomp = createService('main-thread');
+    expect(stomp.getProtocolVersion()).toBeNull();
+
+    await stomp.listProviders();
+    expect(stomp.getProtocolVersion()).toBe((window as any).StompWorkerCore.PROTOCOL_VERSION);
+  });
+
+  it('should reject publishing before the provider connects', async () => {
+    const stomp = createService('main-thread');
+
+    await expectAsync(stomp.publish('/queue/orders', { side: 'BUY' })).toBeRejectedWithError('Not connected');
+    await expectAsync(stomp.request('/app/trades/detail', { positionId: 'POS-1' })).toBeRejectedWithError('Not connected');
+  });
+
+  it('should match concurrent responses to their requests', async () => {
+    const stomp = createService('main-thread');
+
+    const [valid, invalid] = await Promise.all([
+      stomp.validateExpression("sector == 'Financials'"),
+      stomp.validateExpression('sector ==')
+    ]);
+    expect(valid.valid).toBeTrue();
+    expect(invalid.valid).toBeFalse();
+  });
+
+  it('should not treat Object.prototype members as expression functions', async () => {
+    const stomp = createService('main-thread');
+
+    const results = await Promise.all(['constructor(sector)', 'toString(sector)', '__proto__(sector)']
+      .map(expression => stomp.validateExpression(expression)));
+    results.forEach(result => {
+      expect(result.valid).toBeFalse();
+      expect(result.error).toMatch(/^Unknown function/);
+    });
+    expect((await stomp.validateExpression('constructor == null')).valid).toBeTrue();
+  });
+
+  it('should reject a request the worker never answers', async () => {
+    const stomp = createService('main-thread');
+    await stomp.listProviders();
+
+    jasmine.clock().install();
+    try {
+      const postMessage = spyOn((stomp as any).port as MessagePort, 'postMessage');
+      const request = stomp.listProviders();
+
+      // Let the request past protocol negotiation and onto the port
+      for (let i = 0; i < 10 && postMessage.calls.count() === 0; i++) {
+        await Promise.resolve();
+      }
+      expect(postMessage).toHaveBeenCalledTimes(1);
+
+      jasmine.clock().tick(10000);
+      await expectAsync(request).toBeRejectedWithError('Message timeout: list-providers');
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('should stop the request timer once the worker answers', async () => {
+    const stomp = createService('main-thread');
+    await stomp.listProviders();
+
+    const setTimeoutSpy = spyOn(window, 'setTimeout').and.callThrough();
+    const clearTimeoutSpy = spyOn(window, 'clearTimeout').and.callThrough();
+    await stomp.listProviders();
+
+    const requestTimer = setTimeoutSpy.calls.all().find(call => call.args[1] === 10000);
+    expect(requestTimer).toBeDefined();
+    expect(clearTimeoutSpy).toHaveBeenCalledWith(requestTimer!.returnValue);
+  });
+
+  it('should keep the port for a page going into the back/forward cache', async () => {
+    const stomp = createService('main-thread');
+    await stomp.listProviders();
+    const port = (stomp as any).port as MessagePort;
+    const postMessage = spyOn(port, 'postMessage').and.callThrough();
+
+    window.dispatchEvent(new PageTransitionEvent('pagehide', { persisted: true }));
+    expect((stomp as any).port).toBe(port);
+    expect(postMessage).not.toHaveBeenCalledWith({ type: 'close' });
+
+    window.dispatchEvent(new PageTransitionEvent('pageshow', { persisted: true }));
+    expect(postMessage).toHaveBeenCalledWith({ type: 'ping' });
+
+    window.dispatchEvent(new PageTransitionEvent('pagehide', { persisted: false }));
+    expect(postMessage).toHaveBeenCalledWith({ type: 'close' });
+    expect((stomp as any).port).toBeNull();
+  });
+
+  it('should report the transport on providers created later', () => {
+    const stomp = createService('main-thread');
+
+    expect(stomp.provider('trades').getClientState().transport).toBe('main-thread');
+  });
+});
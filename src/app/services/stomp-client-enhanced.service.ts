@@ -1,5 +1,39 @@
-import { Injectable, OnDestroy, EventEmitter } from '@angular/core';
-import { BehaviorSubject, Observable } from 'rxjs';
+import { Inject, Injectable, InjectionToken, OnDestroy, Optional } from '@angular/core';
+import { Observable } from 'rxjs';
+import { StompProviderHandle, StompWorkerChannel } from './stomp-provider-handle';
+
+// End-of-snapshot detection rules (any matching rule ends the snapshot)
+export type SnapshotEndRule =
+  | { type: 'token'; token: string; match?: 'exact' | 'contains'; caseSensitive?: boolean }
+  | { type: 'header'; header: string; value?: string }
+  | { type: 'field'; field: string; value?: any };
+
+/**
+ * Server protocol conventions, interpreted by the worker's protocol adapters
+ * (src/assets/stomp-protocol-adapters.js). Destinations, bodies and header
+ * values are templates: {dataType} {clientId} {providerId} {rate} {batchSize}
+ * plus any `variables`.
+ */
+export interface StompProtocolConfig {
+  adapter?: string;
+  triggerDestination?: string;
+  snapshotTopic?: string;
+  liveTopic?: string;
+  triggerBody?: string;
+  triggerHeaders?: Record<string, string>;
+  subscribeHeaders?: Record<string, string>;
+  snapshotEnd?: SnapshotEndRule | SnapshotEndRule[];
+  variables?: Record<string, string | number>;
+}
+
+export type StompLogLevel = 'none' | 'error' | 'warn' | 'info' | 'debug';
+
+// Where the provider core runs: a SharedWorker (one connection for all tabs),
+// a dedicated Worker (one per tab) or the page itself
+export type StompTransportMode = 'shared-worker' | 'worker' | 'main-thread';
+
+// Provide to force one transport (e.g. in tests) instead of falling back automatically
+export const STOMP_TRANSPORT_MODE = new InjectionToken<StompTransportMode>('STOMP_TRANSPORT_MODE');
 
 // Configuration interfaces
 export interface StompConfig {
@@ -10,11 +44,174 @@ export interface StompConfig {
   batchSize?: number;
   snapshotEndToken?: string;
   keyColumn?: string;
+  // First reconnect delay; doubles per attempt up to maxReconnectDelay (0 disables reconnects)
   reconnectDelay?: number;
+  maxReconnectDelay?: number;
+  // Give up after this many consecutive failed attempts (0 = never)
+  maxReconnectAttempts?: number;
+  // Randomise each delay by +/- this fraction so tabs and desks do not reconnect in lockstep
+  reconnectJitter?: number;
   heartbeatIncoming?: number;
   heartbeatOutgoing?: number;
+  // STOMP CONNECT headers; connectHeaders is for anything else, e.g. an auth token
+  login?: string;
+  passcode?: string;
+  host?: string;
+  connectHeaders?: Record<string, string>;
+  // Shorthand for logLevel 'debug'
   debug?: boolean;
+  // Worker console output for this provider (default 'warn')
+  logLevel?: StompLogLevel;
+  // Give up waiting for the snapshot end after this long (0 disables)
   snapshotTimeoutMs?: number;
+  // On timeout: 'promote' to realtime with partial data, or 'retry' the trigger
+  snapshotTimeoutPolicy?: 'promote' | 'retry';
+  // Retries before a 'retry' policy falls back to promoting (default 2)
+  snapshotRetries?: number;
+  // Flag the feed stale after this long without messages in realtime (0 disables)
+  staleAfterMs?: number;
+  protocol?: StompProtocolConfig;
+  // Keep the snapshot in IndexedDB and show it on the next launch until the live one arrives
+  persistSnapshot?: boolean;
+  // Minimum time between cache writes (default 5s)
+  persistThrottleMs?: number;
+  // Cached snapshots older than this are discarded (default 24h)
+  cacheMaxAgeMs?: number;
+  // Oldest snapshots are evicted once the whole cache exceeds this (default 50 MB)
+  cacheMaxBytes?: number;
+  // Schema version to validate against when messages carry no schema-version header (default latest)
+  schemaVersion?: number;
+  // Set false to pass rows through without coercion or validation
+  validateSchema?: boolean;
+  // Invalid rows are always dropped and counted; 'quarantine' (default) also keeps recent ones for inspection
+  invalidRows?: 'quarantine' | 'reject';
+  // Worker-side conflation window for real-time updates to this subscriber (0 = every update)
+  throttleMs?: number;
+  // Worker-side row filter, e.g. "sector == 'Financials' && marketValue > 1e6"
+  filter?: string;
+  // Only these fields (plus the key column) are sent to this subscriber
+  columns?: string[];
+  // Numeric fields whose recent values the worker keeps per row (see getHistory)
+  historyFields?: string[];
+  // Samples kept per row (default 120); a sample is only added when a tracked field changes
+  historyLength?: number;
+  // Fields the worker adds to every row before filtering, e.g. { id: 'dv01', expression: 'duration * marketValue / 10000' }
+  computed?: ComputedField[];
+  // 'columnar' sends data as transferable typed-array columns (for 50k+ row books)
+  encoding?: 'rows' | 'columnar';
+  // With columnar encoding, set false to skip decoding and only emit columnarData
+  decodeColumnar?: boolean;
+  // Record the session from the first frame (see StompProviderHandle.startRecording)
+  record?: boolean;
+  // Play a recorded session instead of connecting to a broker; destinations,
+  // key column and end detection come from the recording
+  replay?: StompReplayConfig;
+}
+
+// Speed of a replay: a multiple of the recorded pace, or 'max' for no waiting
+export type ReplaySpeed = number | 'max';
+
+export interface StompReplayConfig {
+  recording: StompRecording;
+  // Default 1
+  speed?: ReplaySpeed;
+  // Start paused, e.g. to step through the snapshot
+  paused?: boolean;
+}
+
+// One thing that happened in a recorded session, `t` ms after recording started.
+// 'message' entries are frames as received; the other types mark snapshot
+// boundaries, refreshes and lost connections.
+export interface RecordingEntry {
+  t: number;
+  type: 'message' | 'snapshot-start' | 'snapshot-end' | 'snapshot' | 'refresh' | 'connection-lost';
+  phase?: 'snapshot' | 'live';
+  headers?: Record<string, string>;
+  body?: string;
+  [field: string]: any;
+}
+
+// A recorded session as exported to a file (src/assets/stomp-replay.js)
+export interface StompRecording {
+  format: 'stomp-session';
+  version: number;
+  providerId: string;
+  // Feed settings the frames depend on; credentials are left out
+  config: Record<string, any>;
+  startedAt: number;
+  endedAt: number;
+  // Recording stopped adding entries at its size limit
+  truncated: boolean;
+  entries: RecordingEntry[];
+}
+
+export interface RecordingOptions {
+  // Stop adding entries after this many (default 200,000) or this many bytes (default 100 MB)
+  maxEntries?: number;
+  maxBytes?: number;
+}
+
+export interface RecordingStatus {
+  active: boolean;
+  startedAt?: number;
+  entries?: number;
+  bytes?: number;
+  truncated?: boolean;
+}
+
+export interface ReplayStatus {
+  playing: boolean;
+  speed: ReplaySpeed;
+  // Entries delivered so far, of total
+  position: number;
+  total: number;
+  // Recording time of the last delivered entry, and of the last entry (ms)
+  time: number;
+  duration: number;
+  ended: boolean;
+}
+
+// A message from a raw destination subscription (StompProviderHandle.subscribe)
+export interface StompTopicMessage {
+  destination: string;
+  headers: Record<string, string>;
+  body: string;
+  // Body parsed as JSON, or the raw body when it is not JSON
+  data: any;
+}
+
+// Outgoing message body: strings are sent as-is, anything else as JSON
+export type StompMessageBody = string | object;
+
+export interface StompRequestOptions {
+  headers?: Record<string, string>;
+  // Reject if no reply arrives within this long (default 10s)
+  timeoutMs?: number;
+}
+
+// Reply to a request, matched by correlation-id
+export interface StompReply<T = any> {
+  correlationId: string;
+  headers: Record<string, string>;
+  body: string;
+  // Body parsed as JSON, or the raw body when it is not JSON
+  data: T;
+}
+
+// What the worker sends a subscriber: which rows, which fields, and what it adds to them
+export type StompView = Pick<StompConfig, 'filter' | 'columns' | 'computed'>;
+
+// A field evaluated from an expression over the row; later fields can use earlier ones
+export interface ComputedField {
+  id: string;
+  expression: string;
+}
+
+export interface ExpressionValidation {
+  valid: boolean;
+  error?: string;
+  position?: number;
+  fields?: string[];
 }
 
 export interface StompClientState {
@@ -24,6 +221,60 @@ export interface StompClientState {
   messagesReceived: number;
   messagesPerSecond: number;
   mode: 'idle' | 'snapshot' | 'realtime';
+  // No messages for staleAfterMs while in realtime
+  stale?: boolean;
+  lastMessageTime?: Date;
+  // Realtime was reached by the snapshot timeout, not the end marker
+  partialSnapshot?: boolean;
+  // Current reconnect attempt while the connection is down, 0 otherwise
+  reconnectAttempt?: number;
+  // A seamless refresh is collecting a new snapshot in the worker
+  refreshing?: boolean;
+  // Rows on screen come from the persisted cache; cleared when the live snapshot completes
+  showingCached?: boolean;
+  cachedAt?: Date;
+  // Transport the service fell back to
+  transport?: StompTransportMode;
+  // Fed from a recording (StompConfig.replay), not a broker
+  replaying?: boolean;
+}
+
+// Persisted rows shown before the live snapshot completes
+export interface CachedSnapshot<T = Position> {
+  rows: T[];
+  savedAt: Date;
+}
+
+export interface SnapshotCacheEntry {
+  cacheKey: string;
+  providerId: string;
+  dataType?: string;
+  url?: string;
+  keyColumn?: string;
+  savedAt: Date;
+  rowCount: number;
+  // Estimated from a sample of rows
+  sizeBytes: number;
+}
+
+// 'seamless' re-snapshots on the live connection and sends only the difference;
+// 'reconnect' drops the connection and streams the whole snapshot again
+export type RefreshMode = 'seamless' | 'reconnect';
+
+// Outcome of a seamless refresh, as applied to this subscriber's rows
+export interface RefreshStats {
+  rowCount: number;
+  added: number;
+  updated: number;
+  removed: number;
+  duration: number;
+}
+
+export interface ReconnectingEvent {
+  attempt: number;
+  // 0 = unlimited
+  maxAttempts: number;
+  delayMs?: number;
 }
 
 export interface SnapshotStats {
@@ -31,6 +282,111 @@ export interface SnapshotStats {
   duration: number;
   startTime?: Date;
   endTime?: Date;
+  partial?: boolean;
+}
+
+// Emitted when the snapshot end marker does not arrive within snapshotTimeoutMs.
+// On 'retry' the snapshot restarts and rows received so far should be discarded.
+export interface SnapshotTimeout {
+  action: 'promote' | 'retry';
+  attempt: number;
+  rowCount: number;
+  timeoutMs: number;
+}
+
+export interface SchemaError {
+  field: string;
+  value: any;
+  // 'required' or 'expected <type>'
+  message: string;
+}
+
+// A row or message the worker rejected (see StompProviderHandle.getQuarantine)
+export interface QuarantineEntry {
+  time: Date;
+  reason: 'invalid-row' | 'invalid-json' | 'not-rows';
+  schemaVersion?: number | null;
+  errors?: SchemaError[];
+  row?: any;
+  // Raw body (truncated) for messages that were not rows at all
+  body?: string;
+}
+
+export type AlertSeverity = 'info' | 'warning' | 'critical';
+
+// Alert rule the worker checks on every real-time update (src/assets/stomp-rules.js).
+// 'threshold' fires when `condition` becomes true for a row; 'change' fires
+// when `field` moves by at least `change` within `windowMs` (default 5 minutes).
+export interface AlertRule {
+  id: string;
+  name: string;
+  type: 'threshold' | 'change';
+  severity?: AlertSeverity;
+  enabled?: boolean;
+  // Rows the rule watches, e.g. "sector == 'Energy'"
+  scope?: string;
+  condition?: string;
+  field?: string;
+  change?: number;
+  windowMs?: number;
+}
+
+// A rule firing for one row; the worker keeps the log, so acknowledgements reach every tab
+export interface StompAlert {
+  id: string;
+  ruleId: string;
+  ruleName: string;
+  severity: AlertSeverity;
+  // Key column value of the row
+  key: string;
+  time: Date;
+  message: string;
+  // Fields the rule looked at, as they were when it fired
+  values: Record<string, any>;
+  // Change rules: the value in the window the field moved from
+  from?: number;
+  acknowledged: boolean;
+}
+
+// Recent values of one row's history fields, oldest first; null where a value was missing
+export interface RowHistory {
+  // Epoch millis at which the worker saw each sample
+  times: number[];
+  values: Record<string, (number | null)[]>;
+}
+
+// Worker counters for one provider
+export interface ProviderStatistics {
+  snapshotRowsReceived: number;
+  updateRowsReceived: number;
+  deletesReceived: number;
+  topicMessagesReceived: number;
+  bytesReceived: number;
+  connectionCount: number;
+  disconnectionCount: number;
+  snapshotTimeouts: number;
+  refreshCount: number;
+  isConnected: boolean;
+  isStale: boolean;
+  mode: 'idle' | 'snapshot' | 'realtime';
+  // Schema version rows were last validated against
+  schemaVersion: number | null;
+  coercedValues: number;
+  invalidRows: number;
+  invalidMessages: number;
+  // Messages whose schema-version header is newer than any schema the worker knows
+  newerSchemaMessages: number;
+}
+
+export interface ProviderInfo {
+  providerId: string;
+  dataType?: string;
+  subscriberCount: number;
+  portCount: number;
+  isConnected: boolean;
+  mode: 'idle' | 'snapshot' | 'realtime';
+  isStale: boolean;
+  rowCount: number;
 }
 
 export interface Position {
@@ -55,189 +411,403 @@ export interface Position {
   lastUpdated: Date;
 }
 
+// A fill against a position; linked to it by positionId, or by cusip when the
+// upstream booking system does not know the position
+export interface Trade {
+  tradeId: string;
+  positionId?: string;
+  cusip: string;
+  symbol?: string;
+  side: string;
+  quantity: number;
+  price: number;
+  notional?: number;
+  tradeDate?: string;
+  settlementDate?: string;
+  counterparty?: string;
+  trader?: string;
+  status?: string;
+  lastUpdated: Date;
+}
+
 @Injectable({
   providedIn: 'root'
 })
-export class StompClientEnhancedService implements OnDestroy {
-  // Event emitters for different events
-  public readonly connected = new EventEmitter<{ clientId: string }>();
-  public readonly disconnected = new EventEmitter<void>();
-  public readonly data = new EventEmitter<Position[]>();
-  public readonly snapshotComplete = new EventEmitter<SnapshotStats>();
-  public readonly error = new EventEmitter<Error>();
-  
-  // State management
-  private clientStateSubject = new BehaviorSubject<StompClientState>({
-    connected: false,
-    connecting: false,
-    messagesReceived: 0,
-    messagesPerSecond: 0,
-    mode: 'idle'
-  });
-  
-  public readonly clientState$ = this.clientStateSubject.asObservable();
-  
+export class StompClientEnhancedService implements OnDestroy, StompWorkerChannel {
+  static readonly DEFAULT_PROVIDER = 'default';
+
+  // Named provider handles sharing the worker port
+  private handles = new Map<string, StompProviderHandle<any>>();
+  private readonly defaultHandle = this.provider(StompClientEnhancedService.DEFAULT_PROVIDER);
+
+  // Event emitters for the default provider
+  public readonly connected = this.defaultHandle.connected;
+  public readonly disconnected = this.defaultHandle.disconnected;
+  public readonly data = this.defaultHandle.data;
+  public readonly removed = this.defaultHandle.removed;
+  public readonly columnarData = this.defaultHandle.columnarData;
+  public readonly snapshotComplete = this.defaultHandle.snapshotComplete;
+  public readonly snapshotTimeout = this.defaultHandle.snapshotTimeout;
+  public readonly reconnecting = this.defaultHandle.reconnecting;
+  public readonly reconnected = this.defaultHandle.reconnected;
+  public readonly refreshed = this.defaultHandle.refreshed;
+  public readonly cachedSnapshot = this.defaultHandle.cachedSnapshot;
+  public readonly error = this.defaultHandle.error;
+
+  // State management for the default provider
+  public readonly clientState$ = this.defaultHandle.clientState$;
+
   // Worker communication
-  private worker: SharedWorker | null = null;
+  private static readonly WORKER_URL = '/assets/stomp-worker-enhanced.js';
+  private static readonly WORKER_NAME = 'stomp-worker-enhanced';
+  private static readonly TRANSPORT_ORDER: StompTransportMode[] = ['shared-worker', 'worker', 'main-thread'];
+
+  // Port protocol versions this build speaks, negotiated with the worker core on connect.
+  // A SharedWorker may be older or newer than this tab after a deploy.
+  private static readonly PROTOCOL_VERSIONS = [2];
+
+  // Loaded in order into the page for the main-thread transport
+  private static readonly MAIN_THREAD_SCRIPTS = [
+    '/assets/lib/stomp.umd.min.js',
+    '/assets/stomp-expression.js',
+    '/assets/stomp-columnar.js',
+    '/assets/stomp-protocol-adapters.js',
+    '/assets/stomp-snapshot-store.js',
+    '/assets/stomp-schema.js',
+    '/assets/stomp-rules.js',
+    '/assets/stomp-replay.js',
+    '/assets/stomp-worker-core.js'
+  ];
+
+  private worker: SharedWorker | Worker | null = null;
   private port: MessagePort | null = null;
-  private providerId: string = '';
-  
-  // Snapshot tracking
-  private snapshotStartTime: number = 0;
-  private rowCount: number = 0;
-  private isReceivingSnapshot: boolean = false;
-  
+  private transportMode: StompTransportMode | null = null;
+  // Set once the core answers on the port; load errors before that fall back
+  private transportReady = false;
+  private protocolVersion: number | null = null;
+
+  // Requests wait for the handshake; settles once, on the first transport that answers
+  private resolveNegotiated!: (version: number) => void;
+  private rejectNegotiated!: (error: Error) => void;
+  private readonly negotiated = new Promise<number>((resolve, reject) => {
+    this.resolveNegotiated = resolve;
+    this.rejectNegotiated = reject;
+  });
+
+  // Port heartbeat so the worker can drop this tab's subscriptions when it closes
+  private static readonly HEARTBEAT_INTERVAL_MS = 5000;
+  private heartbeatInterval: any;
+  // A page going into the back/forward cache keeps its port; only a page being unloaded releases it
+  private readonly pageHideHandler = (event: PageTransitionEvent) => {
+    if (!event.persisted) this.closePort();
+  };
+  // Back from that cache: ping at once, so a port swept while frozen gets port-expired and resubscribes
+  private readonly pageShowHandler = (event: PageTransitionEvent) => {
+    if (event.persisted) this.port?.postMessage({ type: 'ping' });
+  };
+
   // Message rate tracking
-  private messageRateBuffer: number[] = [];
   private messageRateInterval: any;
-  
-  constructor() {
-    this.initializeWorker();
+
+  constructor(@Optional() @Inject(STOMP_TRANSPORT_MODE) private readonly forcedTransport: StompTransportMode | null) {
+    // Failures are reported through the handles; requests see them when they await it
+    this.negotiated.catch(() => undefined);
+    this.initializeTransport(forcedTransport ? [forcedTransport] : StompClientEnhancedService.TRANSPORT_ORDER);
     this.startMessageRateTracking();
   }
-  
+
   ngOnDestroy(): void {
-    this.disconnect();
+    // Closing the port releases every subscription in the worker; requests sent now would not get out
+    this.handles.forEach(handle => handle.detach());
     if (this.messageRateInterval) {
       clearInterval(this.messageRateInterval);
     }
+    this.closePort();
   }
-  
-  private initializeWorker(): void {
+
+  // Open the first transport that works; one that fails to load falls through to the next
+  private initializeTransport(modes: StompTransportMode[]): void {
+    const [mode, ...fallbacks] = modes;
+    if (!mode) {
+      const initError = new Error('Worker initialization failed: no transport available');
+      this.rejectNegotiated(initError);
+      this.handles.forEach(handle => handle.handleTransportError(initError));
+      return;
+    }
+
+    const fallBack = (error: any) => {
+      console.warn(`[StompClientEnhanced] ${mode} transport failed, falling back:`, error);
+      this.teardownTransport();
+      this.initializeTransport(fallbacks);
+    };
+
     try {
-      // Use enhanced worker
-      this.worker = new SharedWorker('/assets/stomp-worker-enhanced.js', 'stomp-worker-enhanced');
-      this.port = this.worker.port;
-      
+      this.port = this.openTransport(mode, fallBack);
+      this.transportMode = mode;
+      this.transportReady = false;
+
       this.port.onmessage = (event) => this.handleWorkerMessage(event.data);
       this.port.onmessageerror = (error) => this.handleWorkerError(error);
       this.port.start();
+
+      this.handles.forEach(handle => handle.setTransport(mode));
+      this.negotiateProtocol(this.port);
+      this.startHeartbeat();
     } catch (error) {
-      console.error('[StompClientEnhanced] Failed to initialize SharedWorker:', error);
-      this.updateClientState({ error: `Worker initialization failed: ${error}` });
-      this.error.emit(error as Error);
+      fallBack(error);
     }
   }
-  
-  async connect(config: StompConfig): Promise<void> {
-    if (!this.port) {
-      throw new Error('SharedWorker not initialized');
-    }
-    
-    this.updateClientState({ connecting: true, error: undefined, mode: 'idle' });
-    
-    // Generate provider ID
-    this.providerId = this.generateProviderId(config.clientId);
-    
-    // Reset snapshot tracking
-    this.snapshotStartTime = Date.now();
-    this.rowCount = 0;
-    this.isReceivingSnapshot = true;
-    
-    try {
-      // Send connect request to worker
-      await this.sendWorkerMessage('connect', {
-        providerId: this.providerId,
-        config: {
-          websocketUrl: config.url,
-          dataType: config.dataType || 'positions',
-          messageRate: config.messageRate || 1000,
-          batchSize: config.batchSize,
-          snapshotEndToken: config.snapshotEndToken || 'success',
-          keyColumn: config.keyColumn || 'positionId',
-          snapshotTimeoutMs: config.snapshotTimeoutMs || 30000
+
+  // Create the transport and return the page's end of it
+  private openTransport(mode: StompTransportMode, onLoadError: (error: any) => void): MessagePort {
+    const { WORKER_URL, WORKER_NAME } = StompClientEnhancedService;
+
+    switch (mode) {
+      case 'shared-worker': {
+        if (typeof SharedWorker === 'undefined') {
+          throw new Error('SharedWorker is not supported');
         }
-      });
-    } catch (error) {
-      this.updateClientState({ 
-        connecting: false, 
-        error: `Connection failed: ${error}` 
-      });
-      this.error.emit(error as Error);
-      throw error;
+        const worker = new SharedWorker(WORKER_URL, WORKER_NAME);
+        worker.onerror = (error) => this.handleTransportLoadError(error, onLoadError);
+        this.worker = worker;
+        return worker.port;
+      }
+
+      case 'worker': {
+        if (typeof Worker === 'undefined') {
+          throw new Error('Worker is not supported');
+        }
+        const worker = new Worker(WORKER_URL, { name: WORKER_NAME });
+        const channel = new MessageChannel();
+        worker.onerror = (error) => this.handleTransportLoadError(error, onLoadError);
+        worker.postMessage({ type: 'attach-port' }, [channel.port2]);
+        this.worker = worker;
+        return channel.port1;
+      }
+
+      case 'main-thread': {
+        // Requests queue on the port until the core has loaded and attached
+        const channel = new MessageChannel();
+        this.loadMainThreadCore()
+          .then(() => (window as any).StompWorkerCore.attachPort(channel.port2))
+          .catch(onLoadError);
+        return channel.port1;
+      }
     }
   }
-  
-  async disconnect(): Promise<void> {
-    if (!this.port || !this.providerId) return;
-    
-    try {
-      await this.sendWorkerMessage('disconnect', {
-        providerId: this.providerId
-      });
-      
-      this.updateClientState({ 
-        connected: false, 
-        connecting: false,
-        mode: 'idle'
+
+  // Open with 'hello'; the worker picks the highest version both sides speak
+  private negotiateProtocol(port: MessagePort): void {
+    this.postRequest(port, 'hello', { versions: StompClientEnhancedService.PROTOCOL_VERSIONS })
+      .then(response => {
+        if (port !== this.port) return;
+
+        // The core is running; later worker errors are reported, not fallen back from
+        this.transportReady = true;
+        this.protocolVersion = response.protocolVersion;
+        this.resolveNegotiated(response.protocolVersion);
+      })
+      .catch(error => {
+        // A transport replaced by a fallback has nothing left to report
+        if (port !== this.port) return;
+
+        const negotiationError = new Error(`Worker protocol negotiation failed: ${error.message}`);
+        this.rejectNegotiated(negotiationError);
+        this.handles.forEach(handle => handle.handleTransportError(negotiationError));
       });
-      
-      this.disconnected.emit();
-    } catch (error) {
-      console.error('[StompClientEnhanced] Disconnect error:', error);
-      this.error.emit(error as Error);
+  }
+
+  private handleTransportLoadError(error: any, onLoadError: (error: any) => void): void {
+    if (this.transportReady) {
+      this.handleWorkerError(error);
+    } else {
+      onLoadError(error);
     }
   }
-  
-  async refresh(): Promise<void> {
-    if (!this.port || !this.providerId) {
-      throw new Error('Not connected');
+
+  private loadMainThreadCore(): Promise<void> {
+    if ((window as any).StompWorkerCore) return Promise.resolve();
+
+    return StompClientEnhancedService.MAIN_THREAD_SCRIPTS.reduce(
+      (loaded, src) => loaded.then(() => this.loadScript(src)),
+      Promise.resolve()
+    );
+  }
+
+  private loadScript(src: string): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  // Drop a transport that failed to load
+  private teardownTransport(): void {
+    this.stopHeartbeat();
+
+    this.port?.close();
+    this.port = null;
+    if (this.worker instanceof Worker) {
+      this.worker.terminate();
     }
-    
-    // Reset state for new snapshot
-    this.snapshotStartTime = Date.now();
-    this.rowCount = 0;
-    this.isReceivingSnapshot = true;
-    this.updateClientState({ mode: 'idle' });
-    
-    try {
-      await this.sendWorkerMessage('refresh', {
-        providerId: this.providerId
-      });
-    } catch (error) {
-      console.error('[StompClientEnhanced] Refresh error:', error);
-      this.error.emit(error as Error);
-      throw error;
+    this.worker = null;
+    this.transportMode = null;
+  }
+
+  // Transport in use, or null before one could be opened
+  getTransportMode(): StompTransportMode | null {
+    return this.transportMode;
+  }
+
+  // Port protocol version agreed with the worker, or null until the handshake completes
+  getProtocolVersion(): number | null {
+    return this.protocolVersion;
+  }
+
+  /**
+   * Get or create a named provider handle. Each handle owns one provider
+   * (e.g. positions and trades side by side) with its own streams and state.
+   * T is the feed's row type; the handle does not check it.
+   */
+  provider<T = Position>(name: string): StompProviderHandle<T> {
+    let handle = this.handles.get(name);
+    if (!handle) {
+      handle = new StompProviderHandle<T>(name, this);
+      if (this.transportMode) {
+        handle.setTransport(this.transportMode);
+      }
+      this.handles.set(name, handle);
     }
+    return handle;
+  }
+
+  getProviders(): StompProviderHandle<any>[] {
+    return Array.from(this.handles.values());
   }
-  
+
+  // Disconnect a named handle and forget it; the default handle cannot be released
+  async releaseProvider(name: string): Promise<void> {
+    const handle = this.handles.get(name);
+    if (!handle || handle === this.defaultHandle) return;
+
+    await handle.disconnect();
+    this.handles.delete(name);
+  }
+
+  async connect(config: StompConfig): Promise<void> {
+    return this.defaultHandle.connect(config);
+  }
+
+  async disconnect(): Promise<void> {
+    return this.defaultHandle.disconnect();
+  }
+
+  async refresh(mode: RefreshMode = 'seamless'): Promise<void> {
+    return this.defaultHandle.refresh(mode);
+  }
+
   async getSnapshot(): Promise<Position[]> {
-    if (!this.port || !this.providerId) {
-      return [];
-    }
-    
-    try {
-      const response = await this.sendWorkerMessage('get-snapshot', {
-        providerId: this.providerId
-      });
-      
-      return response.data || [];
-    } catch (error) {
-      console.error('[StompClientEnhanced] Get snapshot error:', error);
-      return [];
-    }
+    return this.defaultHandle.getSnapshot();
+  }
+
+  async setThrottle(intervalMs: number): Promise<void> {
+    return this.defaultHandle.setThrottle(intervalMs);
+  }
+
+  subscribe(destination: string, headers?: Record<string, string>): Observable<StompTopicMessage> {
+    return this.defaultHandle.subscribe(destination, headers);
+  }
+
+  async publish<T extends StompMessageBody>(destination: string, body: T, headers?: Record<string, string>): Promise<void> {
+    return this.defaultHandle.publish(destination, body, headers);
+  }
+
+  async request<TReply = any, TBody extends StompMessageBody = StompMessageBody>(
+    destination: string,
+    body: TBody,
+    options?: StompRequestOptions
+  ): Promise<StompReply<TReply>> {
+    return this.defaultHandle.request<TReply, TBody>(destination, body, options);
+  }
+
+  // Providers currently held by the worker, across all tabs
+  async listProviders(): Promise<ProviderInfo[]> {
+    if (!this.port) return [];
+
+    const response = await this.sendWorkerMessage('list-providers', {});
+    return response.providers || [];
+  }
+
+  // Snapshots persisted in IndexedDB, across all providers
+  async getCacheEntries(): Promise<SnapshotCacheEntry[]> {
+    if (!this.port) return [];
+
+    const response = await this.sendWorkerMessage('cache-list', {});
+    return (response.entries || []).map((entry: any) => ({
+      ...entry,
+      savedAt: new Date(entry.savedAt)
+    }));
+  }
+
+  // Drop one provider's persisted snapshots, or the whole cache
+  async clearCache(providerId?: string): Promise<void> {
+    if (!this.port) return;
+
+    await this.sendWorkerMessage('cache-clear', { providerId });
+  }
+
+  // Check a filter expression with the worker's parser
+  async validateExpression(expression: string): Promise<ExpressionValidation> {
+    const response = await this.sendWorkerMessage('validate-expression', { expression });
+    return response.result;
+  }
+
+  async setView(filter?: string, columns?: string[], computed?: ComputedField[]): Promise<void> {
+    return this.defaultHandle.setView(filter, columns, computed);
+  }
+
+  async getHistory(keys?: string[], fields?: string[]): Promise<Record<string, RowHistory>> {
+    return this.defaultHandle.getHistory(keys, fields);
+  }
+
+  isAvailable(): boolean {
+    return this.port !== null;
+  }
+
+  call(type: string, payload: any): Promise<any> {
+    return this.sendWorkerMessage(type, payload);
   }
-  
-  private sendWorkerMessage(type: string, payload: any): Promise<any> {
+
+  private async sendWorkerMessage(type: string, payload: any): Promise<any> {
+    await this.negotiated;
+    return this.postRequest(this.port, type, payload);
+  }
+
+  private postRequest(port: MessagePort | null, type: string, payload: any): Promise<any> {
     return new Promise((resolve, reject) => {
-      if (!this.port) {
-        reject(new Error('SharedWorker port not available'));
+      if (!port) {
+        reject(new Error('Worker port not available'));
         return;
       }
-      
+
       const messageId = this.generateMessageId();
       const message = {
         id: messageId,
         type,
         ...payload
       };
-      
+
       // Set up one-time response handler
       const responseHandler = (event: MessageEvent) => {
         const response = event.data;
         if (response.id === messageId) {
-          this.port!.removeEventListener('message', responseHandler);
-          
+          clearTimeout(timeout);
+          port.removeEventListener('message', responseHandler);
+
           if (response.error) {
             reject(new Error(response.error));
           } else {
@@ -245,181 +815,89 @@ export class StompClientEnhancedService implements OnDestroy {
           }
         }
       };
-      
-      this.port.addEventListener('message', responseHandler);
-      this.port.postMessage(message);
-      
+
       // Timeout after 10 seconds
-      setTimeout(() => {
-        this.port!.removeEventListener('message', responseHandler);
+      const timeout = setTimeout(() => {
+        port.removeEventListener('message', responseHandler);
         reject(new Error(`Message timeout: ${type}`));
       }, 10000);
+
+      port.addEventListener('message', responseHandler);
+      port.postMessage(message);
     });
   }
-  
+
   private handleWorkerMessage(message: any): void {
-    const { type, providerId, data, error: errorMsg } = message;
-    
-    // Ignore messages for other providers
-    if (providerId && providerId !== this.providerId) {
+    // Responses to requests are handled by postRequest
+    if (message.id) return;
+
+    const { providerId, subscriptionId } = message;
+
+    // Per-subscription messages go to the handle that subscribed
+    if (subscriptionId) {
+      const handle = this.handles.get(subscriptionId);
+      if (handle && handle.providerId === providerId) {
+        handle.handleWorkerMessage(message);
+      }
       return;
     }
-    
-    switch (type) {
-      case 'connected':
-        this.handleConnected(message);
-        break;
-        
-      case 'disconnected':
-        this.handleDisconnected();
-        break;
-        
-      case 'data':
-        this.handleData(data);
-        break;
-        
-      case 'snapshot-complete':
-        this.handleSnapshotComplete(message);
-        break;
-        
-      case 'error':
-        this.handleError(new Error(errorMsg || 'Unknown error'));
-        break;
-        
-      case 'status':
-        this.handleStatus(message);
-        break;
-        
-      default:
-        // Response to a request - handled by sendWorkerMessage
-        break;
-    }
-  }
-  
-  private handleConnected(message: any): void {
-    this.updateClientState({ 
-      connected: true, 
-      connecting: false,
-      mode: 'snapshot',
-      error: undefined
-    });
-    
-    this.connected.emit({ clientId: message.clientId || this.providerId });
-  }
-  
-  private handleDisconnected(): void {
-    this.updateClientState({ 
-      connected: false, 
-      connecting: false,
-      mode: 'idle'
-    });
-    
-    this.disconnected.emit();
-  }
-  
-  private handleData(data: any): void {
-    if (!data) return;
-    
-    const positions = Array.isArray(data) ? data : [data];
-    
-    // Transform and emit data
-    const transformedPositions = positions.map(this.transformPosition);
-    
-    if (this.isReceivingSnapshot) {
-      this.rowCount += positions.length;
-    }
-    
-    // Track message rate
-    this.messageRateBuffer.push(Date.now());
-    
-    // Update state
-    const currentState = this.clientStateSubject.value;
-    this.updateClientState({
-      messagesReceived: currentState.messagesReceived + positions.length
+
+    // Provider-wide messages go to every handle bound to this provider
+    this.handles.forEach(handle => {
+      if (!providerId || handle.providerId === providerId) {
+        handle.handleWorkerMessage(message);
+      }
     });
-    
-    // Emit data
-    this.data.emit(transformedPositions);
-  }
-  
-  private handleSnapshotComplete(message: any): void {
-    this.isReceivingSnapshot = false;
-    
-    const duration = Date.now() - this.snapshotStartTime;
-    const stats: SnapshotStats = {
-      rowCount: message.rowCount || this.rowCount,
-      duration,
-      startTime: new Date(this.snapshotStartTime),
-      endTime: new Date()
-    };
-    
-    this.updateClientState({ mode: 'realtime' });
-    this.snapshotComplete.emit(stats);
-  }
-  
-  private handleError(error: Error): void {
-    this.updateClientState({ error: error.message });
-    this.error.emit(error);
-    console.error('[StompClientEnhanced] Error:', error);
-  }
-  
-  private handleStatus(status: any): void {
-    if (status.statistics) {
-      // Update message rate from worker statistics
-      const stats = status.statistics;
-      this.updateClientState({
-        messagesReceived: stats.snapshotRowsReceived + stats.updateRowsReceived
-      });
-    }
   }
-  
+
   private handleWorkerError(error: any): void {
-    console.error('[StompClientEnhanced] SharedWorker error:', error);
-    this.updateClientState({ 
-      error: `SharedWorker error: ${error.message || error}` 
-    });
-    this.error.emit(new Error(`SharedWorker error: ${error.message || error}`));
+    console.error(`[StompClientEnhanced] ${this.transportMode} transport error:`, error);
+    const workerError = new Error(`Worker error: ${error.message || error}`);
+    this.handles.forEach(handle => handle.handleTransportError(workerError));
   }
-  
-  private transformPosition(rawData: any): Position {
-    return {
-      ...rawData,
-      lastUpdated: new Date(rawData.lastUpdated || Date.now())
-    } as Position;
+
+  private startHeartbeat(): void {
+    this.heartbeatInterval = setInterval(() => {
+      this.port?.postMessage({ type: 'ping' });
+    }, StompClientEnhancedService.HEARTBEAT_INTERVAL_MS);
+
+    window.addEventListener('pagehide', this.pageHideHandler);
+    window.addEventListener('pageshow', this.pageShowHandler);
   }
-  
-  private updateClientState(updates: Partial<StompClientState>): void {
-    const currentState = this.clientStateSubject.value;
-    this.clientStateSubject.next({ ...currentState, ...updates });
+
+  private stopHeartbeat(): void {
+    clearInterval(this.heartbeatInterval);
+    window.removeEventListener('pagehide', this.pageHideHandler);
+    window.removeEventListener('pageshow', this.pageShowHandler);
   }
-  
+
+  // Tell the worker this port is going away so it releases our subscriptions now
+  private closePort(): void {
+    if (!this.port) return;
+
+    this.stopHeartbeat();
+
+    this.port.postMessage({ type: 'close' });
+    this.port.close();
+    this.port = null;
+  }
+
   private startMessageRateTracking(): void {
     this.messageRateInterval = setInterval(() => {
       const now = Date.now();
-      this.messageRateBuffer = this.messageRateBuffer.filter(t => now - t < 1000);
-      
-      this.updateClientState({
-        messagesPerSecond: this.messageRateBuffer.length
-      });
+      this.handles.forEach(handle => handle.updateMessageRate(now));
     }, 1000);
   }
-  
-  private generateProviderId(clientId?: string): string {
-    if (clientId) return clientId;
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(2, 6);
-    return `provider-${timestamp}-${random}`;
-  }
-  
+
   private generateMessageId(): string {
     return `msg-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
   }
-  
+
   getClientState(): StompClientState {
-    return this.clientStateSubject.value;
+    return this.defaultHandle.getClientState();
   }
-  
+
   isConnected(): boolean {
-    return this.clientStateSubject.value.connected;
+    return this.defaultHandle.isConnected();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,971 @@
+import { EventEmitter } from '@angular/core';
+import { BehaviorSubject, Observable, Subscriber } from 'rxjs';
+import {
+  AlertRule,
+  CachedSnapshot,
+  ComputedField,
+  Position,
+  ProviderStatistics,
+  QuarantineEntry,
+  ReconnectingEvent,
+  RecordingOptions,
+  RecordingStatus,
+  RefreshMode,
+  RefreshStats,
+  ReplaySpeed,
+  ReplayStatus,
+  RowHistory,
+  SnapshotStats,
+  SnapshotTimeout,
+  StompClientState,
+  StompConfig,
+  StompMessageBody,
+  StompAlert,
+  StompRecording,
+  StompReply,
+  StompRequestOptions,
+  StompTopicMessage,
+  StompTransportMode,
+  StompView
+} from './stomp-client-enhanced.service';
+import { ColumnarBatch } from './columnar-codec';
+
+// Request channel to the SharedWorker, implemented by StompClientEnhancedService
+export interface StompWorkerChannel {
+  call(type: string, payload: any): Promise<any>;
+  isAvailable(): boolean;
+}
+
+/**
+ * A single named data feed multiplexed over the shared worker port.
+ * Each handle tracks its own provider, snapshot progress and client state.
+ * T is the row type of the feed's data type (Position, Trade, ...).
+ */
+export class StompProviderHandle<T = Position> {
+  static readonly DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+  // Event emitters for different events
+  public readonly connected = new EventEmitter<{ clientId: string }>();
+  public readonly disconnected = new EventEmitter<void>();
+  public readonly data = new EventEmitter<T[]>();
+  public readonly removed = new EventEmitter<string[]>();
+  public readonly columnarData = new EventEmitter<ColumnarBatch>();
+  public readonly snapshotComplete = new EventEmitter<SnapshotStats>();
+  public readonly snapshotTimeout = new EventEmitter<SnapshotTimeout>();
+  public readonly reconnecting = new EventEmitter<ReconnectingEvent>();
+  public readonly reconnected = new EventEmitter<{ attempts: number }>();
+  public readonly refreshed = new EventEmitter<RefreshStats>();
+  public readonly cachedSnapshot = new EventEmitter<CachedSnapshot<T>>();
+  public readonly error = new EventEmitter<Error>();
+  // Alert rules: new alerts, acknowledgements and rule changes, from any tab
+  public readonly alerts = new EventEmitter<StompAlert[]>();
+  public readonly alertsAcknowledged = new EventEmitter<string[]>();
+  public readonly rulesChanged = new EventEmitter<AlertRule[]>();
+  // Session recording started, stopped or hit its size limit (from any tab), and replay progress
+  public readonly recording = new EventEmitter<RecordingStatus>();
+  public readonly replayStatus = new EventEmitter<ReplayStatus>();
+
+  // State management
+  private clientStateSubject = new BehaviorSubject<StompClientState>({
+    connected: false,
+    connecting: false,
+    messagesReceived: 0,
+    messagesPerSecond: 0,
+    mode: 'idle'
+  });
+
+  public readonly clientState$ = this.clientStateSubject.asObservable();
+
+  private _providerId: string = '';
+  // Last connect() config, until disconnect(); used to subscribe again after the worker expires this tab
+  private config: StompConfig | null = null;
+  private encoding: 'rows' | 'columnar' = 'rows';
+  private decodeColumnar = true;
+  // Filter, projection and computed fields the worker applies for this handle
+  private view: StompView = {};
+
+  // Snapshot tracking
+  private snapshotStartTime: number = 0;
+  private rowCount: number = 0;
+  private isReceivingSnapshot: boolean = false;
+
+  // Message rate tracking
+  private messageRateBuffer: number[] = [];
+
+  // Raw destination subscriptions, by worker topic ID
+  private topics = new Map<string, Subscriber<StompTopicMessage>>();
+
+  // Requests waiting for a reply, by correlation ID
+  private pendingReplies = new Map<string, {
+    resolve: (reply: StompReply) => void;
+    reject: (error: Error) => void;
+    timer: any;
+  }>();
+
+  constructor(
+    public readonly name: string,
+    private readonly channel: StompWorkerChannel
+  ) {}
+
+  get providerId(): string {
+    return this._providerId;
+  }
+
+  async connect(config: StompConfig): Promise<void> {
+    if (!this.channel.isAvailable()) {
+      throw new Error('Worker transport not initialized');
+    }
+
+    this.updateClientState({ connecting: true, error: undefined, mode: 'idle', replaying: !!config.replay });
+
+    // Generate provider ID
+    const providerId = this.generateProviderId(config.clientId);
+
+    // Moving to another provider: drop the old subscription, or the worker keeps feeding it to this port
+    if (this.config && providerId !== this._providerId) {
+      await this.releaseProvider();
+    }
+
+    this.config = config;
+    this._providerId = providerId;
+    this.encoding = config.encoding || 'rows';
+    this.decodeColumnar = config.decodeColumnar !== false;
+    this.view = { filter: config.filter, columns: config.columns, computed: config.computed };
+
+    // Reset snapshot tracking
+    this.snapshotStartTime = Date.now();
+    this.rowCount = 0;
+    this.isReceivingSnapshot = true;
+
+    try {
+      // Send connect request to worker
+      await this.channel.call('connect', {
+        providerId: this._providerId,
+        subscriptionId: this.name,
+        config: {
+          websocketUrl: config.url,
+          dataType: config.dataType || 'positions',
+          messageRate: config.messageRate || 1000,
+          batchSize: config.batchSize,
+          snapshotEndToken: config.snapshotEndToken || 'success',
+          keyColumn: config.keyColumn || 'positionId',
+          snapshotTimeoutMs: config.snapshotTimeoutMs ?? 30000,
+          snapshotTimeoutPolicy: config.snapshotTimeoutPolicy || 'promote',
+          snapshotRetries: config.snapshotRetries,
+          staleAfterMs: config.staleAfterMs || 0,
+          reconnectDelay: config.reconnectDelay ?? 5000,
+          maxReconnectDelay: config.maxReconnectDelay,
+          maxReconnectAttempts: config.maxReconnectAttempts || 0,
+          reconnectJitter: config.reconnectJitter,
+          heartbeatIncoming: config.heartbeatIncoming,
+          heartbeatOutgoing: config.heartbeatOutgoing,
+          login: config.login,
+          passcode: config.passcode,
+          host: config.host,
+          connectHeaders: config.connectHeaders,
+          logLevel: config.logLevel || (config.debug ? 'debug' : undefined),
+          protocol: config.protocol,
+          persistSnapshot: !!config.persistSnapshot,
+          persistThrottleMs: config.persistThrottleMs,
+          cacheMaxAgeMs: config.cacheMaxAgeMs,
+          cacheMaxBytes: config.cacheMaxBytes,
+          schemaVersion: config.schemaVersion,
+          validateSchema: config.validateSchema,
+          invalidRows: config.invalidRows,
+          historyFields: config.historyFields,
+          historyLength: config.historyLength,
+          record: !!config.record,
+          replay: config.replay
+        },
+        options: {
+          throttleMs: config.throttleMs || 0,
+          filter: config.filter,
+          columns: config.columns,
+          computed: config.computed,
+          encoding: this.encoding
+        }
+      });
+    } catch (error) {
+      this.updateClientState({
+        connecting: false,
+        error: `Connection failed: ${error}`
+      });
+      this.error.emit(error as Error);
+      throw error;
+    }
+  }
+
+  async disconnect(): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) return;
+
+    this.releaseSubscriptions();
+
+    try {
+      await this.channel.call('disconnect', {
+        providerId: this._providerId,
+        subscriptionId: this.name
+      });
+
+      this.markDisconnected();
+    } catch (error) {
+      console.error(`[StompClientEnhanced] Disconnect error (${this.name}):`, error);
+      this.error.emit(error as Error);
+    }
+  }
+
+  // The service is closing the port, which drops this handle's subscription in the worker
+  detach(): void {
+    if (!this.config) return;
+
+    this.releaseSubscriptions();
+    this.markDisconnected();
+  }
+
+  // Unsubscribe from the current provider without reporting a disconnect
+  private async releaseProvider(): Promise<void> {
+    const providerId = this._providerId;
+    this.releaseSubscriptions();
+
+    try {
+      await this.channel.call('disconnect', { providerId, subscriptionId: this.name });
+    } catch (error) {
+      console.warn(`[StompClientEnhanced] Could not release provider ${providerId} (${this.name}):`, error);
+    }
+  }
+
+  // The worker drops this handle's topics and pending requests with its subscription
+  private releaseSubscriptions(): void {
+    this.config = null;
+    this.topics.forEach(observer => observer.complete());
+    this.topics.clear();
+    this.rejectPendingReplies(new Error('Disconnected'));
+  }
+
+  private markDisconnected(): void {
+    this.updateClientState({
+      connected: false,
+      connecting: false,
+      mode: 'idle',
+      replaying: false
+    });
+
+    this.disconnected.emit();
+  }
+
+  /**
+   * Fetch a fresh snapshot. A seamless refresh keeps the current rows and
+   * delivers only adds, updates and removes, followed by `refreshed`.
+   */
+  async refresh(mode: RefreshMode = 'seamless'): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    if (mode === 'reconnect') {
+      // Reset state for new snapshot
+      this.snapshotStartTime = Date.now();
+      this.rowCount = 0;
+      this.isReceivingSnapshot = true;
+      this.updateClientState({ mode: 'idle' });
+    }
+
+    try {
+      await this.channel.call('refresh', {
+        providerId: this._providerId,
+        mode
+      });
+    } catch (error) {
+      console.error(`[StompClientEnhanced] Refresh error (${this.name}):`, error);
+      this.error.emit(error as Error);
+      throw error;
+    }
+  }
+
+  // Change how often the worker flushes conflated real-time updates to this tab
+  async setThrottle(intervalMs: number): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) return;
+
+    await this.channel.call('set-throttle', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      intervalMs
+    });
+  }
+
+  /**
+   * Change the worker-side filter, column projection and computed fields for
+   * this handle. Rows entering the filter arrive as data, rows leaving it as
+   * removed; the rows still in view are re-sent with the new fields.
+   */
+  async setView(filter?: string, columns?: string[], computed?: ComputedField[]): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    await this.channel.call('set-view', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      filter,
+      columns,
+      computed
+    });
+    this.view = { filter, columns, computed };
+  }
+
+  /**
+   * Subscribe to any destination on this provider's STOMP connection, e.g. a
+   * news or control topic next to the snapshot feed. Tabs asking for the same
+   * destination share one STOMP subscription, which survives reconnects.
+   * Unsubscribing from the observable releases it.
+   */
+  subscribe(destination: string, headers: Record<string, string> = {}): Observable<StompTopicMessage> {
+    return new Observable<StompTopicMessage>(observer => {
+      if (!this.channel.isAvailable() || !this._providerId) {
+        observer.error(new Error('Not connected'));
+        return;
+      }
+
+      let topicId: string | null = null;
+      let closed = false;
+
+      this.channel.call('subscribe', {
+        providerId: this._providerId,
+        subscriptionId: this.name,
+        destination,
+        headers
+      }).then(response => {
+        topicId = response.topicId as string;
+        if (closed) {
+          this.releaseTopic(topicId);
+        } else {
+          this.topics.set(topicId, observer);
+        }
+      }).catch(error => observer.error(error));
+
+      return () => {
+        closed = true;
+        if (topicId && this.topics.delete(topicId)) {
+          this.releaseTopic(topicId);
+        }
+      };
+    });
+  }
+
+  // Publish on this provider's connection, e.g. an order or command; objects are sent as JSON
+  async publish<T extends StompMessageBody>(destination: string, body: T, headers: Record<string, string> = {}): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    await this.channel.call('send', {
+      providerId: this._providerId,
+      destination,
+      body,
+      headers
+    });
+  }
+
+  /**
+   * Publish with `reply-to` (the protocol's temp reply queue) and a
+   * `correlation-id`, and resolve with the matching reply. Rejects if no
+   * reply arrives within `timeoutMs` or the connection drops first.
+   */
+  async request<TReply = any, TBody extends StompMessageBody = StompMessageBody>(
+    destination: string,
+    body: TBody,
+    options: StompRequestOptions = {}
+  ): Promise<StompReply<TReply>> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    const timeoutMs = options.timeoutMs ?? StompProviderHandle.DEFAULT_REQUEST_TIMEOUT_MS;
+    const response = await this.channel.call('request', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      destination,
+      body,
+      headers: options.headers || {},
+      timeoutMs
+    });
+    const correlationId: string = response.correlationId;
+
+    // The worker times out too; this covers a worker that stops answering
+    return new Promise<StompReply<TReply>>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingReplies.delete(correlationId);
+        reject(new Error(`Request to ${destination} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.pendingReplies.set(correlationId, { resolve, reject, timer });
+    });
+  }
+
+  private releaseTopic(topicId: string): void {
+    this.channel.call('unsubscribe', { providerId: this._providerId, topicId })
+      .catch(error => console.warn(`[StompClientEnhanced] Unsubscribe error (${this.name}):`, error));
+  }
+
+  async getSnapshot(): Promise<T[]> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      return [];
+    }
+
+    try {
+      const response = await this.channel.call('get-snapshot', {
+        providerId: this._providerId,
+        subscriptionId: this.name,
+        encoding: this.encoding
+      });
+
+      if (response.columnar) {
+        return new ColumnarBatch(response.columnar).toRows().map(this.transformRow);
+      }
+      return response.data || [];
+    } catch (error) {
+      console.error(`[StompClientEnhanced] Get snapshot error (${this.name}):`, error);
+      return [];
+    }
+  }
+
+  // Worker counters for this provider, including schema validation
+  async getStatistics(): Promise<ProviderStatistics | null> {
+    if (!this.channel.isAvailable() || !this._providerId) return null;
+
+    const response = await this.channel.call('get-statistics', { providerId: this._providerId });
+    return response.statistics || null;
+  }
+
+  /**
+   * Recent values of the provider's history fields (StompConfig.historyFields)
+   * per row key. Defaults to every row and field; ask for the rows on screen
+   * when polling.
+   */
+  async getHistory(keys?: string[], fields?: string[]): Promise<Record<string, RowHistory>> {
+    if (!this.channel.isAvailable() || !this._providerId) return {};
+
+    const response = await this.channel.call('get-history', { providerId: this._providerId, keys, fields });
+    return response.history || {};
+  }
+
+  // Recent rows and messages the worker rejected, oldest first
+  async getQuarantine(): Promise<QuarantineEntry[]> {
+    if (!this.channel.isAvailable() || !this._providerId) return [];
+
+    const response = await this.channel.call('get-quarantine', { providerId: this._providerId });
+    return (response.entries || []).map((entry: any) => ({
+      ...entry,
+      time: new Date(entry.time)
+    }));
+  }
+
+  async clearQuarantine(): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) return;
+
+    await this.channel.call('clear-quarantine', { providerId: this._providerId });
+  }
+
+  // Replace the provider's alert rules for every tab; rejects if a rule is invalid
+  async setRules(rules: AlertRule[]): Promise<AlertRule[]> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    const response = await this.channel.call('set-rules', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      rules
+    });
+    return response.rules || [];
+  }
+
+  async getRules(): Promise<AlertRule[]> {
+    if (!this.channel.isAvailable() || !this._providerId) return [];
+
+    const response = await this.channel.call('get-rules', { providerId: this._providerId });
+    return response.rules || [];
+  }
+
+  // Alerts the provider has fired, oldest first
+  async getAlerts(): Promise<StompAlert[]> {
+    if (!this.channel.isAvailable() || !this._providerId) return [];
+
+    const response = await this.channel.call('get-alerts', { providerId: this._providerId });
+    return (response.alerts || []).map(this.transformAlert);
+  }
+
+  // Acknowledge the given alerts, or all of them
+  async acknowledgeAlerts(alertIds?: string[]): Promise<void> {
+    if (!this.channel.isAvailable() || !this._providerId) return;
+
+    await this.channel.call('acknowledge-alerts', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      alertIds
+    });
+  }
+
+  /**
+   * Record every frame the provider receives, with headers and timings, until
+   * stopRecording(). Started mid-session, the recording begins with the rows
+   * the worker already holds.
+   */
+  async startRecording(options: RecordingOptions = {}): Promise<RecordingStatus> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    const response = await this.channel.call('start-recording', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      options
+    });
+    return response.status;
+  }
+
+  // The recording so far, ready to save as JSON and replay with StompConfig.replay
+  async stopRecording(): Promise<StompRecording> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    const response = await this.channel.call('stop-recording', {
+      providerId: this._providerId,
+      subscriptionId: this.name
+    });
+    return response.recording;
+  }
+
+  async getRecordingStatus(): Promise<RecordingStatus> {
+    if (!this.channel.isAvailable() || !this._providerId) return { active: false };
+
+    const response = await this.channel.call('recording-status', { providerId: this._providerId });
+    return response.status;
+  }
+
+  // Replay controls, for a handle connected with StompConfig.replay
+  playReplay(): Promise<ReplayStatus> {
+    return this.controlReplay('play');
+  }
+
+  pauseReplay(): Promise<ReplayStatus> {
+    return this.controlReplay('pause');
+  }
+
+  // Deliver the next `count` recorded frames now; pauses playback
+  stepReplay(count = 1): Promise<ReplayStatus> {
+    return this.controlReplay('step', { count });
+  }
+
+  setReplaySpeed(speed: ReplaySpeed): Promise<ReplayStatus> {
+    return this.controlReplay('speed', { speed });
+  }
+
+  getReplayStatus(): Promise<ReplayStatus> {
+    return this.controlReplay('status');
+  }
+
+  private async controlReplay(action: string, options: { count?: number; speed?: ReplaySpeed } = {}): Promise<ReplayStatus> {
+    if (!this.channel.isAvailable() || !this._providerId) {
+      throw new Error('Not connected');
+    }
+
+    const response = await this.channel.call('replay-control', {
+      providerId: this._providerId,
+      subscriptionId: this.name,
+      action,
+      ...options
+    });
+    return response.status;
+  }
+
+  // Dispatch a broadcast from the worker that belongs to this handle's provider
+  handleWorkerMessage(message: any): void {
+    const { type, data, removed, error: errorMsg } = message;
+
+    switch (type) {
+      case 'connected':
+        this.handleConnected(message);
+        break;
+
+      case 'disconnected':
+        this.handleDisconnected();
+        break;
+
+      case 'data':
+        if (message.columnar) {
+          this.handleColumnarData(new ColumnarBatch(message.columnar));
+        } else {
+          this.handleData(data);
+        }
+        this.handleRemoved(removed);
+        break;
+
+      case 'message':
+        this.topics.get(message.topicId)?.next({
+          destination: message.destination,
+          headers: message.headers,
+          body: message.body,
+          data: message.data
+        });
+        break;
+
+      case 'reply':
+        this.handleReply(message);
+        break;
+
+      case 'snapshot-complete':
+        this.handleSnapshotComplete(message);
+        break;
+
+      case 'snapshot-timeout':
+        this.handleSnapshotTimeout(message);
+        break;
+
+      case 'reconnecting':
+        this.handleReconnecting(message);
+        break;
+
+      case 'reconnected':
+        this.reconnected.emit({ attempts: message.attempts });
+        break;
+
+      case 'reconnect-failed':
+        this.handleError(new Error(`Reconnect failed after ${message.attempts} attempt(s)`));
+        break;
+
+      case 'cached-snapshot':
+        this.handleCachedSnapshot(message);
+        break;
+
+      case 'refresh-started':
+        this.updateClientState({ refreshing: true });
+        break;
+
+      case 'refresh-complete':
+        this.updateClientState({ refreshing: false });
+        this.refreshed.emit({
+          rowCount: message.rowCount,
+          added: message.added,
+          updated: message.updated,
+          removed: message.removed,
+          duration: message.duration
+        });
+        break;
+
+      case 'refresh-failed':
+        this.updateClientState({ refreshing: false });
+        this.handleError(new Error(message.error || 'Refresh failed'));
+        break;
+
+      case 'stale':
+        this.updateClientState({
+          stale: message.stale,
+          lastMessageTime: message.lastMessageTime ? new Date(message.lastMessageTime) : undefined
+        });
+        break;
+
+      case 'error':
+        this.handleError(new Error(errorMsg || 'Unknown error'));
+        break;
+
+      case 'status':
+        this.handleStatus(message);
+        break;
+
+      case 'alerts':
+        this.alerts.emit(message.alerts.map(this.transformAlert));
+        break;
+
+      case 'alerts-acknowledged':
+        this.alertsAcknowledged.emit(message.alertIds);
+        break;
+
+      case 'rules':
+        this.rulesChanged.emit(message.rules);
+        break;
+
+      case 'recording':
+        this.recording.emit(message.status);
+        break;
+
+      case 'replay-status':
+        this.replayStatus.emit(message.status);
+        break;
+
+      case 'port-expired':
+        this.resubscribe();
+        break;
+
+      default:
+        // Response to a request - handled by the worker channel
+        break;
+    }
+  }
+
+  // Set by the service once it has picked a transport
+  setTransport(mode: StompTransportMode): void {
+    this.updateClientState({ transport: mode });
+  }
+
+  // Surface a transport-level failure (worker crash, init failure) on this handle
+  handleTransportError(error: Error): void {
+    this.updateClientState({ error: error.message });
+    this.error.emit(error);
+  }
+
+  // Called once per second by the service to roll the message rate window
+  updateMessageRate(now: number): void {
+    this.messageRateBuffer = this.messageRateBuffer.filter(t => now - t < 1000);
+
+    this.updateClientState({
+      messagesPerSecond: this.messageRateBuffer.length
+    });
+  }
+
+  // The worker dropped this tab's subscriptions after hearing nothing from it
+  // for too long (e.g. timers throttled in a hidden tab). Join the same
+  // provider again with the current view; the worker re-sends the snapshot.
+  private resubscribe(): void {
+    if (!this.config) return;
+
+    const error = new Error('Subscription expired');
+    this.topics.forEach(observer => observer.error(error));
+    this.topics.clear();
+    this.rejectPendingReplies(error);
+
+    console.warn(`[StompClientEnhanced] Worker expired this tab's subscription (${this.name}), subscribing again`);
+    this.connect({ ...this.config, ...this.view, clientId: this._providerId })
+      .catch(() => undefined); // reported through error and the client state
+  }
+
+  private rejectPendingReplies(error: Error): void {
+    this.pendingReplies.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    });
+    this.pendingReplies.clear();
+  }
+
+  private handleConnected(message: any): void {
+    this.updateClientState({
+      connected: true,
+      connecting: false,
+      mode: 'snapshot',
+      stale: false,
+      partialSnapshot: false,
+      reconnectAttempt: 0,
+      refreshing: false,
+      error: undefined
+    });
+
+    // The worker re-snapshots on every (re)connect
+    this.snapshotStartTime = Date.now();
+    this.rowCount = 0;
+    this.isReceivingSnapshot = true;
+
+    this.connected.emit({ clientId: message.clientId || this._providerId });
+  }
+
+  private handleDisconnected(): void {
+    this.updateClientState({
+      connected: false,
+      connecting: false,
+      stale: false,
+      reconnectAttempt: 0,
+      refreshing: false,
+      mode: 'idle'
+    });
+
+    this.disconnected.emit();
+  }
+
+  private handleData(data: any): void {
+    if (!data || data.length === 0) return;
+
+    const rows = Array.isArray(data) ? data : [data];
+
+    // Transform and emit data
+    const transformedRows = rows.map(this.transformRow);
+
+    if (this.isReceivingSnapshot) {
+      this.rowCount += rows.length;
+    }
+
+    // Track message rate
+    this.messageRateBuffer.push(Date.now());
+
+    // Update state
+    const currentState = this.clientStateSubject.value;
+    this.updateClientState({
+      messagesReceived: currentState.messagesReceived + rows.length
+    });
+
+    // Emit data
+    this.data.emit(transformedRows);
+  }
+
+  // Columnar batch: expose it raw, then decode into rows unless disabled
+  private handleColumnarData(batch: ColumnarBatch): void {
+    if (batch.rowCount === 0) return;
+
+    this.columnarData.emit(batch);
+
+    if (this.decodeColumnar) {
+      this.handleData(batch.toRows());
+      return;
+    }
+
+    if (this.isReceivingSnapshot) {
+      this.rowCount += batch.rowCount;
+    }
+    this.messageRateBuffer.push(Date.now());
+    this.updateClientState({
+      messagesReceived: this.clientStateSubject.value.messagesReceived + batch.rowCount
+    });
+  }
+
+  // Keys deleted upstream (`_op: 'delete'`)
+  private handleRemoved(keys: string[] | undefined): void {
+    if (!keys || keys.length === 0) return;
+
+    this.removed.emit(keys);
+  }
+
+  private handleSnapshotComplete(message: any): void {
+    this.isReceivingSnapshot = false;
+
+    const duration = Date.now() - this.snapshotStartTime;
+    const stats: SnapshotStats = {
+      rowCount: message.rowCount || this.rowCount,
+      duration,
+      startTime: new Date(this.snapshotStartTime),
+      endTime: new Date(),
+      partial: !!message.partial
+    };
+
+    this.updateClientState({
+      mode: 'realtime',
+      partialSnapshot: !!message.partial,
+      showingCached: false
+    });
+    this.snapshotComplete.emit(stats);
+  }
+
+  private handleReply(message: any): void {
+    const pending = this.pendingReplies.get(message.correlationId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingReplies.delete(message.correlationId);
+
+    if (message.error) {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve({
+        correlationId: message.correlationId,
+        headers: message.headers,
+        body: message.body,
+        data: message.data
+      });
+    }
+  }
+
+  // Last persisted rows, to show (as stale) until the live snapshot completes
+  private handleCachedSnapshot(message: any): void {
+    const savedAt = new Date(message.savedAt);
+    this.updateClientState({ showingCached: true, cachedAt: savedAt });
+    this.cachedSnapshot.emit({
+      rows: (message.data || []).map(this.transformRow),
+      savedAt
+    });
+  }
+
+  // Connection lost; the worker retries with backoff and re-snapshots when it is back
+  private handleReconnecting(message: any): void {
+    this.updateClientState({
+      connected: false,
+      connecting: true,
+      mode: 'idle',
+      stale: false,
+      refreshing: false,
+      reconnectAttempt: message.attempt
+    });
+
+    this.reconnecting.emit({
+      attempt: message.attempt,
+      maxAttempts: message.maxAttempts || 0,
+      delayMs: message.delayMs
+    });
+  }
+
+  // Snapshot end marker overdue; a retry restarts the snapshot from scratch
+  private handleSnapshotTimeout(message: any): void {
+    if (message.action === 'retry') {
+      this.rowCount = 0;
+    }
+
+    this.snapshotTimeout.emit({
+      action: message.action,
+      attempt: message.attempt,
+      rowCount: message.rowCount,
+      timeoutMs: message.timeoutMs
+    });
+  }
+
+  private handleError(error: Error): void {
+    this.updateClientState({ error: error.message });
+    this.error.emit(error);
+    console.error(`[StompClientEnhanced] Error (${this.name}):`, error);
+  }
+
+  private handleStatus(status: any): void {
+    if (status.statistics) {
+      // Update message rate from worker statistics
+      const stats = status.statistics;
+      this.updateClientState({
+        messagesReceived: stats.snapshotRowsReceived + stats.updateRowsReceived
+      });
+    }
+  }
+
+  // Only a time the server sent becomes a Date; partial and pass-through rows often have none
+  private transformRow(rawData: any): T {
+    if (rawData.lastUpdated === undefined || rawData.lastUpdated === null) {
+      return rawData as T;
+    }
+
+    return {
+      ...rawData,
+      lastUpdated: new Date(rawData.lastUpdated)
+    } as T;
+  }
+
+  private transformAlert(alert: any): StompAlert {
+    return { ...alert, time: new Date(alert.time) };
+  }
+
+  private updateClientState(updates: Partial<StompClientState>): void {
+    const currentState = this.clientStateSubject.value;
+    this.clientStateSubject.next({ ...currentState, ...updates });
+  }
+
+  private generateProviderId(clientId?: string): string {
+    if (clientId) return clientId;
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 6);
+    return `provider-${timestamp}-${random}`;
+  }
+
+  getClientState(): StompClientState {
+    return this.clientStateSubject.value;
+  }
+
+  // Last view sent to the worker; it outlives the components using this handle
+  getView(): StompView {
+    return { ...this.view };
+  }
+
+  isConnected(): boolean {
+    return this.clientStateSubject.value.connected;
+  }
+}
@@ -0,0 +1,39 @@
+describe('StompSnapshotStore', () => {
+  let store: any;
+
+  const record = (cacheKey: string, sizeBytes: number, savedAt: number) =>
+    ({ cacheKey, providerId: 'positions', savedAt, rowCount: 1, sizeBytes, rows: [{ positionId: 'POS-1' }] });
+
+  // The worker script, as the main-thread transport loads it
+  beforeAll(async () => {
+    if (!(window as any).StompSnapshotStore) {
+      await new Promise<void>((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = '/assets/stomp-snapshot-store.js';
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error('Failed to load the snapshot store'));
+        document.head.appendChild(script);
+      });
+    }
+    store = (window as any).StompSnapshotStore;
+  });
+
+  beforeEach(() => store.clear());
+  afterEach(() => store.clear());
+
+  it('should not write a snapshot larger than the whole limit', async () => {
+    await store.save(record('older', 400, 1), 1000);
+
+    expect(await store.save(record('huge', 2000, 2), 1000)).toBe(0);
+    expect(await store.load('huge')).toBeNull();
+    expect((await store.list()).map((entry: any) => entry.cacheKey)).toEqual(['older']);
+  });
+
+  it('should evict older snapshots but keep the one just written', async () => {
+    await store.save(record('older', 600, 1), 1000);
+    expect(await store.save(record('newer', 800, 2), 1000)).toBe(800);
+
+    expect(await store.enforceLimit(1000)).toEqual(['older']);
+    expect((await store.load('newer')).rowCount).toBe(1);
+  });
+});
@@ -0,0 +1,49 @@
+import { StompConfig } from './services/stomp-client-enhanced.service';
+
+// STOMP server running on port 8080
+const STOMP_URL = 'ws://localhost:8080';
+
+// Handle names for the trades feed: the blotter, and the positions view's
+// detail panel (same worker provider, filtered to the selected position)
+export const TRADES_PROVIDER = 'trades';
+export const POSITION_TRADES_PROVIDER = 'position-trades';
+
+// Position fields the worker keeps recent values of
+export const POSITION_HISTORY_FIELDS = ['pnl', 'marketValue', 'yieldToMaturity'];
+
+export const POSITIONS_FEED: StompConfig = {
+  url: STOMP_URL,
+  clientId: 'ANGULAR_CLIENT_001',
+  dataType: 'positions',
+  messageRate: 1000,
+  snapshotEndToken: 'Success',
+  keyColumn: 'positionId',
+  reconnectDelay: 5000,
+  maxReconnectAttempts: 10,
+  heartbeatIncoming: 10000,
+  heartbeatOutgoing: 10000,
+  // 'debug' logs every STOMP frame - too noisy at full message rate
+  logLevel: 'info',
+  snapshotTimeoutMs: 30000,
+  staleAfterMs: 10000,
+  persistSnapshot: true,
+  // Sparklines and the history drawer
+  historyFields: POSITION_HISTORY_FIELDS
+};
+
+export const TRADES_FEED: StompConfig = {
+  url: STOMP_URL,
+  clientId: 'ANGULAR_TRADES_001',
+  dataType: 'trades',
+  messageRate: 1000,
+  snapshotEndToken: 'Success',
+  keyColumn: 'tradeId',
+  reconnectDelay: 5000,
+  maxReconnectAttempts: 10,
+  heartbeatIncoming: 10000,
+  heartbeatOutgoing: 10000,
+  logLevel: 'info',
+  snapshotTimeoutMs: 30000,
+  staleAfterMs: 10000,
+  persistSnapshot: true
+};
@@ -0,0 +1,17 @@
+import { Position } from '../services/stomp-client-enhanced.service';
+import { TradesComponent } from './trades.component';
+
+describe('TradesComponent', () => {
+  const position = { positionId: 'POS-1', cusip: '912828XG0' } as Position;
+
+  it('should link trades to a position by positionId, or by cusip when it has none', () => {
+    expect(TradesComponent.filterForPosition(position))
+      .toBe("positionId == 'POS-1' || (isNull(positionId) && cusip == '912828XG0')");
+  });
+
+  it('should escape quotes in the filter literals', () => {
+    const filter = TradesComponent.filterForPosition({ ...position, positionId: "O'NEIL-7" });
+
+    expect(filter).toContain("positionId == 'O\\'NEIL-7'");
+  });
+});
@@ -0,0 +1,241 @@
+import { Component, Input, OnChanges, OnDestroy, OnInit, SimpleChanges } from '@angular/core';
+import { ColDef, GetRowIdParams, GridApi, GridReadyEvent, SideBarDef } from 'ag-grid-enterprise';
+import { Subject, takeUntil } from 'rxjs';
+import { Position, StompClientEnhancedService, StompClientState, Trade } from '../services/stomp-client-enhanced.service';
+import { StompProviderHandle } from '../services/stomp-provider-handle';
+import { GridLayoutService } from '../services/grid-layout.service';
+import { TRADES_FEED, TRADES_PROVIDER } from '../stomp-feeds';
+import { columnsFor } from '../grid/column-registry';
+
+/**
+ * Trades grid on the shared trades feed. Routed as the trade blotter, and
+ * embedded by the positions view (compact, filtered) as a detail panel.
+ * The feed keeps running when the view is left; coming back reloads the
+ * rows the worker holds instead of reconnecting.
+ */
+@Component({
+  selector: 'app-trades',
+  templateUrl: './trades.component.html',
+  styleUrls: ['./trades.component.css']
+})
+export class TradesComponent implements OnInit, OnChanges, OnDestroy {
+  // Provider handle this grid reads from
+  @Input() providerName = TRADES_PROVIDER;
+
+  // Worker-side filter expression; changing it re-filters in place
+  @Input() filter?: string;
+
+  // Detail panel: shorter grid, no status bar or layouts
+  @Input() compact = false;
+
+  // Trades booked against a position; older bookings only carry its cusip
+  static filterForPosition(position: Position): string {
+    const quote = (value: string) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    return `positionId == ${quote(position.positionId)} || (isNull(positionId) && cusip == ${quote(position.cusip)})`;
+  }
+
+  state: StompClientState = {
+    connected: false,
+    connecting: false,
+    messagesReceived: 0,
+    messagesPerSecond: 0,
+    mode: 'idle'
+  };
+
+  rowData: Trade[] = [];
+
+  private handle!: StompProviderHandle<Trade>;
+  gridApi?: GridApi<Trade>;  // Public for the layout toolbar
+  private destroy$ = new Subject<void>();
+  private ready: Promise<void> = Promise.resolve();
+
+  // Live rows by tradeId, and the snapshot being accumulated
+  private rowsById = new Map<string, Trade>();
+  private snapshotData = new Map<string, Trade>();
+  private snapshotComplete = false;
+
+  // Joined while the snapshot was streaming - its earlier rows went elsewhere
+  private missedSnapshotRows = false;
+
+  colDefs: ColDef<Trade>[] = columnsFor('trades');
+
+  defaultColDef: ColDef = {
+    resizable: true,
+    sortable: true,
+    filter: true,
+    flex: 1,
+    minWidth: 90,
+    enableCellChangeFlash: true
+  };
+
+  // The blotter can rearrange and save its columns; the detail panel keeps the defaults
+  sideBar: SideBarDef = {
+    toolPanels: ['columns', 'filters']
+  };
+
+  getRowId = (params: GetRowIdParams<Trade>) => params.data.tradeId;
+
+  constructor(private stompService: StompClientEnhancedService, private layoutService: GridLayoutService) {}
+
+  get rowCount(): number {
+    return this.snapshotComplete ? this.rowsById.size : this.snapshotData.size;
+  }
+
+  ngOnInit(): void {
+    this.handle = this.stompService.provider<Trade>(this.providerName);
+    this.subscribeToFeed();
+    this.ready = this.start();
+  }
+
+  ngOnChanges(changes: SimpleChanges): void {
+    // The first filter goes out with connect
+    const filter = changes['filter'];
+    if (filter && !filter.firstChange) {
+      this.applyFilter();
+    }
+  }
+
+  ngOnDestroy(): void {
+    // The feed stays connected for the next visit to this view
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  onGridReady(params: GridReadyEvent<Trade>): void {
+    this.gridApi = params.api;
+    if (!this.compact) {
+      this.layoutService.restore(this.gridApi, 'trades');
+    }
+  }
+
+  getConnectionStatusText(): string {
+    if (this.state.connected && this.state.stale) return 'Connected (stale)';
+    if (this.state.connected) return 'Connected';
+    if (this.state.connecting) return 'Connecting...';
+    return 'Disconnected';
+  }
+
+  private subscribeToFeed(): void {
+    this.handle.clientState$
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(state => this.state = state);
+
+    this.handle.data
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(trades => {
+        if (this.state.mode === 'snapshot') {
+          trades.forEach(trade => this.snapshotData.set(trade.tradeId, trade));
+        } else if (this.state.mode === 'realtime') {
+          this.handleRealtimeUpdates(trades);
+        }
+      });
+
+    this.handle.removed
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(tradeIds => {
+        if (this.state.mode === 'snapshot') {
+          tradeIds.forEach(tradeId => this.snapshotData.delete(tradeId));
+        } else if (this.state.mode === 'realtime') {
+          this.handleRealtimeRemovals(tradeIds);
+        }
+      });
+
+    this.handle.snapshotComplete
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.handleSnapshotComplete());
+
+    // The worker re-snapshots once reconnected
+    this.handle.reconnecting
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.snapshotData.clear());
+  }
+
+  private async start(): Promise<void> {
+    const { connected, connecting, mode } = this.handle.getClientState();
+
+    if (!connected && !connecting) {
+      try {
+        await this.handle.connect({ ...TRADES_FEED, filter: this.filter });
+      } catch (error) {
+        console.error(`[TradesComponent] Failed to connect ${this.providerName}:`, error);
+      }
+      return;
+    }
+
+    // Feed already running, e.g. back from another view
+    if (this.filter !== undefined) {
+      await this.handle.setView(this.filter);
+    }
+    if (mode === 'realtime') {
+      await this.loadFromWorker();
+    } else if (mode === 'snapshot') {
+      this.missedSnapshotRows = true;
+    }
+  }
+
+  // Rows entering the new filter arrive as data, rows leaving it as removed
+  private async applyFilter(): Promise<void> {
+    try {
+      await this.ready;
+      await this.handle.setView(this.filter);
+    } catch (error) {
+      console.error(`[TradesComponent] Failed to filter ${this.providerName}:`, error);
+    }
+  }
+
+  private async loadFromWorker(): Promise<void> {
+    this.setRows(await this.handle.getSnapshot());
+  }
+
+  private handleSnapshotComplete(): void {
+    this.snapshotComplete = true;
+
+    if (this.missedSnapshotRows) {
+      this.missedSnapshotRows = false;
+      this.snapshotData.clear();
+      this.loadFromWorker();
+      return;
+    }
+
+    this.setRows(Array.from(this.snapshotData.values()));
+    this.snapshotData.clear();
+  }
+
+  // With getRowId set the grid diffs the new rows against the old, keeping scroll and sort.
+  // Only the [rowData] binding sets them; see PositionsComponent.handleSnapshotComplete.
+  private setRows(trades: Trade[]): void {
+    this.rowData = trades;
+    this.rowsById = new Map(trades.map(trade => [trade.tradeId, trade]));
+    this.snapshotComplete = true;
+  }
+
+  private handleRealtimeUpdates(trades: Trade[]): void {
+    if (!this.gridApi || !this.snapshotComplete) return;
+
+    const update: Trade[] = [];
+    const add: Trade[] = [];
+    trades.forEach(trade => {
+      (this.rowsById.has(trade.tradeId) ? update : add).push(trade);
+      this.rowsById.set(trade.tradeId, trade);
+    });
+
+    this.gridApi.applyTransactionAsync({ update, add });
+  }
+
+  private handleRealtimeRemovals(tradeIds: string[]): void {
+    if (!this.gridApi || !this.snapshotComplete) return;
+
+    const remove: Trade[] = [];
+    tradeIds.forEach(tradeId => {
+      const row = this.rowsById.get(tradeId);
+      if (row) {
+        remove.push(row);
+        this.rowsById.delete(tradeId);
+      }
+    });
+
+    if (remove.length > 0) {
+      this.gridApi.applyTransactionAsync({ remove });
+    }
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Columnar row encoding for worker -> tab transport.
+ *
+ * Plain row arrays are structured-cloned field by field on every postMessage.
+ * For large books the worker can instead send one ArrayBuffer per column and
+ * transfer them, which is close to free:
+ *
+ *   float64 - numeric columns, NaN marks a missing value
+ *   dict    - string columns as Uint32 indices into a per-batch dictionary
+ *             (CUSIP, sector, rating ...), 0xFFFFFFFF marks a missing value
+ *   json    - anything else (booleans, objects, mixed types), cloned as-is
+ *
+ * A missing field and an explicit null differ: null clears the field in the
+ * grid. float64 and dict columns with nulls carry a transferred bitmap
+ * (`nulls`, one bit per row) marking them; json columns clone null as-is.
+ *
+ * The decoder in src/app/services/columnar-codec.ts reads the same format.
+ */
+(function (scope) {
+  const FORMAT_VERSION = 1;
+  const MISSING_INDEX = 0xFFFFFFFF;
+
+  // Pick the narrowest encoding that holds every value in the column
+  function columnKind(rows, name) {
+    let kind = null;
+
+    for (let i = 0; i < rows.length; i++) {
+      const value = rows[i][name];
+      if (value === null || value === undefined) continue;
+
+      const valueKind = typeof value === 'number' ? 'float64' : typeof value === 'string' ? 'dict' : 'json';
+      if (valueKind === 'json') return 'json';
+      if (kind && kind !== valueKind) return 'json';
+      kind = valueKind;
+    }
+
+    return kind || 'json';
+  }
+
+  // One bit per row set where the field is an explicit null, or null if there are none
+  function nullBitmap(rows, name) {
+    let bitmap = null;
+    for (let i = 0; i < rows.length; i++) {
+      if (rows[i][name] !== null) continue;
+      bitmap = bitmap || new Uint8Array(Math.ceil(rows.length / 8));
+      bitmap[i >> 3] |= 1 << (i & 7);
+    }
+    return bitmap;
+  }
+
+  function isNull(bitmap, index) {
+    return bitmap !== null && (bitmap[index >> 3] & (1 << (index & 7))) !== 0;
+  }
+
+  function columnNames(rows) {
+    const names = new Set();
+    rows.forEach(row => Object.keys(row).forEach(name => names.add(name)));
+    return Array.from(names);
+  }
+
+  /**
+   * Encode rows into a columnar batch.
+   * Returns { batch, transfer } where transfer lists the ArrayBuffers to hand
+   * to postMessage so they move instead of being copied.
+   */
+  function encode(rows) {
+    const rowCount = rows.length;
+    const transfer = [];
+
+    const columns = columnNames(rows).map(name => {
+      const kind = columnKind(rows, name);
+
+      if (kind === 'float64') {
+        const values = new Float64Array(rowCount);
+        for (let i = 0; i < rowCount; i++) {
+          const value = rows[i][name];
+          values[i] = value === null || value === undefined ? NaN : value;
+        }
+        transfer.push(values.buffer);
+        return withNulls({ name, kind, buffer: values.buffer }, rows, transfer);
+      }
+
+      if (kind === 'dict') {
+        const dictionary = [];
+        const lookup = new Map();
+        const indices = new Uint32Array(rowCount);
+        for (let i = 0; i < rowCount; i++) {
+          const value = rows[i][name];
+          if (value === null || value === undefined) {
+            indices[i] = MISSING_INDEX;
+            continue;
+          }
+          let index = lookup.get(value);
+          if (index === undefined) {
+            index = dictionary.length;
+            dictionary.push(value);
+            lookup.set(value, index);
+          }
+          indices[i] = index;
+        }
+        transfer.push(indices.buffer);
+        return withNulls({ name, kind, dictionary, buffer: indices.buffer }, rows, transfer);
+      }
+
+      return { name, kind, values: rows.map(row => row[name]) };
+    });
+
+    return {
+      batch: { encoding: 'columnar', version: FORMAT_VERSION, rowCount, columns },
+      transfer
+    };
+  }
+
+  // Attach the column's null bitmap, if it has nulls, and transfer it with the values
+  function withNulls(column, rows, transfer) {
+    const bitmap = nullBitmap(rows, column.name);
+    if (bitmap) {
+      column.nulls = bitmap.buffer;
+      transfer.push(bitmap.buffer);
+    }
+    return column;
+  }
+
+  // Decode a columnar batch back into plain row objects
+  function decode(batch) {
+    if (batch.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported columnar version ${batch.version}`);
+    }
+
+    const rows = new Array(batch.rowCount);
+    for (let i = 0; i < batch.rowCount; i++) {
+      rows[i] = {};
+    }
+
+    batch.columns.forEach(column => {
+      const nulls = column.nulls ? new Uint8Array(column.nulls) : null;
+
+      if (column.kind === 'float64') {
+        const values = new Float64Array(column.buffer);
+        for (let i = 0; i < batch.rowCount; i++) {
+          if (isNull(nulls, i)) rows[i][column.name] = null;
+          else if (!isNaN(values[i])) rows[i][column.name] = values[i];
+        }
+      } else if (column.kind === 'dict') {
+        const indices = new Uint32Array(column.buffer);
+        for (let i = 0; i < batch.rowCount; i++) {
+          if (isNull(nulls, i)) rows[i][column.name] = null;
+          else if (indices[i] !== MISSING_INDEX) rows[i][column.name] = column.dictionary[indices[i]];
+        }
+      } else {
+        column.values.forEach((value, i) => {
+          if (value !== undefined) rows[i][column.name] = value;
+        });
+      }
+    });
+
+    return rows;
+  }
+
+  scope.StompColumnar = { encode, decode, FORMAT_VERSION };
+})(self);
@@ -0,0 +1,372 @@
+/**
+ * Small, safe expression language used by the STOMP worker for subscriber
+ * filters. Expressions are parsed once and compiled to closures, so no
+ * eval/new Function is involved and the worker stays CSP-friendly.
+ *
+ *   sector == 'Financials' && marketValue > 1e6
+ *   rating in ['AAA', 'AA'] || contains(lower(description), 'treasury')
+ *   duration * marketValue / 10000
+ */
+(function (scope) {
+  class ExpressionError extends Error {
+    constructor(message, position) {
+      super(position !== undefined ? `${message} at position ${position}` : message);
+      this.name = 'ExpressionError';
+      this.position = position;
+    }
+  }
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  const toTime = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  };
+
+  const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+  const numeric = (fn) => (...args) => args.some(a => a === null || a === undefined) ? null : fn(...args);
+
+  // Built-in functions available to every expression. No prototype, so names
+  // such as constructor or toString are not functions.
+  const FUNCTIONS = Object.assign(Object.create(null), {
+    abs: numeric(Math.abs),
+    min: numeric(Math.min),
+    max: numeric(Math.max),
+    floor: numeric(Math.floor),
+    ceil: numeric(Math.ceil),
+    sqrt: numeric(Math.sqrt),
+    pow: numeric(Math.pow),
+    log: numeric(Math.log),
+    exp: numeric(Math.exp),
+    round: numeric((value, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    }),
+    lower: (value) => value === null || value === undefined ? null : String(value).toLowerCase(),
+    upper: (value) => value === null || value === undefined ? null : String(value).toUpperCase(),
+    len: (value) => value === null || value === undefined ? 0 : String(value).length,
+    contains: (value, search) => value !== null && value !== undefined && String(value).includes(String(search)),
+    startsWith: (value, search) => value !== null && value !== undefined && String(value).startsWith(String(search)),
+    endsWith: (value, search) => value !== null && value !== undefined && String(value).endsWith(String(search)),
+    coalesce: (...args) => {
+      const found = args.find(a => a !== null && a !== undefined);
+      return found === undefined ? null : found;
+    },
+    isNull: (value) => value === null || value === undefined,
+    now: () => Date.now(),
+    date: (value) => toTime(value),
+    daysUntil: (value) => {
+      const time = toTime(value);
+      return time === null ? null : Math.ceil((time - Date.now()) / MS_PER_DAY);
+    },
+    daysSince: (value) => {
+      const time = toTime(value);
+      return time === null ? null : Math.floor((Date.now() - time) / MS_PER_DAY);
+    }
+  });
+
+  // Tokenizer
+  const PUNCTUATION = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '?', ':'];
+  const KEYWORDS = Object.assign(Object.create(null), { and: '&&', or: '||', not: '!' });
+
+  function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const ch = source[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9.]/.test(ch)) {
+        const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (!match) throw new ExpressionError(`Invalid number`, i);
+        tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+        i += match[0].length;
+        continue;
+      }
+
+      if (ch === '\'' || ch === '"') {
+        let j = i + 1;
+        let value = '';
+        while (j < source.length && source[j] !== ch) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j++];
+        }
+        if (j >= source.length) throw new ExpressionError('Unterminated string', i);
+        tokens.push({ type: 'string', value, position: i });
+        i = j + 1;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(ch)) {
+        const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+        const word = match[0];
+        if (KEYWORDS[word]) {
+          tokens.push({ type: 'op', value: KEYWORDS[word], position: i });
+        } else if (word === 'in') {
+          tokens.push({ type: 'op', value: 'in', position: i });
+        } else {
+          tokens.push({ type: 'ident', value: word, position: i });
+        }
+        i += word.length;
+        continue;
+      }
+
+      const punct = PUNCTUATION.find(p => source.startsWith(p, i));
+      if (!punct) throw new ExpressionError(`Unexpected character '${ch}'`, i);
+      tokens.push({ type: 'op', value: punct, position: i });
+      i += punct.length;
+    }
+
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+  }
+
+  // Recursive-descent parser producing an AST
+  function parse(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const next = () => tokens[pos++];
+    const expect = (value) => {
+      if (!isOp(value)) {
+        throw new ExpressionError(`Expected '${value}'`, peek().position);
+      }
+      return next();
+    };
+
+    function ternary() {
+      const test = or();
+      if (!isOp('?')) return test;
+      next();
+      const consequent = ternary();
+      expect(':');
+      const alternate = ternary();
+      return { type: 'conditional', test, consequent, alternate };
+    }
+
+    function binaryLevel(operators, operand) {
+      return function level() {
+        let left = operand();
+        while (peek().type === 'op' && operators.includes(peek().value)) {
+          const op = next().value;
+          left = { type: 'binary', op, left, right: operand() };
+        }
+        return left;
+      };
+    }
+
+    function unary() {
+      if (isOp('!') || isOp('-')) {
+        const op = next().value;
+        return { type: 'unary', op, argument: unary() };
+      }
+      return primary();
+    }
+
+    const multiplicative = binaryLevel(['*', '/', '%'], unary);
+    const additive = binaryLevel(['+', '-'], multiplicative);
+
+    function comparison() {
+      const left = additive();
+      if (isOp('in')) {
+        next();
+        return { type: 'in', left, right: primary() };
+      }
+      if (peek().type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(peek().value)) {
+        const op = next().value;
+        return { type: 'binary', op, left, right: additive() };
+      }
+      return left;
+    }
+
+    const and = binaryLevel(['&&'], comparison);
+    const or = binaryLevel(['||'], and);
+
+    function list(close) {
+      const items = [];
+      if (!isOp(close)) {
+        do {
+          items.push(ternary());
+        } while (isOp(',') && next());
+      }
+      expect(close);
+      return items;
+    }
+
+    function primary() {
+      const token = next();
+
+      switch (token.type) {
+        case 'number':
+        case 'string':
+          return { type: 'literal', value: token.value };
+
+        case 'ident':
+          if (token.value === 'true') return { type: 'literal', value: true };
+          if (token.value === 'false') return { type: 'literal', value: false };
+          if (token.value === 'null') return { type: 'literal', value: null };
+          if (isOp('(')) {
+            next();
+            if (!FUNCTIONS[token.value]) {
+              throw new ExpressionError(`Unknown function '${token.value}'`, token.position);
+            }
+            return { type: 'call', name: token.value, args: list(')') };
+          }
+          return { type: 'field', name: token.value };
+
+        case 'op':
+          if (token.value === '(') {
+            const inner = ternary();
+            expect(')');
+            return inner;
+          }
+          if (token.value === '[') {
+            return { type: 'list', items: list(']') };
+          }
+          break;
+      }
+
+      throw new ExpressionError(
+        token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`,
+        token.position
+      );
+    }
+
+    if (peek().type === 'end') {
+      throw new ExpressionError('Expression is empty');
+    }
+
+    const ast = ternary();
+    if (peek().type !== 'end') {
+      throw new ExpressionError(`Unexpected '${peek().value}'`, peek().position);
+    }
+    return ast;
+  }
+
+  const isMissing = (value) => value === null || value === undefined;
+
+  const BINARY = {
+    '+': (a, b) => typeof a === 'string' || typeof b === 'string'
+      ? `${isMissing(a) ? '' : a}${isMissing(b) ? '' : b}`
+      : (isMissing(a) || isMissing(b) ? null : a + b),
+    '-': (a, b) => isMissing(a) || isMissing(b) ? null : a - b,
+    '*': (a, b) => isMissing(a) || isMissing(b) ? null : a * b,
+    '/': (a, b) => isMissing(a) || isMissing(b) || b === 0 ? null : a / b,
+    '%': (a, b) => isMissing(a) || isMissing(b) || b === 0 ? null : a % b,
+    '==': (a, b) => isMissing(a) && isMissing(b) ? true : a === b,
+    '!=': (a, b) => isMissing(a) && isMissing(b) ? false : a !== b,
+    '<': (a, b) => !isMissing(a) && !isMissing(b) && a < b,
+    '<=': (a, b) => !isMissing(a) && !isMissing(b) && a <= b,
+    '>': (a, b) => !isMissing(a) && !isMissing(b) && a > b,
+    '>=': (a, b) => !isMissing(a) && !isMissing(b) && a >= b
+  };
+
+  // Turn the AST into nested closures evaluated as fn(row)
+  function build(node, fields) {
+    switch (node.type) {
+      case 'literal': {
+        const value = node.value;
+        return () => value;
+      }
+
+      case 'field': {
+        const name = node.name;
+        fields.add(name);
+        // Own fields only, so a row's prototype (toString, constructor) reads as missing
+        return (row) => {
+          const value = hasOwn(row, name) ? row[name] : undefined;
+          return value === undefined ? null : value;
+        };
+      }
+
+      case 'list': {
+        const items = node.items.map(item => build(item, fields));
+        return (row) => items.map(item => item(row));
+      }
+
+      case 'call': {
+        const fn = FUNCTIONS[node.name];
+        const args = node.args.map(arg => build(arg, fields));
+        return (row) => fn(...args.map(arg => arg(row)));
+      }
+
+      case 'unary': {
+        const argument = build(node.argument, fields);
+        if (node.op === '!') return (row) => !argument(row);
+        return (row) => {
+          const value = argument(row);
+          return isMissing(value) ? null : -value;
+        };
+      }
+
+      case 'conditional': {
+        const test = build(node.test, fields);
+        const consequent = build(node.consequent, fields);
+        const alternate = build(node.alternate, fields);
+        return (row) => test(row) ? consequent(row) : alternate(row);
+      }
+
+      case 'in': {
+        const left = build(node.left, fields);
+        const right = build(node.right, fields);
+        return (row) => {
+          const values = right(row);
+          return Array.isArray(values) && values.includes(left(row));
+        };
+      }
+
+      case 'binary': {
+        const left = build(node.left, fields);
+        const right = build(node.right, fields);
+        if (node.op === '&&') return (row) => !!(left(row) && right(row));
+        if (node.op === '||') return (row) => !!(left(row) || right(row));
+        const op = BINARY[node.op];
+        return (row) => op(left(row), right(row));
+      }
+    }
+
+    throw new ExpressionError(`Unsupported node '${node.type}'`);
+  }
+
+  /**
+   * Compile an expression. Throws ExpressionError for invalid input.
+   * Returns { source, fields, evaluate(row) }.
+   */
+  function compile(source) {
+    const fields = new Set();
+    const evaluate = build(parse(String(source)), fields);
+
+    return {
+      source: String(source),
+      fields: Array.from(fields),
+      evaluate: (row) => {
+        try {
+          return evaluate(row);
+        } catch (error) {
+          return null;
+        }
+      }
+    };
+  }
+
+  // Validate without throwing: { valid, error?, position?, fields? }
+  function validate(source) {
+    try {
+      const compiled = compile(source);
+      return { valid: true, fields: compiled.fields };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position };
+    }
+  }
+
+  scope.StompExpression = { compile, validate, parse, FUNCTIONS, ExpressionError };
+})(self);
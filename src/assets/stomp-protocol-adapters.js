@@ -0,0 +1,189 @@
+/**
+ * Snapshot/realtime protocol adapters for the STOMP worker.
+ *
+ * An adapter tells a ProviderConnection which destinations to subscribe to,
+ * how to trigger the snapshot and how to recognise its end. Adapters are
+ * created from the plain `protocol` object in the provider config, so tabs
+ * can describe a desk's conventions without shipping code to the worker.
+ *
+ *   protocol: {
+ *     adapter: 'snapshot',                       // registered adapter name
+ *     triggerDestination: '/snapshot/{dataType}/{clientId}/{rate}/{batchSize}',
+ *     snapshotTopic: '/snapshot/{dataType}/{clientId}',
+ *     liveTopic: '/live/{dataType}',             // optional separate realtime topic
+ *     triggerBody: '{"rate": {rate}}',
+ *     triggerHeaders: { 'x-client': '{clientId}' },
+ *     snapshotEnd: [{ type: 'header', header: 'x-snapshot-end', value: 'true' }],
+ *     replyQueue: '/temp-queue/replies-{clientId}', // reply-to for request/reply
+ *     replySubscribe: false                      // true for brokers that need a SUBSCRIBE to it
+ *   }
+ *
+ * Template placeholders: {dataType} {clientId} {providerId} {rate} {batchSize}
+ * plus anything in `protocol.variables`. A `/{name}` path segment whose value
+ * is empty is dropped, so an unset batch size leaves no trailing slash.
+ */
+(function (scope) {
+  const DEFAULT_PROTOCOL = {
+    triggerDestination: '/snapshot/{dataType}/{clientId}/{rate}/{batchSize}',
+    snapshotTopic: '/snapshot/{dataType}/{clientId}',
+    liveTopic: null,
+    triggerBody: '',
+    triggerHeaders: {},
+    subscribeHeaders: {},
+    // Brokers such as RabbitMQ route /temp-queue/ replies back to the
+    // connection without a subscription; others need replySubscribe
+    replyQueue: '/temp-queue/replies-{clientId}',
+    replySubscribe: false
+  };
+
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+
+  function renderTemplate(template, variables) {
+    if (isEmpty(template)) return template;
+
+    return String(template)
+      .replace(/\/\{(\w+)\}/g, (_, name) => isEmpty(variables[name]) ? '' : `/${variables[name]}`)
+      .replace(/\{(\w+)\}/g, (_, name) => isEmpty(variables[name]) ? '' : String(variables[name]));
+  }
+
+  function renderHeaders(headers, variables) {
+    const rendered = {};
+    Object.keys(headers || {}).forEach(name => {
+      rendered[name] = renderTemplate(headers[name], variables);
+    });
+    return rendered;
+  }
+
+  // End-of-snapshot rules. Each returns true when a message marks the end.
+  const END_RULES = {
+    // Exact body match by default, so a row mentioning the token does not end the snapshot
+    token: (rule) => {
+      const caseSensitive = !!rule.caseSensitive;
+      const token = caseSensitive ? String(rule.token) : String(rule.token).toLowerCase();
+      return (message) => {
+        const body = caseSensitive ? message.body.trim() : message.body.trim().toLowerCase();
+        return rule.match === 'contains' ? body.includes(token) : body === token || body === `"${token}"`;
+      };
+    },
+
+    header: (rule) => (message) => {
+      const value = message.headers && message.headers[rule.header];
+      if (value === undefined) return false;
+      return rule.value === undefined || String(value) === String(rule.value);
+    },
+
+    // A JSON object body with a message type field, e.g. {"type": "SNAPSHOT_END"}
+    field: (rule) => (message) => {
+      const body = message.body.trim();
+      if (!body.startsWith('{') || !body.includes(rule.field)) return false;
+      try {
+        const parsed = JSON.parse(body);
+        if (!(rule.field in parsed)) return false;
+        return rule.value === undefined || parsed[rule.field] === rule.value;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+
+  function createEndDetector(rules) {
+    const detectors = (Array.isArray(rules) ? rules : [rules]).map(rule => {
+      const factory = END_RULES[rule.type];
+      if (!factory) {
+        throw new Error(`Unknown snapshot end rule '${rule.type}'`);
+      }
+      return factory(rule);
+    });
+
+    return (message) => detectors.some(detect => detect(message));
+  }
+
+  /**
+   * Default adapter: trigger + snapshot topic (+ optional live topic),
+   * all driven by templates and declarative end rules.
+   */
+  function createSnapshotAdapter(config, providerId) {
+    const protocol = { ...DEFAULT_PROTOCOL };
+    Object.keys(config.protocol || {}).forEach(key => {
+      if (config.protocol[key] !== undefined) protocol[key] = config.protocol[key];
+    });
+    const endRules = protocol.snapshotEnd || {
+      type: 'token',
+      token: config.snapshotEndToken || 'success'
+    };
+    const isSnapshotEnd = createEndDetector(endRules);
+
+    const variablesFor = (clientId) => ({
+      ...(protocol.variables || {}),
+      dataType: config.dataType || 'positions',
+      clientId: clientId,
+      providerId: providerId,
+      rate: config.messageRate || 1000,
+      batchSize: config.batchSize
+    });
+
+    return {
+      name: 'snapshot',
+
+      // Destinations to subscribe to: phase 'snapshot' carries the snapshot
+      // (and updates after it when there is no live topic), 'live' only updates
+      subscriptions(clientId) {
+        const variables = variablesFor(clientId);
+        const headers = renderHeaders(protocol.subscribeHeaders, variables);
+        const subscriptions = [{
+          destination: renderTemplate(protocol.snapshotTopic, variables),
+          phase: 'snapshot',
+          headers
+        }];
+        if (protocol.liveTopic) {
+          subscriptions.push({
+            destination: renderTemplate(protocol.liveTopic, variables),
+            phase: 'live',
+            headers
+          });
+        }
+        return subscriptions;
+      },
+
+      // Frame that asks the server to start the snapshot, or null for none
+      triggerFrame(clientId) {
+        if (!protocol.triggerDestination) return null;
+
+        const variables = variablesFor(clientId);
+        return {
+          destination: renderTemplate(protocol.triggerDestination, variables),
+          body: renderTemplate(protocol.triggerBody, variables) || '',
+          headers: renderHeaders(protocol.triggerHeaders, variables)
+        };
+      },
+
+      // Where request/reply replies come back, and whether to subscribe to it
+      replyQueue(clientId) {
+        return {
+          destination: renderTemplate(protocol.replyQueue, variablesFor(clientId)),
+          subscribe: !!protocol.replySubscribe
+        };
+      },
+
+      isSnapshotEnd
+    };
+  }
+
+  const adapters = new Map([['snapshot', createSnapshotAdapter]]);
+
+  // Register a custom adapter factory: (config, providerId) => adapter
+  function register(name, factory) {
+    adapters.set(name, factory);
+  }
+
+  function create(config, providerId) {
+    const name = (config.protocol && config.protocol.adapter) || 'snapshot';
+    const factory = adapters.get(name);
+    if (!factory) {
+      throw new Error(`Unknown protocol adapter '${name}'`);
+    }
+    return factory(config, providerId);
+  }
+
+  scope.StompProtocolAdapters = { create, register, renderTemplate, createEndDetector };
+})(self);
@@ -0,0 +1,271 @@
+/**
+ * Session recording and replay for the STOMP worker. A SessionRecorder keeps
+ * every frame a provider receives on its snapshot and live destinations, with
+ * its headers and the time it arrived, plus marks for what happened around
+ * them (snapshot start and end, refreshes, lost connections). The result is a
+ * plain object that is saved as a JSON file:
+ *
+ *   { format: 'stomp-session', version: 1, providerId, config, startedAt, endedAt, truncated,
+ *     entries: [{ t: 0, type: 'snapshot-start', clientId }, { t: 12, type: 'message', phase: 'snapshot', headers, body }, ...] }
+ *
+ * `t` is milliseconds since the recording started. A ReplaySession plays the
+ * entries back on the same schedule (or faster, or stepped by hand) into a
+ * provider, which handles them exactly as frames from the broker.
+ */
+(function (scope) {
+  const RECORDING_FORMAT = 'stomp-session';
+  const RECORDING_VERSION = 1;
+
+  // A long session at full rate fills memory; recording stops at whichever limit comes first
+  const DEFAULT_MAX_ENTRIES = 200000;
+  const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+  // Settings the frames depend on: destinations, end detection, keys and schema.
+  // Credentials and connect headers are never written to a recording.
+  const RECORDED_CONFIG_FIELDS = [
+    'websocketUrl', 'dataType', 'messageRate', 'batchSize', 'snapshotEndToken',
+    'keyColumn', 'protocol', 'schemaVersion', 'validateSchema', 'invalidRows'
+  ];
+
+  // At 'max' speed entries go in batches, so ports still get a look in
+  const MAX_ENTRIES_PER_TICK = 500;
+  const STATUS_INTERVAL_MS = 1000;
+
+  function recordedConfig(config) {
+    const picked = {};
+    RECORDED_CONFIG_FIELDS.forEach(field => {
+      if (config[field] !== undefined) picked[field] = config[field];
+    });
+    return picked;
+  }
+
+  // Check a recording read from a file; throws if it is not one this build can play
+  function parseRecording(recording) {
+    if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.entries)) {
+      throw new Error('Not a STOMP session recording');
+    }
+    if (typeof recording.version !== 'number' || recording.version > RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+    const invalid = recording.entries.findIndex((entry, i) => !entry || typeof entry.type !== 'string'
+      || typeof entry.t !== 'number' || (i > 0 && entry.t < recording.entries[i - 1].t));
+    if (invalid >= 0) {
+      throw new Error(`Recording entry ${invalid} is invalid or out of order`);
+    }
+    return recording;
+  }
+
+  // A speed multiplier, or 'max' for no waiting between entries
+  function normalizeSpeed(speed) {
+    if (speed === undefined || speed === null) return 1;
+    if (speed === 'max') return speed;
+
+    const multiplier = Number(speed);
+    if (!(multiplier > 0)) {
+      throw new Error(`Replay speed must be a positive number or 'max', not ${speed}`);
+    }
+    return multiplier;
+  }
+
+  class SessionRecorder {
+    constructor(providerId, config, options = {}) {
+      this.providerId = providerId;
+      this.config = recordedConfig(config);
+      this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+      this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+      this.onTruncated = options.onTruncated || (() => {});
+      this.startedAt = Date.now();
+      this.entries = [];
+      this.bytes = 0;
+      this.truncated = false;
+    }
+
+    // A frame as it arrived, before any parsing
+    message(phase, message) {
+      const headers = { ...message.headers };
+      this.add({ type: 'message', phase, headers, body: message.body }, message.body.length + JSON.stringify(headers).length);
+    }
+
+    // Anything else worth replaying: snapshot-start, snapshot-end, snapshot, refresh, connection-lost
+    mark(type, data = {}) {
+      this.add({ type, ...data }, JSON.stringify(data).length);
+    }
+
+    add(entry, bytes) {
+      if (this.truncated) return;
+
+      if (this.entries.length >= this.maxEntries || this.bytes + bytes > this.maxBytes) {
+        this.truncated = true;
+        this.onTruncated();
+        return;
+      }
+      this.entries.push({ t: Date.now() - this.startedAt, ...entry });
+      this.bytes += bytes;
+    }
+
+    status() {
+      return {
+        active: true,
+        startedAt: this.startedAt,
+        entries: this.entries.length,
+        bytes: this.bytes,
+        truncated: this.truncated
+      };
+    }
+
+    toJSON() {
+      return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        providerId: this.providerId,
+        config: this.config,
+        startedAt: this.startedAt,
+        endedAt: Date.now(),
+        truncated: this.truncated,
+        entries: this.entries
+      };
+    }
+  }
+
+  // Plays a recording's entries into `deliver` on the recorded schedule, scaled by speed
+  class ReplaySession {
+    constructor(recording, { speed, deliver, onStatus }) {
+      this.entries = parseRecording(recording).entries;
+      this.speed = normalizeSpeed(speed);
+      this.deliver = deliver;
+      this.onStatus = onStatus || (() => {});
+      this.position = 0; // Next entry to deliver
+      this.playing = false;
+      this.timer = null;
+      this.clock = null; // { wall, t }: recording time t is due at wall-clock time wall
+      this.lastStatusTime = 0;
+    }
+
+    get ended() {
+      return this.position >= this.entries.length;
+    }
+
+    play() {
+      if (this.playing || this.ended) return;
+
+      this.playing = true;
+      this.startClock();
+      this.schedule();
+      this.emitStatus();
+    }
+
+    pause() {
+      this.halt();
+      this.emitStatus();
+    }
+
+    // Deliver the next `count` messages straight away, with the marks before them; pauses playback
+    step(count = 1) {
+      this.halt();
+
+      let delivered = 0;
+      while (!this.ended && delivered < count) {
+        const entry = this.entries[this.position++];
+        this.deliver(entry);
+        if (entry.type === 'message') delivered++;
+      }
+      this.emitStatus();
+    }
+
+    setSpeed(speed) {
+      this.speed = normalizeSpeed(speed);
+      if (this.playing) {
+        clearTimeout(this.timer);
+        this.startClock();
+        this.schedule();
+      }
+      this.emitStatus();
+    }
+
+    stop() {
+      this.halt();
+    }
+
+    status() {
+      const last = this.entries[this.entries.length - 1];
+      return {
+        playing: this.playing,
+        speed: this.speed,
+        position: this.position,
+        total: this.entries.length,
+        time: this.position > 0 ? this.entries[this.position - 1].t : 0,
+        duration: last ? last.t : 0,
+        ended: this.ended
+      };
+    }
+
+    halt() {
+      this.playing = false;
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    // Time runs on from the next entry, so a pause or speed change does not skip ahead
+    startClock() {
+      this.clock = { wall: Date.now(), t: this.entries[this.position].t };
+    }
+
+    dueTime(entry) {
+      return this.clock.wall + (entry.t - this.clock.t) / this.speed;
+    }
+
+    schedule() {
+      if (!this.playing) return;
+
+      if (this.ended) {
+        this.playing = false;
+        this.emitStatus();
+        return;
+      }
+      const wait = this.speed === 'max' ? 0 : Math.max(0, this.dueTime(this.entries[this.position]) - Date.now());
+      this.timer = setTimeout(() => this.tick(), wait);
+    }
+
+    // Deliver every entry that is due, then wait for the next
+    tick() {
+      this.timer = null;
+      const now = Date.now();
+
+      for (let delivered = 0; this.playing && !this.ended && delivered < MAX_ENTRIES_PER_TICK; delivered++) {
+        const entry = this.entries[this.position];
+        if (this.speed !== 'max' && this.dueTime(entry) > now) break;
+
+        this.position++;
+        this.deliver(entry);
+      }
+
+      if (now - this.lastStatusTime >= STATUS_INTERVAL_MS) {
+        this.emitStatus();
+      }
+      this.schedule();
+    }
+
+    emitStatus() {
+      this.lastStatusTime = Date.now();
+      this.onStatus(this.status());
+    }
+  }
+
+  // Stands in for the STOMP client while replaying: subscriptions receive nothing and publishes go nowhere
+  function createReplayClient() {
+    return {
+      subscribe: () => ({ unsubscribe() {} }),
+      publish() {},
+      deactivate() {}
+    };
+  }
+
+  scope.StompReplay = {
+    SessionRecorder,
+    ReplaySession,
+    parseRecording,
+    createReplayClient,
+    RECORDING_FORMAT,
+    RECORDING_VERSION
+  };
+})(self);
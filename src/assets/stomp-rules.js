@@ -0,0 +1,196 @@
+/**
+ * Alert rules for the STOMP worker. Each provider has one RuleSet, checked
+ * against every real-time update, so rules run once however many tabs are
+ * open. Two kinds of rule:
+ *
+ *   { id: 'pnl-floor', name: 'P&L below -50k', type: 'threshold', condition: 'pnl < -50000' }
+ *   { id: 'pnl-swing', name: 'P&L% swing', type: 'change', field: 'pnlPercent', change: 2, windowMs: 300000 }
+ *
+ * A threshold rule fires when its condition becomes true for a row, and
+ * re-arms once it is false again. A change rule fires when the field has moved
+ * by at least `change` from any value it had in the last `windowMs`, and
+ * re-arms once the move is back under `change`. Either kind may have a
+ * `scope` expression limiting the rows it watches, e.g. "sector == 'Energy'".
+ * Conditions use the filter expression language (StompExpression).
+ */
+(function (scope) {
+  const RULE_TYPES = ['threshold', 'change'];
+  const SEVERITIES = ['info', 'warning', 'critical'];
+  const DEFAULT_SEVERITY = 'warning';
+  const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+
+  // Compile one rule definition; throws an Error naming the rule if it is invalid
+  function compileRule(definition) {
+    const rule = definition || {};
+    const label = rule.name || rule.id || 'rule';
+    const fail = (message) => {
+      throw new Error(`Rule '${label}': ${message}`);
+    };
+    const expression = (source, what) => {
+      try {
+        return StompExpression.compile(source);
+      } catch (error) {
+        return fail(`invalid ${what}: ${error.message}`);
+      }
+    };
+
+    if (typeof rule.id !== 'string' || !rule.id) fail('id is required');
+    if (!RULE_TYPES.includes(rule.type)) fail(`type must be one of ${RULE_TYPES.join(', ')}`);
+
+    const normalized = {
+      id: rule.id,
+      name: rule.name || rule.id,
+      type: rule.type,
+      severity: SEVERITIES.includes(rule.severity) ? rule.severity : DEFAULT_SEVERITY,
+      enabled: rule.enabled !== false,
+      scope: rule.scope || undefined
+    };
+    const compiled = {
+      definition: normalized,
+      scope: normalized.scope ? expression(normalized.scope, 'scope') : null,
+      state: new Map() // Row key -> per-rule state, see checkThreshold/checkChange
+    };
+
+    if (rule.type === 'threshold') {
+      if (!rule.condition) fail('condition is required');
+      normalized.condition = rule.condition;
+      compiled.condition = expression(rule.condition, 'condition');
+      return compiled;
+    }
+
+    const change = Number(rule.change);
+    const windowMs = rule.windowMs === undefined ? DEFAULT_WINDOW_MS : Number(rule.windowMs);
+    if (typeof rule.field !== 'string' || !rule.field) fail('field is required');
+    if (!(change > 0)) fail('change must be a positive number');
+    if (!(windowMs > 0)) fail('windowMs must be a positive number');
+    Object.assign(normalized, { field: rule.field, change, windowMs });
+    return compiled;
+  }
+
+  // Same definition, so an unchanged rule keeps its state when the rules are replaced
+  function sameDefinition(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  class RuleSet {
+    constructor(keyColumn) {
+      this.keyColumn = keyColumn;
+      this.rules = [];
+    }
+
+    // Replace all rules; validates every rule before changing anything
+    setRules(definitions) {
+      const compiled = (definitions || []).map(compileRule);
+      const ids = new Set();
+      compiled.forEach(rule => {
+        if (ids.has(rule.definition.id)) {
+          throw new Error(`Rule id '${rule.definition.id}' is used twice`);
+        }
+        ids.add(rule.definition.id);
+      });
+
+      this.rules = compiled.map(rule => {
+        const existing = this.rules.find(current => current.definition.id === rule.definition.id);
+        return existing && sameDefinition(existing.definition, rule.definition) ? existing : rule;
+      });
+      return this.getRules();
+    }
+
+    getRules() {
+      return this.rules.map(rule => ({ ...rule.definition }));
+    }
+
+    // Record the current state without alerting, e.g. for snapshot rows
+    prime(rows, now = Date.now()) {
+      this.check(rows, now);
+    }
+
+    // Check updated rows; returns the alerts that fired
+    evaluate(rows, now = Date.now()) {
+      return this.check(rows, now, []);
+    }
+
+    // Rows deleted upstream start afresh if they come back
+    forget(keys) {
+      this.rules.forEach(rule => keys.forEach(key => rule.state.delete(key)));
+    }
+
+    check(rows, now, alerts = null) {
+      this.rules.forEach(rule => {
+        if (!rule.definition.enabled) return;
+
+        rows.forEach(row => {
+          const key = String(row[this.keyColumn]);
+          if (rule.scope && !rule.scope.evaluate(row)) {
+            rule.state.delete(key);
+            return;
+          }
+
+          const alert = rule.definition.type === 'threshold'
+            ? this.checkThreshold(rule, key, row)
+            : this.checkChange(rule, key, row, now);
+          if (alert && alerts) {
+            alerts.push({
+              ruleId: rule.definition.id,
+              ruleName: rule.definition.name,
+              severity: rule.definition.severity,
+              key,
+              time: now,
+              ...alert
+            });
+          }
+        });
+      });
+      return alerts;
+    }
+
+    // State: true while the condition holds, so it fires once per breach
+    checkThreshold(rule, key, row) {
+      const breached = !!rule.condition.evaluate(row);
+      const wasBreached = rule.state.get(key) === true;
+      rule.state.set(key, breached);
+      if (!breached || wasBreached) return null;
+
+      const values = {};
+      rule.condition.fields.forEach(field => values[field] = row[field]);
+      return { message: `${rule.definition.name}: ${key}`, values };
+    }
+
+    // State: { lows, highs, fired }. lows/highs are [time, value] queues
+    // holding the window's running minimum and maximum, so hot rows stay cheap.
+    checkChange(rule, key, row, now) {
+      const { field, change, windowMs } = rule.definition;
+      const value = Number(row[field]);
+      if (row[field] === null || row[field] === undefined || isNaN(value)) return null;
+
+      const state = rule.state.get(key) || { lows: [], highs: [], fired: false };
+      rule.state.set(key, state);
+      [state.lows, state.highs].forEach(queue => {
+        while (queue.length > 0 && now - queue[0][0] > windowMs) queue.shift();
+      });
+
+      // Largest move from a value in the window
+      let from = value;
+      if (state.lows.length > 0 && value - state.lows[0][1] > Math.abs(value - from)) from = state.lows[0][1];
+      if (state.highs.length > 0 && state.highs[0][1] - value > Math.abs(value - from)) from = state.highs[0][1];
+
+      while (state.lows.length > 0 && state.lows[state.lows.length - 1][1] >= value) state.lows.pop();
+      while (state.highs.length > 0 && state.highs[state.highs.length - 1][1] <= value) state.highs.pop();
+      state.lows.push([now, value]);
+      state.highs.push([now, value]);
+
+      const moved = Math.abs(value - from) >= change;
+      const wasFired = state.fired;
+      state.fired = moved;
+      if (!moved || wasFired) return null;
+
+      return {
+        message: `${rule.definition.name}: ${key} ${field} moved ${value > from ? '+' : ''}${+(value - from).toFixed(4)}`,
+        values: { [field]: value },
+        from
+      };
+    }
+  }
+
+  scope.StompRules = { RuleSet, compileRule, RULE_TYPES, SEVERITIES };
+})(self);
@@ -0,0 +1,187 @@
+/**
+ * Versioned row schemas for the STOMP worker. Each data type has numbered
+ * versions; a later version usually extends an earlier one with new fields.
+ *
+ *   StompSchema.define('positions', 2, {
+ *     extends: 1,
+ *     fields: { accruedInterest: { type: 'number' } }
+ *   });
+ *
+ * Field types: string, number, integer, boolean, date. Values are coerced
+ * where the meaning is unambiguous ("1250.5" -> 1250.5, epoch millis -> ISO
+ * date string); anything else makes the row invalid. Dates already in ISO
+ * form, calendar dates ("2030-06-15") included, are left as they are. Fields a schema does not
+ * know pass through untouched, so a server on a newer version can add fields
+ * before the tabs know about them.
+ */
+(function (scope) {
+  // Returned by a coercer for a value it cannot convert
+  const INVALID = {};
+
+  const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : INVALID;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : INVALID;
+    }
+    return INVALID;
+  };
+
+  const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const COERCERS = {
+    string: (value) => {
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return INVALID;
+    },
+
+    number: toNumber,
+
+    integer: (value) => {
+      const number = toNumber(value);
+      return number !== INVALID && Number.isInteger(number) ? number : INVALID;
+    },
+
+    boolean: (value) => {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return INVALID;
+    },
+
+    // ISO strings survive structured cloning, columnar encoding and IndexedDB alike
+    date: (value) => {
+      if (typeof value !== 'string' && typeof value !== 'number') return INVALID;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return INVALID;
+
+      // A calendar date stays one; Date rolls days past the month end over, so those are invalid
+      if (typeof value === 'string' && CALENDAR_DATE.test(value)) {
+        return date.toISOString().slice(0, 10) === value ? value : INVALID;
+      }
+      return date.toISOString();
+    }
+  };
+
+  // dataType -> Map(version -> { dataType, version, fields })
+  const schemas = new Map();
+
+  function define(dataType, version, definition) {
+    const versions = schemas.get(dataType) || new Map();
+    const base = definition.extends !== undefined ? versions.get(definition.extends) : null;
+    if (definition.extends !== undefined && !base) {
+      throw new Error(`Schema ${dataType} v${version} extends unknown version ${definition.extends}`);
+    }
+
+    const fields = { ...(base ? base.fields : {}), ...definition.fields };
+    Object.keys(fields).forEach(name => {
+      if (!COERCERS[fields[name].type]) {
+        throw new Error(`Unknown type '${fields[name].type}' for ${dataType}.${name}`);
+      }
+    });
+
+    versions.set(version, { dataType, version, fields });
+    schemas.set(dataType, versions);
+  }
+
+  function latestVersion(dataType) {
+    const versions = schemas.get(dataType);
+    return versions ? Math.max(...versions.keys()) : null;
+  }
+
+  // The requested version, else the closest older one, else the latest; null for an unknown data type
+  function resolve(dataType, version) {
+    const versions = schemas.get(dataType);
+    if (!versions) return null;
+    if (version === undefined || version === null || isNaN(version)) {
+      return versions.get(latestVersion(dataType));
+    }
+    if (versions.has(version)) return versions.get(version);
+
+    const older = Array.from(versions.keys()).filter(known => known < version);
+    return versions.get(older.length > 0 ? Math.max(...older) : latestVersion(dataType));
+  }
+
+  /**
+   * Check and coerce one row. With `partial` (an update to a row already
+   * cached) only the fields present are checked; otherwise required fields
+   * must be there too. Returns { row, errors, coerced } - row is a copy
+   * whenever a value was coerced.
+   */
+  function validate(schema, row, partial) {
+    const errors = [];
+    let coerced = 0;
+    let result = row;
+
+    Object.keys(schema.fields).forEach(name => {
+      const field = schema.fields[name];
+      const value = row[name];
+
+      if (value === undefined || value === null) {
+        if (field.required && (!partial || value === null)) {
+          errors.push({ field: name, value: value, message: 'required' });
+        }
+        return;
+      }
+
+      const converted = COERCERS[field.type](value);
+      if (converted === INVALID) {
+        errors.push({ field: name, value: value, message: `expected ${field.type}` });
+        return;
+      }
+      if (converted !== value) {
+        if (result === row) result = { ...row };
+        result[name] = converted;
+        coerced++;
+      }
+    });
+
+    return { row: result, errors, coerced };
+  }
+
+  define('positions', 1, {
+    fields: {
+      positionId: { type: 'string', required: true },
+      cusip: { type: 'string', required: true },
+      symbol: { type: 'string' },
+      description: { type: 'string' },
+      quantity: { type: 'number', required: true },
+      marketValue: { type: 'number', required: true },
+      bookValue: { type: 'number' },
+      pnl: { type: 'number', required: true },
+      pnlPercent: { type: 'number' },
+      sector: { type: 'string' },
+      industry: { type: 'string' },
+      rating: { type: 'string' },
+      maturityDate: { type: 'date' },
+      couponRate: { type: 'number' },
+      duration: { type: 'number' },
+      convexity: { type: 'number' },
+      yieldToMaturity: { type: 'number' },
+      spreadToBenchmark: { type: 'number' },
+      lastUpdated: { type: 'date' }
+    }
+  });
+
+  define('trades', 1, {
+    fields: {
+      tradeId: { type: 'string', required: true },
+      positionId: { type: 'string' },
+      cusip: { type: 'string', required: true },
+      symbol: { type: 'string' },
+      side: { type: 'string', required: true },
+      quantity: { type: 'number', required: true },
+      price: { type: 'number', required: true },
+      notional: { type: 'number' },
+      tradeDate: { type: 'date' },
+      settlementDate: { type: 'date' },
+      counterparty: { type: 'string' },
+      trader: { type: 'string' },
+      status: { type: 'string' },
+      lastUpdated: { type: 'date' }
+    }
+  });
+
+  scope.StompSchema = { define, resolve, latestVersion, validate };
+})(self);
@@ -0,0 +1,175 @@
+/**
+ * IndexedDB persistence for provider snapshots, so a fresh SharedWorker can
+ * show the last known rows while the live snapshot streams in.
+ *
+ * One record per cache key (derived from the provider config):
+ *   { cacheKey, providerId, dataType, url, keyColumn, savedAt, rowCount, sizeBytes, rows }
+ * and the same record without rows in a metadata store, so listing and
+ * eviction never read the rows.
+ *
+ * Every call resolves (to null/[] where there is nothing to return) when
+ * IndexedDB is unavailable, so callers never need to guard for it.
+ */
+(function (scope) {
+  const DB_NAME = 'stomp-snapshot-cache';
+  const DB_VERSION = 2;
+  const STORE = 'snapshots';
+  const META_STORE = 'snapshot-meta';
+
+  // Rows sampled to estimate a snapshot's stored size
+  const SIZE_SAMPLE_ROWS = 100;
+
+  let dbPromise = null;
+
+  const isAvailable = () => typeof scope.indexedDB !== 'undefined';
+
+  function open() {
+    if (!isAvailable()) return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'cacheKey' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          const metadata = db.createObjectStore(META_STORE, { keyPath: 'cacheKey' });
+
+          // Version 1 kept metadata only next to the rows
+          request.transaction.objectStore(STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            metadata.put(withoutRows(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+
+    return dbPromise;
+  }
+
+  // Run fn(...stores) in a transaction over the named stores and resolve with the request's result
+  async function run(mode, storeNames, fn) {
+    const db = await open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = fn(...storeNames.map(name => transaction.objectStore(name)));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Snapshots are shared by providers with the same server, data type and protocol
+  function cacheKeyFor(config) {
+    return JSON.stringify([
+      config.websocketUrl,
+      config.dataType || 'positions',
+      config.keyColumn || 'positionId',
+      config.protocol || null
+    ]);
+  }
+
+  function withoutRows({ rows, ...meta }) {
+    return meta;
+  }
+
+  function estimateSize(rows) {
+    if (rows.length === 0) return 0;
+
+    const sample = rows.slice(0, SIZE_SAMPLE_ROWS);
+    const sampleBytes = sample.reduce((total, row) => total + JSON.stringify(row).length, 0);
+    return Math.round(sampleBytes / sample.length * rows.length);
+  }
+
+  function load(cacheKey) {
+    return run('readonly', [STORE], store => store.get(cacheKey)).then(record => record || null);
+  }
+
+  // Store a snapshot and its metadata; resolves with the bytes the cache grew by.
+  // A snapshot larger than maxBytes would only be evicted again, so it is not written.
+  async function save(record, maxBytes = Infinity) {
+    if (!isAvailable() || record.sizeBytes > maxBytes) return 0;
+
+    let growth = record.sizeBytes || 0;
+
+    await run('readwrite', [STORE, META_STORE], (snapshots, metadata) => {
+      const previous = metadata.get(record.cacheKey);
+      previous.onsuccess = () => {
+        growth -= (previous.result && previous.result.sizeBytes) || 0;
+      };
+      snapshots.put(record);
+      return metadata.put(withoutRows(record));
+    });
+
+    return growth;
+  }
+
+  // Metadata for every cached snapshot
+  async function list() {
+    return (await run('readonly', [META_STORE], metadata => metadata.getAll())) || [];
+  }
+
+  function remove(cacheKey) {
+    return run('readwrite', [STORE, META_STORE], (snapshots, metadata) => {
+      snapshots.delete(cacheKey);
+      return metadata.delete(cacheKey);
+    });
+  }
+
+  // Remove every snapshot saved by a provider, or everything without one
+  async function clear(providerId) {
+    if (providerId === undefined || providerId === null) {
+      await run('readwrite', [STORE, META_STORE], (snapshots, metadata) => {
+        snapshots.clear();
+        return metadata.clear();
+      });
+      return;
+    }
+
+    const entries = await list();
+    await Promise.all(entries
+      .filter(entry => entry.providerId === providerId)
+      .map(entry => remove(entry.cacheKey)));
+  }
+
+  // Evict whole snapshots, oldest first, until the total fits in maxBytes.
+  // Reads only the metadata store. The newest snapshot fits on its own (see save),
+  // so the one just written is never evicted.
+  async function enforceLimit(maxBytes) {
+    const entries = await list();
+    let total = entries.reduce((sum, entry) => sum + (entry.sizeBytes || 0), 0);
+    const evicted = [];
+
+    for (const entry of entries.sort((a, b) => a.savedAt - b.savedAt)) {
+      if (total <= maxBytes) break;
+      await remove(entry.cacheKey);
+      total -= entry.sizeBytes || 0;
+      evicted.push(entry.cacheKey);
+    }
+
+    return evicted;
+  }
+
+  scope.StompSnapshotStore = {
+    isAvailable,
+    cacheKeyFor,
+    estimateSize,
+    load,
+    save,
+    list,
+    remove,
+    clear,
+    enforceLimit
+  };
+})(self);
@@ -0,0 +1,2403 @@
+/**
+ * STOMP provider core: snapshot caching, subscriber views, reconnects and the
+ * port message protocol. Transport-agnostic - the SharedWorker, a dedicated
+ * Worker and the main-thread fallback all hand it MessagePorts via attachPort.
+ *
+ * Expects StompJs, StompExpression, StompColumnar, StompProtocolAdapters,
+ * StompSnapshotStore, StompSchema and StompRules to be loaded first.
+ */
+(function (scope) {
+  // Port message protocol. Pages open with 'hello' listing the versions they
+  // speak and the highest one both sides support is used; bump the version
+  // for any change an older page could misread. Version 1 had no handshake.
+  const PROTOCOL_VERSION = 2;
+  const MIN_PROTOCOL_VERSION = 2;
+
+  // Row operation field on incoming updates; rows without it are upserts
+  const OP_FIELD = '_op';
+  const OP_DELETE = 'delete';
+
+  // Rows per message when replaying the cached snapshot to a late joiner
+  const REPLAY_BATCH_SIZE = 1000;
+
+  // Snapshot timeout: 'promote' goes realtime with the rows received so far,
+  // 'retry' re-triggers the snapshot (then promotes once retries run out)
+  const SNAPSHOT_TIMEOUT_POLICIES = ['promote', 'retry'];
+  const DEFAULT_SNAPSHOT_RETRIES = 2;
+
+  // How often the realtime stale-data watchdog checks for silence
+  const STALE_CHECK_INTERVAL_MS = 1000;
+
+  // Reconnect backoff: reconnectDelay doubles per attempt up to this cap, +/- jitter
+  const DEFAULT_MAX_RECONNECT_DELAY = 60000;
+  const DEFAULT_RECONNECT_JITTER = 0.3;
+
+  // Persisted snapshots (config.persistSnapshot): write at most this often,
+  // ignore copies older than the max age, cap the whole cache
+  const DEFAULT_PERSIST_THROTTLE_MS = 5000;
+  const DEFAULT_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+  // Rows failing their schema are counted; with config.invalidRows 'quarantine'
+  // (the default) the most recent ones are also kept for inspection
+  const QUARANTINE_LIMIT = 200;
+  const QUARANTINE_BODY_CHARS = 2000;
+
+  // Header a server sets to say which schema version a message follows
+  const SCHEMA_VERSION_HEADER = 'schema-version';
+
+  // Request/reply: how long to wait for a reply unless the request says otherwise
+  const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+  // Per-row history of config.historyFields: samples kept per row by default.
+  // Buffers start small and grow to this, so rows that rarely tick stay cheap.
+  const DEFAULT_HISTORY_LENGTH = 120;
+  const INITIAL_HISTORY_CAPACITY = 8;
+
+  // Alerts fired by the provider's rules, kept for tabs that open later
+  const ALERT_LOG_LIMIT = 500;
+
+  // Computed column names, usable as identifiers in expressions
+  const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+  // Per-provider log levels (config.logLevel)
+  const LOG_LEVELS = { none: 0, error: 1, warn: 2, info: 3, debug: 4 };
+  const DEFAULT_LOG_LEVEL = 'warn';
+
+  // One client handle's subscription to a provider, with its own filtered,
+  // projected and optionally conflated view of the provider's rows
+  class Subscriber {
+    constructor(providerId, portId, port, subscriptionId, keyColumn) {
+      this.providerId = providerId;
+      this.portId = portId;
+      this.port = port;
+      this.subscriptionId = subscriptionId;
+      this.key = `${portId}/${subscriptionId}`;
+      this.keyColumn = keyColumn;
+      this.filter = null; // Compiled filter expression
+      this.columns = null; // Projected columns, null for all
+      this.computed = null; // [{ id, compiled }] evaluated onto every row, in order
+      this.visible = null; // Keys currently passing the filter
+      this.conflation = null; // { intervalMs, rows, removed, timer }
+      this.pendingReplay = false; // Waiting for the running snapshot to finish
+      this.encoding = 'rows'; // 'rows' or 'columnar'
+    }
+
+    post(message) {
+      const outgoing = { ...message, subscriptionId: this.subscriptionId };
+    
+      // Columnar subscribers get data as transferable column buffers
+      if (this.encoding === 'columnar' && message.type === 'data' && message.data.length > 0) {
+        const { batch, transfer } = StompColumnar.encode(message.data);
+        delete outgoing.data;
+        outgoing.columnar = batch;
+        this.port.postMessage(outgoing, transfer);
+        return;
+      }
+    
+      this.port.postMessage(outgoing);
+    }
+
+    // Set filter expression, column list and computed columns; throws for a bad
+    // expression or column name. Computed columns are added before the filter
+    // runs, so filters can use them, and always survive the projection.
+    setView(filter, columns, computed) {
+      const compiledComputed = compileComputedColumns(computed, this.keyColumn);
+      this.filter = filter ? StompExpression.compile(filter) : null;
+      this.computed = compiledComputed.length > 0 ? compiledComputed : null;
+      this.columns = columns && columns.length > 0
+        ? Array.from(new Set([this.keyColumn, ...columns, ...compiledComputed.map(column => column.id)]))
+        : null;
+      this.resetView();
+    }
+
+    // Forget which rows this subscriber has seen (new snapshot or replay)
+    resetView() {
+      this.visible = this.filter ? new Set() : null;
+    }
+
+    hasView() {
+      return this.filter !== null || this.columns !== null || this.computed !== null;
+    }
+
+    // Keys this subscriber currently holds, or null when it sees every row
+    visibleKeys() {
+      return this.visible ? new Set(this.visible) : null;
+    }
+
+    // Apply filter and projection to merged rows and removed keys.
+    // Rows moving out of the filter become removes; rows moving in become upserts.
+    view(upserts, removed) {
+      if (!this.hasView()) {
+        return { upserts, removed };
+      }
+    
+      const viewUpserts = [];
+      const viewRemoved = [];
+    
+      upserts.forEach(merged => {
+        const row = this.compute(merged);
+        const id = String(row[this.keyColumn]);
+      
+        if (!this.filter || this.filter.evaluate(row)) {
+          if (this.visible) this.visible.add(id);
+          viewUpserts.push(this.project(row));
+        } else if (this.visible.delete(id)) {
+          viewRemoved.push(id);
+        }
+      });
+    
+      removed.forEach(id => {
+        if (!this.visible || this.visible.delete(id)) {
+          viewRemoved.push(id);
+        }
+      });
+    
+      return { upserts: viewUpserts, removed: viewRemoved };
+    }
+
+    // Filter and project rows without touching the visible-key tracking
+    snapshotView(rows) {
+      if (!this.hasView()) return rows;
+    
+      return rows
+        .map(row => this.compute(row))
+        .filter(row => !this.filter || this.filter.evaluate(row))
+        .map(row => this.project(row));
+    }
+
+    // Copy of the row with the computed columns filled in; later columns see earlier ones
+    compute(row) {
+      if (!this.computed) return row;
+    
+      const computed = { ...row };
+      this.computed.forEach(column => {
+        computed[column.id] = column.compiled.evaluate(computed);
+      });
+      return computed;
+    }
+
+    project(row) {
+      if (!this.columns) return row;
+    
+      const projected = {};
+      this.columns.forEach(column => {
+        if (row[column] !== undefined) {
+          projected[column] = row[column];
+        }
+      });
+      return projected;
+    }
+
+    // Set the conflation window; 0 delivers every update immediately
+    setConflation(intervalMs) {
+      if (this.conflation) {
+        clearInterval(this.conflation.timer);
+        // Deliver anything buffered under the old window
+        const previous = this.conflation;
+        this.conflation = null;
+        this.flush(previous);
+      }
+    
+      if (!intervalMs || intervalMs <= 0) return;
+    
+      const buffer = {
+        intervalMs: intervalMs,
+        rows: new Map(), // key -> latest merged row
+        removed: new Set(),
+        timer: null
+      };
+      buffer.timer = setInterval(() => this.flush(buffer), intervalMs);
+      this.conflation = buffer;
+    }
+
+    // Buffer changes for the next flush, returns how many updates were coalesced
+    enqueue(upserts, removed) {
+      let coalesced = 0;
+    
+      upserts.forEach(row => {
+        const id = String(row[this.keyColumn]);
+        if (this.conflation.rows.has(id)) {
+          coalesced++;
+        }
+        this.conflation.rows.set(id, row);
+        this.conflation.removed.delete(id);
+      });
+      removed.forEach(id => {
+        this.conflation.rows.delete(id);
+        this.conflation.removed.add(id);
+      });
+    
+      return coalesced;
+    }
+
+    // Send one batched message with everything buffered
+    flush(buffer = this.conflation) {
+      if (!buffer || (buffer.rows.size === 0 && buffer.removed.size === 0)) return;
+    
+      const upserts = Array.from(buffer.rows.values());
+      const removed = Array.from(buffer.removed);
+      buffer.rows.clear();
+      buffer.removed.clear();
+    
+      try {
+        this.post(buildDataMessage(this.providerId, upserts, removed, false));
+      } catch (error) {
+        console.error(`[StompWorkerEnhanced] Error flushing to ${this.key}:`, error);
+      }
+    }
+
+    // Drop buffered updates without sending them
+    clearPending() {
+      if (this.conflation) {
+        this.conflation.rows.clear();
+        this.conflation.removed.clear();
+      }
+    }
+
+    dispose() {
+      if (this.conflation) {
+        clearInterval(this.conflation.timer);
+        this.conflation = null;
+      }
+    }
+  }
+
+  // Fixed-length history of one row: each sample is [time, ...values] in a
+  // flat Float64Array; once full, the oldest sample is overwritten
+  class RingBuffer {
+    constructor(capacity, width) {
+      this.capacity = capacity;
+      this.width = width;
+      this.data = new Float64Array(Math.min(capacity, INITIAL_HISTORY_CAPACITY) * width);
+      this.start = 0;
+      this.size = 0;
+    }
+
+    push(sample) {
+      const allocated = this.data.length / this.width;
+      if (this.size === allocated && allocated < this.capacity) {
+        this.grow(Math.min(this.capacity, allocated * 2));
+      }
+
+      let index;
+      if (this.size < this.capacity) {
+        index = (this.start + this.size) % (this.data.length / this.width);
+        this.size++;
+      } else {
+        index = this.start;
+        this.start = (this.start + 1) % this.capacity;
+      }
+      this.data.set(sample, index * this.width);
+    }
+
+    // Value `column` of the newest sample
+    last(column) {
+      if (this.size === 0) return undefined;
+      return this.at(this.size - 1, column);
+    }
+
+    // Value `column` of the i-th oldest sample
+    at(i, column) {
+      return this.data[((this.start + i) % (this.data.length / this.width)) * this.width + column];
+    }
+
+    // Oldest first; NaN (a missing value) comes back as null
+    column(column) {
+      const values = new Array(this.size);
+      for (let i = 0; i < this.size; i++) {
+        const value = this.at(i, column);
+        values[i] = isNaN(value) ? null : value;
+      }
+      return values;
+    }
+
+    // Re-lay the samples oldest first in a bigger array
+    grow(capacity) {
+      const data = new Float64Array(capacity * this.width);
+      for (let i = 0; i < this.size; i++) {
+        const offset = ((this.start + i) % (this.data.length / this.width)) * this.width;
+        data.set(this.data.subarray(offset, offset + this.width), i * this.width);
+      }
+      this.data = data;
+      this.start = 0;
+    }
+  }
+
+  // Compile [{ id, expression }] for Subscriber.setView. Names must be identifiers so
+  // filters and later computed columns can refer to them, and must not hide the key.
+  function compileComputedColumns(computed, keyColumn) {
+    const seen = new Set();
+  
+    return (computed || []).map(column => {
+      const id = column && column.id;
+      if (typeof id !== 'string' || !IDENTIFIER.test(id)) {
+        throw new Error(`Invalid computed column name '${id}'`);
+      }
+      if (id === keyColumn || seen.has(id)) {
+        throw new Error(`Computed column name '${id}' is already in use`);
+      }
+      seen.add(id);
+    
+      try {
+        return { id, compiled: StompExpression.compile(column.expression) };
+      } catch (error) {
+        throw new Error(`Computed column '${id}': ${error.message}`);
+      }
+    });
+  }
+
+  // Shallow row comparison for refresh diffs; nested values compared as JSON
+  function rowsEqual(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+
+    return keys.every(key => {
+      const left = a[key];
+      const right = b[key];
+      if (left === right) return true;
+      if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') return false;
+      return JSON.stringify(left) === JSON.stringify(right);
+    });
+  }
+
+  // Message body as JSON when it parses, otherwise the raw text
+  function parseMessageData(body) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
+    }
+  }
+
+  // Data message for a batch of rows; `removed` only present when non-empty
+  function buildDataMessage(providerId, upserts, removed, isSnapshot) {
+    const message = {
+      type: 'data',
+      providerId: providerId,
+      data: upserts,
+      isSnapshot: isSnapshot
+    };
+    if (removed.length > 0) {
+      message.removed = removed;
+    }
+    return message;
+  }
+
+  // Provider connection class
+  class ProviderConnection {
+    constructor(providerId, config) {
+      // Replaying a recording: the feed settings it was made with, and no
+      // snapshot cache, timeouts or reconnects - the recording has them all
+      this.replayRecording = null;
+      if (config.replay) {
+        this.replayRecording = StompReplay.parseRecording(config.replay.recording);
+        config = {
+          ...config,
+          ...this.replayRecording.config,
+          replay: { speed: config.replay.speed, paused: config.replay.paused },
+          persistSnapshot: false,
+          snapshotTimeoutMs: 0,
+          staleAfterMs: 0,
+          reconnectDelay: 0
+        };
+      }
+
+      this.providerId = providerId;
+      this.config = config;
+      this.snapshot = new Map(); // Cache for snapshot data
+      this.lastUpdate = Date.now();
+      this.subscribers = new Map(); // Subscriber key -> Subscriber
+      this.connection = null; // STOMP client
+      this.subscriptions = []; // STOMP subscriptions
+      this.topics = new Map(); // Generic pub/sub: topic key -> { destination, headers, listeners, subscription }
+      this.pendingRequests = new Map(); // Request/reply: correlation ID -> { subscriber, timer }
+      this.replySubscription = null;
+      this.clientId = null; // Client ID of the current connection
+      this.quarantine = []; // Recent rows and messages that failed validation
+      this.rules = new StompRules.RuleSet(config.keyColumn || 'positionId'); // Alert rules, shared by every tab
+      this.alerts = []; // Recent alerts, oldest first
+      this.historyFields = config.historyFields || []; // Numeric fields to keep history for
+      this.history = new Map(); // Row key -> RingBuffer of [time, ...historyFields]
+      this.alertSequence = 0;
+      this.recorder = null; // SessionRecorder while recording (config.record or startRecording)
+      this.replaySession = null; // ReplaySession playing replayRecording
+      this.protocol = StompProtocolAdapters.create(config, providerId); // Destinations and snapshot end detection
+      this.liveQueue = []; // Live-topic messages held back until the snapshot ends
+      this.statistics = {
+        snapshotRowsReceived: 0,
+        updateRowsReceived: 0,
+        deletesReceived: 0,
+        topicMessagesReceived: 0,
+        schemaVersion: StompSchema.latestVersion(config.dataType || 'positions'),
+        coercedValues: 0,
+        invalidRows: 0,
+        invalidMessages: 0,
+        newerSchemaMessages: 0,
+        conflatedUpdates: 0,
+        connectionCount: 0,
+        disconnectionCount: 0,
+        isConnected: false,
+        bytesReceived: 0,
+        snapshotTimeouts: 0,
+        lastPersistTime: 0,
+        refreshCount: 0,
+        refreshing: false,
+        isStale: false,
+        lastMessageTime: 0,
+        mode: 'idle' // idle, snapshot, realtime
+      };
+      this.isConnecting = false;
+      this.isSnapshotComplete = false;
+      this.isSnapshotPartial = false; // Promoted to realtime by the snapshot timeout
+      this.snapshotStartTime = 0;
+      this.snapshotTimer = null;
+      this.snapshotAttempt = 0;
+      this.staleTimer = null;
+      this.reconnectTimer = null;
+      this.reconnectAttempt = 0;
+      this.refreshState = null; // Seamless refresh in progress
+      this.cacheKey = StompSnapshotStore.cacheKeyFor(config);
+      this.cachedSnapshot = null; // { rows, savedAt } shown until the live snapshot completes
+      this.persistTimer = null;
+
+      if (config.record) {
+        this.recorder = this.createRecorder();
+      }
+    }
+
+    // Generate client ID
+    generateClientId() {
+      const timestamp = Date.now();
+      const random = Math.random().toString(36).substring(2, 6);
+      return `stomp-${timestamp}-${random}`;
+    }
+
+    // Log through the provider's level; `debug: true` in the config means 'debug'
+    log(level, ...args) {
+      const configured = this.config.logLevel || (this.config.debug ? 'debug' : DEFAULT_LOG_LEVEL);
+      if (LOG_LEVELS[level] > LOG_LEVELS[configured]) return;
+
+      const method = level === 'debug' || level === 'info' ? 'log' : level;
+      console[method](`[StompWorkerEnhanced:${this.providerId}]`, ...args);
+    }
+
+    // login/passcode/host plus any custom headers (e.g. an auth token) for the CONNECT frame
+    connectHeaders() {
+      const headers = {};
+      ['login', 'passcode', 'host'].forEach(name => {
+        if (this.config[name]) headers[name] = this.config[name];
+      });
+      return Object.assign(headers, this.config.connectHeaders || {});
+    }
+
+    // Exponential backoff from reconnectDelay, capped, with +/- jitter
+    reconnectDelayFor(attempt) {
+      const base = this.config.reconnectDelay;
+      const max = this.config.maxReconnectDelay || DEFAULT_MAX_RECONNECT_DELAY;
+      const jitter = this.config.reconnectJitter !== undefined ? this.config.reconnectJitter : DEFAULT_RECONNECT_JITTER;
+      const delay = Math.min(base * Math.pow(2, attempt - 1), max);
+      return Math.round(delay * (1 - jitter + Math.random() * 2 * jitter));
+    }
+
+    // Connect to STOMP
+    async connect() {
+      if (this.isConnecting || this.statistics.isConnected) {
+        return;
+      }
+
+      if (this.replayRecording) {
+        this.connectReplay();
+        return;
+      }
+
+      this.isConnecting = true;
+      this.reconnectAttempt = 0;
+
+      try {
+        // Create STOMP client. Reconnects are scheduled here rather than by
+        // the client so they can back off, jitter and give up.
+        const client = new StompJs.Client({
+          brokerURL: this.config.websocketUrl,
+          connectHeaders: this.connectHeaders(),
+          reconnectDelay: 0,
+          heartbeatIncoming: this.config.heartbeatIncoming !== undefined ? this.config.heartbeatIncoming : 4000,
+          heartbeatOutgoing: this.config.heartbeatOutgoing !== undefined ? this.config.heartbeatOutgoing : 4000,
+          debug: (str) => {
+            if (str.includes('ERROR') || str.includes('WARN')) {
+              this.log('warn', str);
+            } else {
+              this.log('debug', str);
+            }
+          }
+        });
+        this.connection = client;
+
+        // Replies to a /temp-queue/ arrive without a subscription of ours
+        client.onUnhandledMessage = (message) => this.handleReply(message);
+
+        // Connection handler - also runs after every reconnect
+        client.onConnect = () => this.handleConnected(this.generateClientId(), this.reconnectAttempt);
+
+        // Error handlers
+        client.onStompError = (frame) => {
+          const errorMsg = frame.headers['message'] || 'STOMP connection error';
+          this.log('error', 'STOMP error:', errorMsg);
+          this.broadcast({
+            type: 'error',
+            providerId: this.providerId,
+            error: errorMsg
+          });
+        };
+
+        client.onWebSocketError = (event) => {
+          this.log('error', 'WebSocket error:', event);
+          this.broadcast({
+            type: 'error',
+            providerId: this.providerId,
+            error: 'WebSocket connection error'
+          });
+        };
+
+        // Socket closed without disconnect() - connection lost or connect failed
+        client.onWebSocketClose = () => {
+          if (this.connection !== client) return;
+          this.handleConnectionLost();
+        };
+
+        client.onDisconnect = () => {
+          this.statistics.isConnected = false;
+          this.statistics.disconnectionCount++;
+          this.statistics.mode = 'idle';
+          this.isConnecting = false;
+          this.stopTimers();
+        
+          this.broadcast({
+            type: 'disconnected',
+            providerId: this.providerId
+          });
+        };
+
+        // Activate connection
+        client.activate();
+
+      } catch (error) {
+        this.log('error', 'Connection error:', error);
+        this.isConnecting = false;
+        throw error;
+      }
+    }
+
+    handleConnected(clientId, attempts = 0) {
+      this.clientId = clientId;
+      this.replySubscription = null;
+      this.statistics.isConnected = true;
+      this.statistics.connectionCount++;
+      this.isConnecting = false;
+      this.reconnectAttempt = 0;
+
+      // Notify subscribers
+      this.broadcast({
+        type: 'connected',
+        providerId: this.providerId,
+        clientId: clientId
+      });
+
+      if (attempts > 0) {
+        this.log('info', `Reconnected after ${attempts} attempt(s)`);
+        this.broadcast({
+          type: 'reconnected',
+          providerId: this.providerId,
+          attempts: attempts
+        });
+      }
+
+      // Fresh subscriptions and a fresh snapshot on every (re)connect
+      this.topics.forEach(topic => this.openTopic(topic));
+      this.snapshotAttempt = 0;
+      this.startSnapshot(clientId);
+      this.startStaleWatchdog();
+    }
+
+    // Play the recording through handleMessage as if the broker sent it. The
+    // replay client only absorbs subscribes and publishes.
+    connectReplay() {
+      this.connection = StompReplay.createReplayClient();
+      this.replaySession = new StompReplay.ReplaySession(this.replayRecording, {
+        speed: this.config.replay.speed,
+        deliver: (entry) => this.replayEntry(entry),
+        onStatus: (status) => this.broadcast({ type: 'replay-status', providerId: this.providerId, status })
+      });
+
+      this.handleConnected(this.generateClientId());
+      if (!this.config.replay.paused) {
+        this.replaySession.play();
+      }
+    }
+
+    // One recorded entry: frames go through the normal message path, marks
+    // reproduce what the frames alone cannot (timeouts, refreshes, reconnects)
+    replayEntry(entry) {
+      const keyColumn = this.config.keyColumn || 'positionId';
+
+      switch (entry.type) {
+        case 'message':
+          this.handleMessage({ headers: entry.headers || {}, body: entry.body }, entry.phase);
+          break;
+
+        case 'snapshot-start':
+          // A reconnect or snapshot retry; the first snapshot is the one connectReplay started
+          if (this.isSnapshotComplete || this.snapshot.size > 0) {
+            this.unsubscribeAll();
+            this.startSnapshot(this.generateClientId());
+          }
+          break;
+
+        case 'snapshot-end':
+          // Complete snapshots ended on a recorded end marker; partial ones were promoted by the timeout
+          if (entry.partial && !this.isSnapshotComplete) {
+            this.isSnapshotPartial = true;
+            this.completeSnapshot();
+          }
+          break;
+
+        case 'snapshot':
+          // Rows already held when recording started mid-session
+          this.processRows(entry.rows || []);
+          if (entry.complete && !this.isSnapshotComplete) {
+            this.isSnapshotPartial = !!entry.partial;
+            this.completeSnapshot();
+          }
+          break;
+
+        case 'refresh':
+          this.processRows([
+            ...(entry.upserts || []),
+            ...(entry.removed || []).map(id => ({ [keyColumn]: id, [OP_FIELD]: OP_DELETE }))
+          ]);
+          break;
+
+        default:
+          this.log('info', `Recorded ${entry.type} at ${entry.t}ms`);
+      }
+    }
+
+    createRecorder(options = {}) {
+      return new StompReplay.SessionRecorder(this.providerId, this.config, {
+        ...options,
+        onTruncated: () => {
+          this.log('warn', 'Recording reached its size limit and stopped adding frames');
+          this.broadcastRecording();
+        }
+      });
+    }
+
+    // Record from now on. Mid-session the rows held so far go first, so the
+    // recording replays on its own.
+    startRecording(options = {}) {
+      if (this.recorder) {
+        throw new Error('Already recording');
+      }
+      if (this.replayRecording) {
+        throw new Error('A replay cannot be recorded');
+      }
+
+      this.recorder = this.createRecorder(options);
+      if (this.snapshot.size > 0) {
+        this.recorder.mark('snapshot', {
+          rows: this.getSnapshot(),
+          complete: this.isSnapshotComplete,
+          partial: this.isSnapshotPartial
+        });
+      }
+      this.broadcastRecording();
+      return this.recordingStatus();
+    }
+
+    stopRecording() {
+      if (!this.recorder) {
+        throw new Error('Not recording');
+      }
+
+      const recording = this.recorder.toJSON();
+      this.recorder = null;
+      this.broadcastRecording();
+      return recording;
+    }
+
+    recordingStatus() {
+      return this.recorder ? this.recorder.status() : { active: false };
+    }
+
+    broadcastRecording() {
+      this.broadcast({ type: 'recording', providerId: this.providerId, status: this.recordingStatus() });
+    }
+
+    record(type, data) {
+      if (this.recorder) {
+        this.recorder.mark(type, data);
+      }
+    }
+
+    // Play, pause, step or change speed; returns where the replay is
+    controlReplay(action, options = {}) {
+      if (!this.replaySession) {
+        throw new Error('Provider is not replaying a recording');
+      }
+
+      switch (action) {
+        case 'play':
+          this.replaySession.play();
+          break;
+        case 'pause':
+          this.replaySession.pause();
+          break;
+        case 'step':
+          this.replaySession.step(options.count || 1);
+          break;
+        case 'speed':
+          this.replaySession.setSpeed(options.speed);
+          break;
+        case 'status':
+          break;
+        default:
+          throw new Error(`Unknown replay action: ${action}`);
+      }
+      return this.replaySession.status();
+    }
+
+    // Drop session state and schedule the next reconnect, or give up
+    handleConnectionLost() {
+      if (this.statistics.isConnected) {
+        this.statistics.isConnected = false;
+        this.statistics.disconnectionCount++;
+      }
+      this.statistics.mode = 'idle';
+      this.stopTimers();
+      this.record('connection-lost');
+      this.subscriptions = []; // Died with the socket
+      this.topics.forEach(topic => { topic.subscription = null; });
+      this.failRequests('Connection lost');
+      this.liveQueue = [];
+      this.subscribers.forEach(subscriber => subscriber.clearPending());
+
+      const maxAttempts = this.config.maxReconnectAttempts || 0;
+      const attempt = this.reconnectAttempt + 1;
+
+      if (!this.config.reconnectDelay || (maxAttempts > 0 && attempt > maxAttempts)) {
+        this.log('error', `Giving up after ${this.reconnectAttempt} reconnect attempt(s)`);
+        this.broadcast({
+          type: 'reconnect-failed',
+          providerId: this.providerId,
+          attempts: this.reconnectAttempt
+        });
+        this.disconnect();
+        this.broadcast({
+          type: 'disconnected',
+          providerId: this.providerId
+        });
+        return;
+      }
+
+      this.reconnectAttempt = attempt;
+      this.isConnecting = true;
+      const delayMs = this.reconnectDelayFor(attempt);
+      this.log('warn', `Connection lost, reconnect attempt ${attempt} in ${delayMs}ms`);
+
+      this.broadcast({
+        type: 'reconnecting',
+        providerId: this.providerId,
+        attempt: attempt,
+        maxAttempts: maxAttempts,
+        delayMs: delayMs
+      });
+
+      const client = this.connection;
+      this.reconnectTimer = setTimeout(async () => {
+        this.reconnectTimer = null;
+        if (this.connection !== client) return;
+
+        // The client stays ACTIVE after a close when it does not reconnect itself
+        await client.deactivate();
+        if (this.connection === client) {
+          client.activate();
+        }
+      }, delayMs);
+    }
+
+    // Clear the cache, subscribe to the adapter's snapshot (and live) destinations
+    // and send the trigger. Also used to retry a snapshot that timed out.
+    startSnapshot(clientId) {
+      this.record('snapshot-start', { clientId });
+      this.statistics.mode = 'snapshot';
+      this.snapshotStartTime = Date.now();
+      this.snapshotAttempt++;
+
+      // Clear snapshot cache for new data
+      this.snapshot.clear();
+      this.statistics.snapshotRowsReceived = 0;
+      this.isSnapshotComplete = false;
+      this.isSnapshotPartial = false;
+      this.subscribers.forEach(subscriber => subscriber.resetView());
+
+      this.liveQueue = [];
+      this.subscriptions = this.protocol.subscriptions(clientId)
+        .map(target => this.subscribeDestination(target));
+
+      // Send trigger message
+      const trigger = this.protocol.triggerFrame(clientId);
+      if (trigger) {
+        this.connection.publish(trigger);
+      }
+
+      this.startSnapshotTimer();
+    }
+
+    // Subscribe to one adapter destination. While a refresh is collecting from
+    // the destination its messages go to the staging buffer instead of the cache.
+    subscribeDestination({ destination, phase, headers }) {
+      const subscription = this.connection.subscribe(destination, (message) => {
+        if (this.refreshState && this.refreshState.destinations.has(destination)) {
+          this.handleRefreshMessage(message);
+        } else {
+          if (this.recorder) {
+            this.recorder.message(phase, message);
+          }
+          this.handleMessage(message, phase);
+        }
+      }, headers);
+
+      return { destination, phase, unsubscribe: () => subscription.unsubscribe() };
+    }
+
+    // Re-snapshot on the live connection into a staging buffer. The cache and
+    // subscribers carry on in realtime until completeRefresh() applies the difference.
+    // Returns false if a refresh is already running.
+    refresh() {
+      if (!this.statistics.isConnected || !this.connection) {
+        throw new Error('Provider not connected');
+      }
+      if (this.replaySession) {
+        throw new Error('Refresh is not available while replaying a recording');
+      }
+      if (!this.isSnapshotComplete) {
+        throw new Error('Snapshot still in progress');
+      }
+      if (this.refreshState) return false;
+
+      const clientId = this.generateClientId();
+      const targets = this.protocol.subscriptions(clientId).filter(target => target.phase === 'snapshot');
+      const subscribed = new Set(this.subscriptions.map(record => record.destination));
+
+      // Rows are counted here; the published snapshot's count stands until the refresh completes
+      this.refreshState = {
+        startTime: Date.now(),
+        staging: new Map(),
+        rowsReceived: 0,
+        destinations: new Set(targets.map(target => target.destination)),
+        subscriptions: [],
+        timer: null
+      };
+
+      // Reuse a destination that is already subscribed (not clientId-specific)
+      this.refreshState.subscriptions = targets
+        .filter(target => !subscribed.has(target.destination))
+        .map(target => this.subscribeDestination(target));
+      this.subscriptions = this.subscriptions.concat(this.refreshState.subscriptions);
+
+      const trigger = this.protocol.triggerFrame(clientId);
+      if (trigger) {
+        this.connection.publish(trigger);
+      }
+
+      const timeoutMs = this.config.snapshotTimeoutMs;
+      if (timeoutMs > 0) {
+        this.refreshState.timer = setTimeout(() => this.failRefresh(`Refresh timed out after ${timeoutMs}ms`), timeoutMs);
+      }
+
+      this.statistics.refreshing = true;
+      this.broadcast({ type: 'refresh-started', providerId: this.providerId });
+      return true;
+    }
+
+    handleRefreshMessage(message) {
+      this.statistics.lastMessageTime = Date.now();
+      if (this.statistics.isStale) {
+        this.setStale(false);
+      }
+
+      try {
+        const messageBody = message.body.trim();
+        this.statistics.bytesReceived += messageBody.length;
+
+        const isEnd = this.protocol.isSnapshotEnd(message);
+        const rows = this.parseRows(messageBody, isEnd);
+        this.refreshState.rowsReceived += rows.length;
+        this.applyUpdatesToSnapshot(rows, this.refreshState.staging, this.schemaFor(message.headers));
+
+        if (isEnd) {
+          this.completeRefresh();
+        }
+      } catch (error) {
+        this.log('error', 'Error processing refresh message:', error);
+      }
+    }
+
+    // Swap the staging buffer in and send subscribers only what changed
+    completeRefresh() {
+      const { staging, startTime, destinations, timer, rowsReceived } = this.refreshState;
+      clearTimeout(timer);
+      this.refreshState = null;
+      this.statistics.refreshing = false;
+      this.statistics.snapshotRowsReceived = rowsReceived;
+
+      // The refresh subscriptions replace the previous snapshot-phase ones
+      this.subscriptions = this.subscriptions.filter(record => {
+        if (record.phase !== 'snapshot' || destinations.has(record.destination)) return true;
+        this.unsubscribeRecord(record);
+        return false;
+      });
+
+      const upserts = [];
+      const removed = [];
+      let added = 0;
+      staging.forEach((row, id) => {
+        const existing = this.snapshot.get(id);
+        if (!existing) {
+          added++;
+          upserts.push(row);
+        } else if (!rowsEqual(existing, row)) {
+          upserts.push(row);
+        }
+      });
+      this.snapshot.forEach((_, id) => {
+        if (!staging.has(id)) removed.push(id);
+      });
+
+      this.snapshot = staging;
+      this.statistics.refreshCount++;
+      this.record('refresh', { upserts, removed });
+      this.recordHistory(upserts, removed);
+      this.publishUpdates(upserts, removed);
+      this.schedulePersist();
+
+      this.broadcast({
+        type: 'refresh-complete',
+        providerId: this.providerId,
+        rowCount: staging.size,
+        added: added,
+        updated: upserts.length - added,
+        removed: removed.length,
+        duration: Date.now() - startTime
+      });
+    }
+
+    // Abandon a refresh, keeping the current cache
+    failRefresh(reason) {
+      if (!this.refreshState) return;
+
+      const refreshSubscriptions = this.refreshState.subscriptions;
+      clearTimeout(this.refreshState.timer);
+      this.refreshState = null;
+      this.statistics.refreshing = false;
+
+      refreshSubscriptions.forEach(record => this.unsubscribeRecord(record));
+      this.subscriptions = this.subscriptions.filter(record => !refreshSubscriptions.includes(record));
+
+      this.log('warn', reason);
+      this.broadcast({ type: 'refresh-failed', providerId: this.providerId, error: reason });
+    }
+
+    // Enforce snapshotTimeoutMs (0 disables) for the current snapshot attempt
+    startSnapshotTimer() {
+      this.clearSnapshotTimer();
+
+      const timeoutMs = this.config.snapshotTimeoutMs;
+      if (!timeoutMs || timeoutMs <= 0) return;
+
+      this.snapshotTimer = setTimeout(() => {
+        this.snapshotTimer = null;
+        this.handleSnapshotTimeout(timeoutMs);
+      }, timeoutMs);
+    }
+
+    clearSnapshotTimer() {
+      if (this.snapshotTimer) {
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = null;
+      }
+    }
+
+    // The end marker never arrived: retry the trigger or go realtime with partial data
+    handleSnapshotTimeout(timeoutMs) {
+      if (this.isSnapshotComplete || !this.connection) return;
+
+      const policy = SNAPSHOT_TIMEOUT_POLICIES.includes(this.config.snapshotTimeoutPolicy)
+        ? this.config.snapshotTimeoutPolicy
+        : 'promote';
+      const maxRetries = this.config.snapshotRetries !== undefined
+        ? this.config.snapshotRetries
+        : DEFAULT_SNAPSHOT_RETRIES;
+      const action = policy === 'retry' && this.snapshotAttempt <= maxRetries ? 'retry' : 'promote';
+
+      this.statistics.snapshotTimeouts++;
+      this.log('warn', `Snapshot timeout after ${timeoutMs}ms (${action})`);
+
+      this.broadcast({
+        type: 'snapshot-timeout',
+        providerId: this.providerId,
+        action: action,
+        attempt: this.snapshotAttempt,
+        rowCount: this.snapshot.size,
+        timeoutMs: timeoutMs
+      }, true);
+
+      if (action === 'retry') {
+        // Fresh client ID so late rows from the abandoned snapshot are not mixed in
+        this.unsubscribeAll();
+        this.startSnapshot(this.generateClientId());
+      } else {
+        this.isSnapshotPartial = true;
+        this.completeSnapshot();
+      }
+    }
+
+    // Flag the provider stale after staleAfterMs (0 disables) without messages in realtime
+    startStaleWatchdog() {
+      this.stopStaleWatchdog();
+      this.statistics.lastMessageTime = Date.now();
+
+      const staleAfterMs = this.config.staleAfterMs;
+      if (!staleAfterMs || staleAfterMs <= 0) return;
+
+      this.staleTimer = setInterval(() => {
+        if (!this.isSnapshotComplete || this.statistics.isStale) return;
+
+        if (Date.now() - this.statistics.lastMessageTime >= staleAfterMs) {
+          this.setStale(true);
+        }
+      }, Math.min(STALE_CHECK_INTERVAL_MS, staleAfterMs));
+    }
+
+    stopStaleWatchdog() {
+      if (this.staleTimer) {
+        clearInterval(this.staleTimer);
+        this.staleTimer = null;
+      }
+      this.statistics.isStale = false;
+    }
+
+    setStale(stale) {
+      this.statistics.isStale = stale;
+      this.broadcast(this.staleMessage());
+    }
+
+    staleMessage() {
+      return {
+        type: 'stale',
+        providerId: this.providerId,
+        stale: this.statistics.isStale,
+        lastMessageTime: this.statistics.lastMessageTime
+      };
+    }
+
+    stopTimers() {
+      this.clearSnapshotTimer();
+      this.stopStaleWatchdog();
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      // A refresh cannot outlive its connection; its subscriptions go with the rest
+      if (this.refreshState) {
+        clearTimeout(this.refreshState.timer);
+        this.refreshState = null;
+        this.statistics.refreshing = false;
+      }
+    }
+
+    // Handle incoming messages; phase is the adapter subscription it arrived on
+    handleMessage(message, phase = 'snapshot') {
+      this.statistics.lastMessageTime = Date.now();
+      if (this.statistics.isStale) {
+        this.setStale(false);
+      }
+
+      try {
+        // Live updates wait until the snapshot they apply to is complete
+        if (phase === 'live' && !this.isSnapshotComplete) {
+          this.liveQueue.push(message);
+          return;
+        }
+      
+        const messageBody = message.body.trim();
+        this.statistics.bytesReceived += messageBody.length;
+        const schema = this.schemaFor(message.headers);
+
+        // Check for end of snapshot (token, header or message type field, per adapter)
+        if (!this.isSnapshotComplete && phase === 'snapshot' && this.protocol.isSnapshotEnd(message)) {
+          // The end marker may carry the final rows (e.g. header-flagged batch)
+          this.processBody(messageBody, schema, true);
+          this.completeSnapshot();
+          return;
+        }
+
+        this.processBody(messageBody, schema);
+
+      } catch (error) {
+        this.log('error', 'Error processing message:', error);
+        this.broadcast({
+          type: 'error',
+          providerId: this.providerId,
+          error: error.message
+        });
+      }
+    }
+
+    // Load the persisted snapshot and show it to subscribers until the live one completes
+    async restoreCachedSnapshot() {
+      if (!this.config.persistSnapshot) return;
+
+      try {
+        const record = await StompSnapshotStore.load(this.cacheKey);
+        if (!record) return;
+
+        const maxAgeMs = this.config.cacheMaxAgeMs || DEFAULT_CACHE_MAX_AGE_MS;
+        if (Date.now() - record.savedAt > maxAgeMs) {
+          await StompSnapshotStore.remove(this.cacheKey);
+          return;
+        }
+        if (this.isSnapshotComplete) return;
+
+        this.cachedSnapshot = { rows: record.rows, savedAt: record.savedAt };
+        this.log('info', `Restored ${record.rows.length} cached rows saved at ${new Date(record.savedAt).toISOString()}`);
+        this.subscribers.forEach(subscriber => this.postCachedSnapshot(subscriber));
+      } catch (error) {
+        this.log('warn', 'Could not read snapshot cache:', error);
+      }
+    }
+
+    postCachedSnapshot(subscriber) {
+      if (!this.cachedSnapshot) return;
+
+      this.postTo(subscriber, {
+        type: 'cached-snapshot',
+        providerId: this.providerId,
+        data: subscriber.snapshotView(this.cachedSnapshot.rows),
+        savedAt: this.cachedSnapshot.savedAt
+      });
+    }
+
+    // Persist the cache at most once per persistThrottleMs
+    schedulePersist() {
+      if (!this.config.persistSnapshot || this.persistTimer) return;
+
+      this.persistTimer = setTimeout(() => {
+        this.persistTimer = null;
+        this.persistSnapshot();
+      }, this.config.persistThrottleMs || DEFAULT_PERSIST_THROTTLE_MS);
+    }
+
+    // Write now if a write is pending (e.g. the last subscriber is leaving)
+    flushPersist() {
+      if (!this.persistTimer) return;
+
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      this.persistSnapshot();
+    }
+
+    async persistSnapshot() {
+      if (!this.isSnapshotComplete) return;
+
+      const rows = this.getSnapshot();
+      const maxBytes = this.config.cacheMaxBytes || DEFAULT_CACHE_MAX_BYTES;
+      try {
+        const growth = await StompSnapshotStore.save({
+          cacheKey: this.cacheKey,
+          providerId: this.providerId,
+          dataType: this.config.dataType,
+          url: this.config.websocketUrl,
+          keyColumn: this.config.keyColumn || 'positionId',
+          savedAt: Date.now(),
+          rowCount: rows.length,
+          sizeBytes: StompSnapshotStore.estimateSize(rows),
+          rows
+        }, maxBytes);
+        this.statistics.lastPersistTime = Date.now();
+
+        // Only a write that grew the cache can have taken it past the limit
+        if (growth > 0) {
+          await StompSnapshotStore.enforceLimit(maxBytes);
+        }
+      } catch (error) {
+        this.log('warn', 'Could not write snapshot cache:', error);
+      }
+    }
+
+    // Switch to realtime, tell subscribers, then apply live updates held back during the snapshot
+    completeSnapshot() {
+      const duration = Date.now() - this.snapshotStartTime;
+      this.clearSnapshotTimer();
+      this.isSnapshotComplete = true;
+      this.statistics.mode = 'realtime';
+      this.statistics.lastMessageTime = Date.now();
+      this.cachedSnapshot = null; // Subscribers reconcile against the live rows
+      this.schedulePersist();
+      this.record('snapshot-end', { partial: this.isSnapshotPartial, rowCount: this.snapshot.size });
+    
+      this.broadcastSnapshotComplete(duration);
+      this.flushPendingReplays();
+    
+      const queued = this.liveQueue;
+      this.liveQueue = [];
+      queued.forEach(message => this.handleMessage(message, 'live'));
+    }
+
+    // Rows in a JSON body. Anything else is counted and quarantined, unless
+    // `isEndMarker` says the body is (or carries) the end-of-snapshot marker.
+    parseRows(messageBody, isEndMarker = false) {
+      let data;
+      try {
+        data = JSON.parse(messageBody);
+      } catch (parseError) {
+        if (!isEndMarker) this.rejectMessage('invalid-json', messageBody);
+        return [];
+      }
+      if (data === null || typeof data !== 'object') {
+        if (!isEndMarker) this.rejectMessage('not-rows', messageBody);
+        return [];
+      }
+
+      // Only entries carrying the key column are rows
+      const keyColumn = this.config.keyColumn || 'positionId';
+      return (Array.isArray(data) ? data : [data]).filter(row => {
+        if (row && row[keyColumn] !== undefined && row[keyColumn] !== null) return true;
+        if (!isEndMarker) this.rejectRow(row, [{ field: keyColumn, value: null, message: 'required' }], null);
+        return false;
+      });
+    }
+
+    // Schema for a message: its schema-version header, else config.schemaVersion,
+    // else the latest. A server ahead of us is validated against our latest
+    // version; the fields we do not know yet pass through.
+    schemaFor(headers) {
+      if (this.config.validateSchema === false) return null;
+
+      const requested = headers && headers[SCHEMA_VERSION_HEADER] !== undefined
+        ? Number(headers[SCHEMA_VERSION_HEADER])
+        : this.config.schemaVersion;
+      const schema = StompSchema.resolve(this.config.dataType || 'positions', requested);
+      if (!schema) return null;
+
+      if (requested > schema.version) {
+        if (this.statistics.newerSchemaMessages === 0) {
+          this.log('info', `Server sends schema v${requested}, validating against v${schema.version}`);
+        }
+        this.statistics.newerSchemaMessages++;
+      }
+      this.statistics.schemaVersion = schema.version;
+      return schema;
+    }
+
+    rejectRow(row, errors, schema) {
+      this.statistics.invalidRows++;
+      this.log('debug', 'Invalid row:', errors);
+      this.addToQuarantine({
+        reason: 'invalid-row',
+        schemaVersion: schema ? schema.version : null,
+        errors: errors,
+        row: row
+      });
+    }
+
+    rejectMessage(reason, messageBody) {
+      this.statistics.invalidMessages++;
+      this.log('debug', `Rejected message (${reason})`);
+      this.addToQuarantine({
+        reason: reason,
+        body: messageBody.slice(0, QUARANTINE_BODY_CHARS)
+      });
+    }
+
+    addToQuarantine(entry) {
+      if (this.config.invalidRows === 'reject') return;
+
+      this.quarantine.push({ time: Date.now(), ...entry });
+      if (this.quarantine.length > QUARANTINE_LIMIT) {
+        this.quarantine.shift();
+      }
+    }
+
+    // Parse a JSON body of rows and apply it to the cache and subscribers
+    processBody(messageBody, schema = null, isEndMarker = false) {
+      this.processRows(this.parseRows(messageBody, isEndMarker), schema);
+    }
+
+    // Apply parsed rows to the cache and subscribers, as snapshot or real-time data
+    processRows(positions, schema = null) {
+      if (positions.length === 0) return;
+    
+      if (this.isSnapshotComplete) {
+        // Real-time update
+        this.statistics.updateRowsReceived += positions.length;
+      } else {
+        // Snapshot data
+        this.statistics.snapshotRowsReceived += positions.length;
+      }
+    
+      // Merge partial updates into cached rows, apply deletes
+      const { upserts, removed } = this.applyUpdatesToSnapshot(positions, this.snapshot, schema);
+      this.recordHistory(upserts, removed);
+
+      // Keep a running refresh current with updates that arrive meanwhile
+      if (this.refreshState) {
+        const keyColumn = this.config.keyColumn || 'positionId';
+        upserts.forEach(row => this.refreshState.staging.set(String(row[keyColumn]), row));
+        removed.forEach(id => this.refreshState.staging.delete(id));
+      }
+
+      if (this.isSnapshotComplete) {
+        // Real-time: deliver immediately or conflate per subscriber
+        this.publishUpdates(upserts, removed);
+        this.schedulePersist();
+      } else {
+        // Snapshot: send merged rows now (late joiners get the full cache once the snapshot ends).
+        // Rules only note the current values; rows already breaching do not alert.
+        this.rules.prime(upserts);
+        this.rules.forget(removed);
+        this.publishSnapshotBatch(upserts, removed);
+      }
+    }
+
+    // Apply updates to snapshot cache (or a refresh staging buffer). Updates may be
+    // partial (key plus changed fields) and are merged into the cached row;
+    // `_op: 'delete'` removes the key.
+    // With a schema, values are coerced first and invalid rows are rejected;
+    // updates to cached rows only need their own fields to be valid.
+    // Returns the merged rows and removed keys, last operation per key wins.
+    applyUpdatesToSnapshot(updates, target = this.snapshot, schema = null) {
+      const keyColumn = this.config.keyColumn || 'positionId';
+      const changes = new Map(); // key -> merged row, or null when deleted
+    
+      updates.forEach(update => {
+        const key = update[keyColumn];
+        if (key === undefined || key === null) return;
+      
+        const id = String(key);
+        const { [OP_FIELD]: op, ...fields } = update;
+      
+        if (op === OP_DELETE) {
+          if (target.delete(id) || changes.has(id)) {
+            changes.set(id, null);
+          }
+          this.statistics.deletesReceived++;
+          return;
+        }
+      
+        const existing = target.get(id);
+        let row = fields;
+        if (schema) {
+          const checked = StompSchema.validate(schema, fields, !!existing);
+          if (checked.errors.length > 0) {
+            this.rejectRow(update, checked.errors, schema);
+            return;
+          }
+          row = checked.row;
+          this.statistics.coercedValues += checked.coerced;
+        }
+
+        const merged = existing ? { ...existing, ...row } : row;
+        target.set(id, merged);
+        changes.set(id, merged);
+      });
+    
+      this.lastUpdate = Date.now();
+    
+      const upserts = [];
+      const removed = [];
+      changes.forEach((row, id) => {
+        if (row) {
+          upserts.push(row);
+        } else {
+          removed.push(id);
+        }
+      });
+    
+      return { upserts, removed };
+    }
+
+    unsubscribeRecord(record) {
+      try {
+        record.unsubscribe();
+      } catch (error) {
+        this.log('error', 'Error unsubscribing:', error);
+      }
+    }
+
+    unsubscribeAll() {
+      this.subscriptions.forEach(record => this.unsubscribeRecord(record));
+      this.subscriptions = [];
+      this.liveQueue = [];
+    }
+
+    // Disconnect from STOMP. Topics stay registered and reopen on the next connect.
+    disconnect() {
+      this.flushPersist();
+      this.stopTimers();
+      if (this.replaySession) {
+        this.replaySession.stop();
+        this.replaySession = null;
+      }
+      this.unsubscribeAll();
+      this.topics.forEach(topic => this.closeTopic(topic));
+      this.failRequests('Disconnected');
+      if (this.replySubscription) {
+        this.unsubscribeRecord(this.replySubscription);
+        this.replySubscription = null;
+      }
+
+      if (this.connection) {
+        try {
+          this.connection.deactivate();
+        } catch (error) {
+          this.log('error', 'Error deactivating client:', error);
+        }
+        this.connection = null;
+      }
+
+      // Pending conflated updates belong to the old session
+      this.subscribers.forEach(subscriber => subscriber.clearPending());
+
+      this.statistics.isConnected = false;
+      this.statistics.mode = 'idle';
+      this.isConnecting = false;
+    }
+
+    // Add (or re-register) a client handle's subscription.
+    // Throws if the filter expression is invalid, before anything is registered.
+    addSubscriber(portId, port, subscriptionId, options = {}) {
+      const keyColumn = this.config.keyColumn || 'positionId';
+      const subscriber = new Subscriber(this.providerId, portId, port, subscriptionId, keyColumn);
+      subscriber.setView(options.filter, options.columns, options.computed);
+      subscriber.encoding = options.encoding === 'columnar' ? 'columnar' : 'rows';
+    
+      const existing = this.subscribers.get(subscriber.key);
+      if (existing) {
+        existing.dispose();
+      }
+    
+      this.subscribers.set(subscriber.key, subscriber);
+      subscriber.setConflation(options.throttleMs);
+      return subscriber;
+    }
+
+    getSubscriber(portId, subscriptionId) {
+      return this.subscribers.get(`${portId}/${subscriptionId}`);
+    }
+
+    // Release one subscription, returns how many remain
+    removeSubscriber(portId, subscriptionId) {
+      const subscriber = this.getSubscriber(portId, subscriptionId);
+      if (subscriber) {
+        this.dropSubscriber(subscriber);
+      }
+      return this.getSubscriberCount();
+    }
+
+    // Release every subscription a port holds, returns how many remain
+    removePortSubscribers(portId) {
+      this.subscribers.forEach(subscriber => {
+        if (subscriber.portId === portId) {
+          this.dropSubscriber(subscriber);
+        }
+      });
+      return this.getSubscriberCount();
+    }
+
+    hasPort(portId) {
+      return Array.from(this.subscribers.values()).some(subscriber => subscriber.portId === portId);
+    }
+
+    dropSubscriber(subscriber) {
+      subscriber.dispose();
+      this.subscribers.delete(subscriber.key);
+
+      this.topics.forEach(topic => {
+        topic.listeners.forEach((listener, topicId) => {
+          if (listener === subscriber) this.unsubscribeTopic(topicId);
+        });
+      });
+
+      // Nobody left to hand these replies to
+      this.pendingRequests.forEach((pending, correlationId) => {
+        if (pending.subscriber !== subscriber) return;
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(correlationId);
+      });
+    }
+
+    // Generic pub/sub on the provider's connection. Subscribers asking for the
+    // same destination and headers share one STOMP subscription; each gets its
+    // own topic ID. Topics added before the connection is up open on connect.
+    subscribeTopic(subscriber, destination, headers = {}) {
+      if (!destination) {
+        throw new Error('Destination is required');
+      }
+
+      const key = JSON.stringify([destination, headers]);
+      let topic = this.topics.get(key);
+      if (!topic) {
+        topic = { key, destination, headers, listeners: new Map(), subscription: null };
+        this.topics.set(key, topic);
+        if (this.statistics.isConnected) {
+          this.openTopic(topic);
+        }
+      }
+
+      const topicId = `topic-${++topicCounter}`;
+      topic.listeners.set(topicId, subscriber);
+      return topicId;
+    }
+
+    // Returns false if the topic ID is unknown
+    unsubscribeTopic(topicId) {
+      for (const topic of this.topics.values()) {
+        if (!topic.listeners.delete(topicId)) continue;
+
+        if (topic.listeners.size === 0) {
+          this.closeTopic(topic);
+          this.topics.delete(topic.key);
+        }
+        return true;
+      }
+      return false;
+    }
+
+    openTopic(topic) {
+      topic.subscription = this.connection.subscribe(topic.destination, (message) => {
+        this.deliverTopicMessage(topic, message);
+      }, topic.headers);
+    }
+
+    closeTopic(topic) {
+      if (topic.subscription) {
+        this.unsubscribeRecord(topic.subscription);
+        topic.subscription = null;
+      }
+    }
+
+    deliverTopicMessage(topic, message) {
+      this.statistics.topicMessagesReceived++;
+      this.statistics.bytesReceived += message.body.length;
+
+      const data = parseMessageData(message.body);
+
+      topic.listeners.forEach((subscriber, topicId) => {
+        this.postTo(subscriber, {
+          type: 'message',
+          providerId: this.providerId,
+          topicId: topicId,
+          destination: topic.destination,
+          headers: message.headers,
+          body: message.body,
+          data: data
+        });
+      });
+    }
+
+    // Publish on the provider's connection; non-string bodies are sent as JSON
+    send(destination, body, headers = {}) {
+      if (!this.statistics.isConnected || !this.connection) {
+        throw new Error('Not connected to STOMP server');
+      }
+      if (!destination) {
+        throw new Error('Destination is required');
+      }
+      if (this.replaySession) {
+        throw new Error('Nothing can be sent while replaying a recording');
+      }
+
+      const isText = body === undefined || body === null || typeof body === 'string';
+      this.connection.publish({
+        destination: destination,
+        body: isText ? (body || '') : JSON.stringify(body),
+        headers: isText ? headers : { 'content-type': 'application/json', ...headers }
+      });
+    }
+
+    // Send with reply-to and correlation-id headers; the reply (or a timeout
+    // error) goes to the requesting subscriber as a 'reply' message.
+    // Returns the correlation ID.
+    request(subscriber, destination, body, headers = {}, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+      if (!this.statistics.isConnected || !this.connection) {
+        throw new Error('Not connected to STOMP server');
+      }
+      if (!this.protocol.replyQueue) {
+        throw new Error(`Protocol adapter '${this.protocol.name}' does not support request/reply`);
+      }
+
+      const replyQueue = this.protocol.replyQueue(this.clientId);
+      if (replyQueue.subscribe && !this.replySubscription) {
+        this.replySubscription = this.connection.subscribe(replyQueue.destination, (message) => this.handleReply(message));
+      }
+
+      const correlationId = `${this.clientId}-${++requestCounter}`;
+      this.send(destination, body, {
+        ...headers,
+        'reply-to': replyQueue.destination,
+        'correlation-id': correlationId
+      });
+
+      const timer = setTimeout(() => {
+        this.failRequest(correlationId, `Request to ${destination} timed out after ${timeoutMs}ms`);
+      }, timeoutMs);
+      this.pendingRequests.set(correlationId, { subscriber, timer });
+      return correlationId;
+    }
+
+    handleReply(message) {
+      const correlationId = message.headers['correlation-id'];
+      const pending = this.pendingRequests.get(correlationId);
+      if (!pending) {
+        this.log('debug', `Ignoring message without a pending request (correlation-id ${correlationId})`);
+        return;
+      }
+
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(correlationId);
+      this.postTo(pending.subscriber, {
+        type: 'reply',
+        providerId: this.providerId,
+        correlationId: correlationId,
+        headers: message.headers,
+        body: message.body,
+        data: parseMessageData(message.body)
+      });
+    }
+
+    failRequest(correlationId, error) {
+      const pending = this.pendingRequests.get(correlationId);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(correlationId);
+      this.postTo(pending.subscriber, {
+        type: 'reply',
+        providerId: this.providerId,
+        correlationId: correlationId,
+        error: error
+      });
+    }
+
+    failRequests(reason) {
+      Array.from(this.pendingRequests.keys()).forEach(correlationId => this.failRequest(correlationId, reason));
+    }
+
+    // Total subscriptions across all ports
+    getSubscriberCount() {
+      return this.subscribers.size;
+    }
+
+    // Distinct ports (tabs) subscribed
+    getPortCount() {
+      return new Set(Array.from(this.subscribers.values()).map(subscriber => subscriber.portId)).size;
+    }
+
+    // Send to one subscriber, dropping it if its port is dead
+    postTo(subscriber, message) {
+      try {
+        subscriber.post(message);
+      } catch (error) {
+        this.log('error', `Error posting to ${subscriber.key}:`, error);
+        this.dropSubscriber(subscriber);
+      }
+    }
+
+    // Broadcast to all subscribers, optionally skipping those still waiting for a replay
+    broadcast(message, skipPending = false) {
+      this.subscribers.forEach(subscriber => {
+        if (skipPending && subscriber.pendingReplay) return;
+        this.postTo(subscriber, message);
+      });
+    }
+
+    // Snapshot batch through each subscriber's filter and projection
+    publishSnapshotBatch(upserts, removed) {
+      this.subscribers.forEach(subscriber => {
+        if (subscriber.pendingReplay) return;
+      
+        const view = subscriber.view(upserts, removed);
+        if (view.upserts.length === 0 && view.removed.length === 0) return;
+      
+        this.postTo(subscriber, buildDataMessage(this.providerId, view.upserts, view.removed, true));
+      });
+    }
+
+    // Snapshot-complete with each subscriber's own row count
+    broadcastSnapshotComplete(duration) {
+      this.subscribers.forEach(subscriber => {
+        if (subscriber.pendingReplay) return;
+      
+        this.postTo(subscriber, {
+          type: 'snapshot-complete',
+          providerId: this.providerId,
+          rowCount: subscriber.visible ? subscriber.visible.size : this.statistics.snapshotRowsReceived,
+          duration: duration,
+          partial: this.isSnapshotPartial
+        });
+      });
+    }
+
+    // Check the alert rules once, then send real-time changes to every
+    // subscriber, buffering for throttled ones. Rows are already merged with
+    // the cache, so last-write-wins per key also coalesces partial deltas correctly.
+    publishUpdates(upserts, removed) {
+      this.checkRules(upserts, removed);
+
+      this.subscribers.forEach(subscriber => {
+        const view = subscriber.view(upserts, removed);
+        if (view.upserts.length === 0 && view.removed.length === 0) return;
+      
+        if (subscriber.conflation) {
+          this.statistics.conflatedUpdates += subscriber.enqueue(view.upserts, view.removed);
+        } else {
+          this.postTo(subscriber, buildDataMessage(this.providerId, view.upserts, view.removed, false));
+        }
+      });
+    }
+
+    // Add a sample for rows whose tracked fields changed; deleted rows lose their history
+    recordHistory(upserts, removed) {
+      if (this.historyFields.length === 0) return;
+
+      const keyColumn = this.config.keyColumn || 'positionId';
+      const length = this.config.historyLength || DEFAULT_HISTORY_LENGTH;
+      const now = Date.now();
+      removed.forEach(id => this.history.delete(id));
+
+      upserts.forEach(row => {
+        const id = String(row[keyColumn]);
+        const values = this.historyFields.map(field => {
+          const value = row[field];
+          return value === null || value === undefined || value === '' ? NaN : Number(value);
+        });
+
+        let buffer = this.history.get(id);
+        if (!buffer) {
+          buffer = new RingBuffer(length, values.length + 1);
+          this.history.set(id, buffer);
+        } else if (values.every((value, i) => Object.is(value, buffer.last(i + 1)))) {
+          return; // Only other fields changed
+        }
+        buffer.push([now, ...values]);
+      });
+    }
+
+    // { [key]: { times, values: { [field]: [...] } } } for the given keys (default all)
+    getHistory(keys, fields) {
+      const wanted = (fields || this.historyFields).filter(field => this.historyFields.includes(field));
+      const result = {};
+
+      (keys || Array.from(this.history.keys())).forEach(key => {
+        const buffer = this.history.get(String(key));
+        if (!buffer) return;
+
+        const values = {};
+        wanted.forEach(field => values[field] = buffer.column(this.historyFields.indexOf(field) + 1));
+        result[key] = { times: buffer.column(0), values };
+      });
+      return result;
+    }
+
+    // Replace the alert rules and tell every tab; throws if any rule is invalid
+    setRules(rules) {
+      const current = this.rules.setRules(rules);
+      this.broadcast({ type: 'rules', providerId: this.providerId, rules: current });
+      return current;
+    }
+
+    checkRules(upserts, removed) {
+      this.rules.forget(removed);
+      if (upserts.length === 0) return;
+
+      let fired;
+      try {
+        fired = this.rules.evaluate(upserts);
+      } catch (error) {
+        this.log('error', 'Error evaluating alert rules:', error);
+        return;
+      }
+      if (fired.length === 0) return;
+
+      const alerts = fired.map(alert => ({ id: `${this.providerId}-${++this.alertSequence}`, acknowledged: false, ...alert }));
+      this.alerts.push(...alerts);
+      if (this.alerts.length > ALERT_LOG_LIMIT) {
+        this.alerts.splice(0, this.alerts.length - ALERT_LOG_LIMIT);
+      }
+      this.log('debug', `${alerts.length} alert(s) fired`);
+      this.broadcast({ type: 'alerts', providerId: this.providerId, alerts });
+    }
+
+    // Acknowledge alerts by id, or all of them; every tab hears which
+    acknowledgeAlerts(alertIds) {
+      const ids = alertIds ? new Set(alertIds) : null;
+      const acknowledged = [];
+      this.alerts.forEach(alert => {
+        if (alert.acknowledged || (ids && !ids.has(alert.id))) return;
+        alert.acknowledged = true;
+        acknowledged.push(alert.id);
+      });
+
+      if (acknowledged.length > 0) {
+        this.broadcast({ type: 'alerts-acknowledged', providerId: this.providerId, alertIds: acknowledged });
+      }
+      return acknowledged;
+    }
+
+    // Change a subscriber's filter/columns/computed columns and send the difference
+    updateSubscriberView(subscriber, filter, columns, computed) {
+      const keyColumn = this.config.keyColumn || 'positionId';
+      const before = subscriber.visibleKeys() || new Set(this.snapshot.keys());
+    
+      subscriber.setView(filter, columns, computed);
+    
+      if (subscriber.pendingReplay || this.snapshot.size === 0) return;
+    
+      subscriber.flush();
+      const view = subscriber.view(this.getSnapshot(), []);
+      const after = new Set(view.upserts.map(row => String(row[keyColumn])));
+      const removed = Array.from(before).filter(id => !after.has(id));
+    
+      this.postTo(subscriber, buildDataMessage(this.providerId, view.upserts, removed, !this.isSnapshotComplete));
+    }
+
+    // Bring a late joiner up to date: replay now, or after the running snapshot ends
+    attachLateJoiner(subscriber) {
+      if (this.isSnapshotComplete) {
+        this.replaySnapshot(subscriber);
+      } else {
+        subscriber.pendingReplay = true;
+        this.postCachedSnapshot(subscriber);
+      }
+    }
+
+    // Replay subscribers that joined while the snapshot was still streaming
+    flushPendingReplays() {
+      this.subscribers.forEach(subscriber => {
+        if (!subscriber.pendingReplay) return;
+      
+        subscriber.pendingReplay = false;
+        this.replaySnapshot(subscriber);
+      });
+    }
+
+    // Send the cached snapshot as chunked snapshot batches followed by snapshot-complete
+    replaySnapshot(subscriber) {
+      const startTime = Date.now();
+      subscriber.resetView();
+      const rows = subscriber.view(this.getSnapshot(), []).upserts;
+      const chunkSize = this.config.replayBatchSize || REPLAY_BATCH_SIZE;
+    
+      try {
+        for (let i = 0; i < rows.length; i += chunkSize) {
+          subscriber.post(buildDataMessage(this.providerId, rows.slice(i, i + chunkSize), [], true));
+        }
+      
+        subscriber.post({
+          type: 'snapshot-complete',
+          providerId: this.providerId,
+          rowCount: rows.length,
+          duration: Date.now() - startTime,
+          partial: this.isSnapshotPartial,
+          replay: true
+        });
+      
+        if (this.statistics.isStale) {
+          subscriber.post(this.staleMessage());
+        }
+      } catch (error) {
+        this.log('error', 'Error replaying snapshot:', error);
+        this.dropSubscriber(subscriber);
+      }
+    }
+
+    // Get snapshot data
+    getSnapshot() {
+      return Array.from(this.snapshot.values());
+    }
+  }
+
+  // Global state
+  const providers = new Map(); // All provider connections
+  const ports = new Map(); // All port connections
+  const portLastSeen = new Map(); // Last message time per port
+  const portProtocols = new Map(); // Negotiated protocol version per port
+  const expiredPorts = new Map(); // Swept ports -> { protocolVersion, expiredAt }, until they speak again or are forgotten
+  let portCounter = 0;
+  let topicCounter = 0;
+  let requestCounter = 0;
+
+  // Messages a port may send before negotiating
+  const PRE_HANDSHAKE_MESSAGES = new Set(['hello', 'ping', 'close']);
+
+  // Ports ping periodically; MessagePort has no close event, so long silence means the tab is gone.
+  // Browsers run a hidden tab's timers as rarely as once a minute, so the timeout allows for that.
+  const PORT_HEARTBEAT_TIMEOUT_MS = 5 * 60 * 1000;
+  const PORT_SWEEP_INTERVAL_MS = 30000;
+  // A tab that closed without saying so never speaks again; forget its swept port after this long
+  const PORT_EXPIRED_RETENTION_MS = PORT_HEARTBEAT_TIMEOUT_MS;
+
+  // Generate unique port ID
+  function generatePortId() {
+    return `port-${Date.now()}-${++portCounter}`;
+  }
+
+  // Attach a MessagePort: a SharedWorker connection, a dedicated worker's
+  // channel or, in main-thread mode, one end of a MessageChannel in the page
+  function attachPort(port) {
+    const portId = generatePortId();
+  
+    ports.set(portId, port);
+    portLastSeen.set(portId, Date.now());
+  
+    port.onmessage = (e) => {
+      if (!ports.has(portId)) {
+        restorePort(portId, port);
+      }
+      portLastSeen.set(portId, Date.now());
+      handlePortMessage(portId, port, e.data);
+    };
+  
+    port.onmessageerror = (e) => {
+      console.error(`[StompWorkerEnhanced] Message error from ${portId}:`, e);
+    };
+  
+    port.start();
+    return portId;
+  }
+
+  // Highest version both sides speak, or an error naming the supported range
+  function negotiateProtocol(versions) {
+    const common = (Array.isArray(versions) ? versions : [])
+      .filter(version => version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION);
+
+    if (common.length === 0) {
+      throw new Error(`Unsupported protocol version(s) ${JSON.stringify(versions)}; ` +
+        `worker supports ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+    }
+    return Math.max(...common);
+  }
+
+  // Handle messages from ports
+  async function handlePortMessage(portId, port, message) {
+    const { id, type, providerId, config, options } = message;
+    const subscriptionId = message.subscriptionId || 'default';
+  
+    try {
+      if (!portProtocols.has(portId) && !PRE_HANDSHAKE_MESSAGES.has(type)) {
+        throw new Error(`Protocol not negotiated: send 'hello' before '${type}'`);
+      }
+
+      switch (type) {
+        case 'hello':
+          const protocolVersion = negotiateProtocol(message.versions);
+          portProtocols.set(portId, protocolVersion);
+          port.postMessage({ id, type: 'response', protocolVersion });
+          break;
+        
+        case 'connect':
+          await handleConnect(portId, port, providerId, subscriptionId, config, options, id);
+          break;
+        
+        case 'set-throttle':
+          handleSetThrottle(portId, providerId, subscriptionId, message.intervalMs);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'set-view':
+          handleSetView(portId, providerId, subscriptionId, message.filter, message.columns, message.computed);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'validate-expression':
+          port.postMessage({ id, type: 'response', result: StompExpression.validate(message.expression) });
+          break;
+        
+        case 'disconnect':
+          await handleDisconnect(portId, providerId, subscriptionId);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'ping':
+          // Heartbeat only - last seen time already recorded
+          break;
+        
+        case 'close':
+          removePort(portId);
+          break;
+        
+        case 'subscribe':
+          const topicId = handleSubscribe(portId, providerId, subscriptionId, message.destination, message.headers);
+          port.postMessage({ id, type: 'response', success: true, topicId });
+          break;
+        
+        case 'unsubscribe':
+          handleUnsubscribe(providerId, message.topicId);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'send':
+          handleSend(providerId, message.destination, message.body, message.headers);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'request':
+          const correlationId = handleRequest(portId, providerId, subscriptionId, message);
+          port.postMessage({ id, type: 'response', success: true, correlationId });
+          break;
+        
+        case 'list-providers':
+          port.postMessage({ id, type: 'response', providers: handleListProviders() });
+          break;
+        
+        case 'refresh':
+          const started = await handleRefresh(providerId, message.mode);
+          port.postMessage({ id, type: 'response', success: true, started });
+          break;
+        
+        case 'get-snapshot':
+          const snapshot = handleGetSnapshot(portId, providerId, subscriptionId);
+          if (message.encoding === 'columnar') {
+            const { batch, transfer } = StompColumnar.encode(snapshot);
+            port.postMessage({ id, type: 'response', columnar: batch }, transfer);
+          } else {
+            port.postMessage({ id, type: 'response', data: snapshot });
+          }
+          break;
+        
+        case 'cache-list':
+          port.postMessage({ id, type: 'response', entries: await StompSnapshotStore.list() });
+          break;
+        
+        case 'cache-clear':
+          await StompSnapshotStore.clear(message.providerId);
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'get-quarantine':
+          const quarantined = providers.get(providerId);
+          port.postMessage({ id, type: 'response', entries: quarantined ? quarantined.quarantine : [] });
+          break;
+        
+        case 'clear-quarantine':
+          if (providers.has(providerId)) {
+            providers.get(providerId).quarantine = [];
+          }
+          port.postMessage({ id, type: 'response', success: true });
+          break;
+        
+        case 'set-rules':
+          port.postMessage({ id, type: 'response', rules: requireSubscriber(portId, providerId, subscriptionId).provider.setRules(message.rules) });
+          break;
+        
+        case 'get-rules':
+          const ruled = providers.get(providerId);
+          port.postMessage({ id, type: 'response', rules: ruled ? ruled.rules.getRules() : [] });
+          break;
+        
+        case 'get-alerts':
+          const alerting = providers.get(providerId);
+          port.postMessage({ id, type: 'response', alerts: alerting ? alerting.alerts : [] });
+          break;
+        
+        case 'acknowledge-alerts':
+          port.postMessage({ id, type: 'response', alertIds: requireSubscriber(portId, providerId, subscriptionId).provider.acknowledgeAlerts(message.alertIds) });
+          break;
+        
+        case 'get-history':
+          const tracked = providers.get(providerId);
+          port.postMessage({ id, type: 'response', history: tracked ? tracked.getHistory(message.keys, message.fields) : {} });
+          break;
+        
+        case 'start-recording':
+          port.postMessage({ id, type: 'response', status: requireSubscriber(portId, providerId, subscriptionId).provider.startRecording(message.options) });
+          break;
+        
+        case 'stop-recording':
+          port.postMessage({ id, type: 'response', recording: requireSubscriber(portId, providerId, subscriptionId).provider.stopRecording() });
+          break;
+        
+        case 'recording-status':
+          const recorded = providers.get(providerId);
+          port.postMessage({ id, type: 'response', status: recorded ? recorded.recordingStatus() : { active: false } });
+          break;
+        
+        case 'replay-control':
+          const { provider: replaying } = requireSubscriber(portId, providerId, subscriptionId);
+          port.postMessage({ id, type: 'response', status: replaying.controlReplay(message.action, message) });
+          break;
+        
+        case 'get-statistics':
+          const stats = handleGetStatistics(providerId);
+          port.postMessage({ id, type: 'response', statistics: stats });
+          break;
+        
+        default:
+          port.postMessage({ 
+            id, 
+            type: 'error', 
+            error: `Unknown message type: ${type}` 
+          });
+      }
+    } catch (error) {
+      console.error(`[StompWorkerEnhanced] Error handling message:`, error);
+      port.postMessage({ 
+        id, 
+        type: 'error', 
+        error: error.message 
+      });
+    }
+  }
+
+  // Handle connect request
+  async function handleConnect(portId, port, providerId, subscriptionId, config, options, messageId) {
+    let provider = providers.get(providerId);
+    const isNewProvider = !provider;
+  
+    if (!provider) {
+      // Create new provider connection
+      provider = new ProviderConnection(providerId, config);
+    }
+  
+    // Add subscriber with its filter, columns and conflation window
+    let subscriber;
+    try {
+      subscriber = provider.addSubscriber(portId, port, subscriptionId, options || {});
+    } catch (error) {
+      throw new Error(`Invalid subscription: ${error.message}`);
+    }
+  
+    if (isNewProvider) {
+      providers.set(providerId, provider);
+    
+      // Show the last persisted rows while the live snapshot is fetched
+      await provider.restoreCachedSnapshot();
+    }
+  
+    // Connect if not already connected
+    if (!provider.statistics.isConnected && !provider.isConnecting) {
+      await provider.connect();
+    } else if (provider.statistics.isConnected) {
+      // Already connected, send current state
+      subscriber.post({
+        type: 'connected',
+        providerId: providerId,
+        clientId: providerId
+      });
+    
+      // Replay the cached snapshot, waiting for it if it is still streaming
+      provider.attachLateJoiner(subscriber);
+    } else if (!isNewProvider) {
+      // Still connecting or backing off: the snapshot follows once connected
+      if (provider.reconnectAttempt > 0) {
+        subscriber.post({
+          type: 'reconnecting',
+          providerId: providerId,
+          attempt: provider.reconnectAttempt,
+          maxAttempts: provider.config.maxReconnectAttempts || 0
+        });
+      }
+      provider.postCachedSnapshot(subscriber);
+    }
+  
+    // Send response message with the original ID to resolve the promise
+    port.postMessage({ 
+      id: messageId, 
+      type: 'response', 
+      success: true 
+    });
+  
+    return { success: true };
+  }
+
+  // Look up a subscription or fail the request
+  function requireSubscriber(portId, providerId, subscriptionId) {
+    const provider = providers.get(providerId);
+    const subscriber = provider && provider.getSubscriber(portId, subscriptionId);
+    if (!subscriber) {
+      throw new Error('Provider not connected');
+    }
+    return { provider, subscriber };
+  }
+
+  // Change how often real-time updates are flushed to one subscriber
+  function handleSetThrottle(portId, providerId, subscriptionId, intervalMs) {
+    const { subscriber } = requireSubscriber(portId, providerId, subscriptionId);
+    subscriber.setConflation(intervalMs);
+  }
+
+  // Change one subscriber's filter and column projection
+  function handleSetView(portId, providerId, subscriptionId, filter, columns, computed) {
+    const { provider, subscriber } = requireSubscriber(portId, providerId, subscriptionId);
+  
+    // Validate first so a bad filter or computed column leaves the current view untouched
+    if (filter) {
+      StompExpression.compile(filter);
+    }
+    compileComputedColumns(computed, subscriber.keyColumn);
+    provider.updateSubscriberView(subscriber, filter, columns, computed);
+  }
+
+  // Subscribe a client handle to a raw destination on its provider's connection
+  function handleSubscribe(portId, providerId, subscriptionId, destination, headers) {
+    const { provider, subscriber } = requireSubscriber(portId, providerId, subscriptionId);
+    return provider.subscribeTopic(subscriber, destination, headers || {});
+  }
+
+  function handleUnsubscribe(providerId, topicId) {
+    const provider = providers.get(providerId);
+    if (!provider || !provider.unsubscribeTopic(topicId)) {
+      throw new Error('Subscription not found');
+    }
+  }
+
+  function handleSend(providerId, destination, body, headers) {
+    const provider = providers.get(providerId);
+    if (!provider) {
+      throw new Error('Provider not connected');
+    }
+    provider.send(destination, body, headers || {});
+  }
+
+  function handleRequest(portId, providerId, subscriptionId, message) {
+    const { provider, subscriber } = requireSubscriber(portId, providerId, subscriptionId);
+    return provider.request(subscriber, message.destination, message.body, message.headers || {}, message.timeoutMs);
+  }
+
+  // Handle disconnect request - only tear down when the last subscriber leaves
+  async function handleDisconnect(portId, providerId, subscriptionId) {
+    const provider = providers.get(providerId);
+    if (!provider) return;
+  
+    const remaining = provider.removeSubscriber(portId, subscriptionId);
+    if (remaining === 0) {
+      releaseProvider(provider);
+    }
+  }
+
+  // Disconnect and forget a provider with no subscribers left
+  function releaseProvider(provider) {
+    provider.disconnect();
+    providers.delete(provider.providerId);
+  }
+
+  // Drop a port and every subscription it holds
+  function removePort(portId) {
+    ports.delete(portId);
+    portLastSeen.delete(portId);
+    portProtocols.delete(portId);
+    expiredPorts.delete(portId);
+  
+    providers.forEach(provider => {
+      if (!provider.hasPort(portId)) return;
+    
+      if (provider.removePortSubscribers(portId) === 0) {
+        releaseProvider(provider);
+      }
+    });
+  }
+
+  // Remove ports that stopped sending heartbeats
+  function sweepStalePorts() {
+    const now = Date.now();
+  
+    portLastSeen.forEach((lastSeen, portId) => {
+      if (now - lastSeen > PORT_HEARTBEAT_TIMEOUT_MS) {
+        providers.forEach(provider => {
+          if (provider.hasPort(portId)) provider.log('info', `Removing stale port ${portId}`);
+        });
+        const protocolVersion = portProtocols.get(portId);
+        removePort(portId);
+        expiredPorts.set(portId, { protocolVersion, expiredAt: now });
+      }
+    });
+
+    expiredPorts.forEach(({ expiredAt }, portId) => {
+      if (now - expiredAt > PORT_EXPIRED_RETENTION_MS) {
+        expiredPorts.delete(portId);
+      }
+    });
+  }
+
+  // A swept port spoke again, so its tab was only asleep: take the port back
+  // and tell the tab its subscriptions were dropped, so it subscribes again.
+  // A port swept too long ago comes back as a new one, without its protocol.
+  function restorePort(portId, port) {
+    const { protocolVersion } = expiredPorts.get(portId) || {};
+    expiredPorts.delete(portId);
+  
+    ports.set(portId, port);
+    if (protocolVersion !== undefined) {
+      portProtocols.set(portId, protocolVersion);
+      port.postMessage({ type: 'port-expired' });
+    }
+  }
+
+  setInterval(sweepStalePorts, PORT_SWEEP_INTERVAL_MS);
+
+  // List providers with their subscriber counts
+  function handleListProviders() {
+    return Array.from(providers.values()).map(provider => ({
+      providerId: provider.providerId,
+      dataType: provider.config.dataType,
+      subscriberCount: provider.getSubscriberCount(),
+      portCount: provider.getPortCount(),
+      isConnected: provider.statistics.isConnected,
+      mode: provider.statistics.mode,
+      isStale: provider.statistics.isStale,
+      rowCount: provider.snapshot.size
+    }));
+  }
+
+  // Handle refresh request. 'seamless' (default) re-snapshots on the live connection
+  // and sends only the difference; 'reconnect' drops the connection and starts over.
+  async function handleRefresh(providerId, mode = 'seamless') {
+    const provider = providers.get(providerId);
+    if (!provider) {
+      throw new Error('Provider not connected');
+    }
+  
+    if (mode === 'seamless') {
+      return provider.refresh();
+    }
+  
+    // Disconnect and reconnect to get fresh data
+    provider.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await provider.connect();
+    return true;
+  }
+
+  // Get snapshot data
+  function handleGetSnapshot(portId, providerId, subscriptionId) {
+    const provider = providers.get(providerId);
+    if (!provider) return [];
+  
+    // Through the caller's filter and projection when it has a subscription
+    const subscriber = provider.getSubscriber(portId, subscriptionId);
+    return subscriber
+      ? subscriber.snapshotView(provider.getSnapshot())
+      : provider.getSnapshot();
+  }
+
+  // Get statistics
+  function handleGetStatistics(providerId) {
+    const provider = providers.get(providerId);
+    if (!provider) return null;
+  
+    return provider.statistics;
+  }
+
+  scope.StompWorkerCore = { attachPort, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION };
+})(self);